@@ -1,41 +1,109 @@
 /**
- * AI Analyzer - Gemini Multimodal Integration
- * Uses Gemini Vision API to compare visual content with screen reader output
+ * AI Analyzer - Multimodal fix suggestions
+ * Sends a screenshot, the screen reader output and the axe violations to the
+ * configured provider (see ai-providers.js) and parses its JSON answer.
+ * Large violation sets are split into batches whose answers fit the
+ * provider's output budget, so long pages don't get cut-off JSON.
+ * Answers are streamed, and each suggestion is handed on as soon as its
+ * JSON object is complete.
  */
 
-// API Configuration
-let apiKey = null;
+import { AI_PROVIDERS, getAiProvider } from './ai-providers.js';
+
+const CONFIG_KEY = 'ai_provider_config';
+const LEGACY_KEY_STORAGE = 'gemini_api_key';
+
+// Estimated answer size per suggestion besides its code, in tokens
+const SUGGESTION_OVERHEAD_TOKENS = 200;
+
+// Share of the output budget batches are planned to use, leaving room for the summary
+const BATCH_BUDGET_SHARE = 0.75;
+
+// Provider configuration: { provider, apiKey, model, baseUrl }
+let aiConfig = null;
 
 /**
- * Set the Gemini API key
+ * Fill in provider defaults and check required fields
+ * @param {Object} config - { provider, apiKey, model, baseUrl }
+ * @returns {Object} Complete configuration
+ * @throws {Error} If the provider is unknown or a required field is missing
  */
-export function setApiKey(key) {
-    apiKey = key;
-    localStorage.setItem('gemini_api_key', key);
+export function normalizeAiConfig({ provider, apiKey = '', model = '', baseUrl = '' }) {
+    const { label, needsKey, defaults } = getAiProvider(provider);
+    const config = {
+        provider,
+        apiKey: apiKey.trim(),
+        model: model.trim() || defaults.model,
+        baseUrl: baseUrl.trim() || defaults.baseUrl
+    };
+
+    if (needsKey && !config.apiKey) {
+        throw new Error(`${label} needs an API key`);
+    }
+    if (!config.model) {
+        throw new Error(`Choose a model for ${label}`);
+    }
+    return config;
 }
 
 /**
- * Get the stored API key
+ * Get the stored provider configuration
+ * A key saved by earlier versions is treated as a Gemini configuration.
+ * @returns {Object|null} { provider, apiKey, model, baseUrl }
  */
-export function getApiKey() {
-    if (apiKey) return apiKey;
-    apiKey = localStorage.getItem('gemini_api_key');
-    return apiKey;
+export function getAiConfig() {
+    if (aiConfig) return aiConfig;
+
+    let config = null;
+    const stored = localStorage.getItem(CONFIG_KEY);
+    if (stored !== null) {
+        try {
+            config = JSON.parse(stored);
+        } catch {
+            // Handled below like an unknown provider
+        }
+
+        // Drop unusable settings so they are neither cached nor read again
+        if (!AI_PROVIDERS[config?.provider]) {
+            console.warn('⚠️ Clearing unreadable or unknown AI provider settings');
+            localStorage.removeItem(CONFIG_KEY);
+            config = null;
+        }
+    }
+
+    const legacyKey = localStorage.getItem(LEGACY_KEY_STORAGE);
+    if (!config && legacyKey) {
+        config = normalizeAiConfig({ provider: 'gemini', apiKey: legacyKey });
+    }
+
+    aiConfig = config;
+    return aiConfig;
 }
 
 /**
- * Check if API key is configured
+ * Save the provider configuration
+ * @param {Object} config - See normalizeAiConfig()
  */
-export function hasApiKey() {
-    return !!getApiKey();
+export function setAiConfig(config) {
+    aiConfig = normalizeAiConfig(config);
+    localStorage.setItem(CONFIG_KEY, JSON.stringify(aiConfig));
+    localStorage.removeItem(LEGACY_KEY_STORAGE);
 }
 
 /**
- * Clear the stored API key
+ * Check if a provider is configured
  */
-export function clearApiKey() {
-    apiKey = null;
-    localStorage.removeItem('gemini_api_key');
+export function hasAiConfig() {
+    return !!getAiConfig();
+}
+
+/**
+ * Clear the stored provider configuration (including the API key)
+ */
+export function clearAiConfig() {
+    aiConfig = null;
+    localStorage.removeItem(CONFIG_KEY);
+    localStorage.removeItem(LEGACY_KEY_STORAGE);
 }
 
 /**
@@ -53,13 +121,69 @@ export async function capturePreview(container) {
 }
 
 /**
- * Analyze all issues in batch
+ * Whether a parsed suggestion has the fields the app needs
  */
-export async function analyzeIssuesWithGemini(issues, imageBase64, analysisResults) {
-    const key = getApiKey();
-    if (!key) {
-        throw new Error('Gemini API key not configured');
+function isValidSuggestion(issue) {
+    return Boolean(issue) && issue.hasOwnProperty('issueIndex') && Boolean(issue.aiSuggestion);
+}
+
+/**
+ * Suggestions whose JSON objects are already complete in a partial answer
+ * Scans the "issues" array of text that is still streaming in, skipping
+ * anything that doesn't parse; the final answer is parsed as a whole.
+ * @param {string} text - Answer received so far
+ * @returns {Object[]} Parsed suggestion objects, in order
+ */
+export function extractStreamedIssues(text) {
+    const arrayStart = /"issues"\s*:\s*\[/.exec(text);
+    if (!arrayStart) return [];
+
+    const issues = [];
+    let depth = 0;
+    let inString = false;
+    let objectStart = -1;
+
+    for (let i = arrayStart.index + arrayStart[0].length; i < text.length; i++) {
+        const ch = text[i];
+        if (inString) {
+            if (ch === '\\') i++;
+            else if (ch === '"') inString = false;
+        } else if (ch === '"') {
+            inString = true;
+        } else if (ch === '{') {
+            if (depth === 0) objectStart = i;
+            depth++;
+        } else if (ch === '}') {
+            depth--;
+            if (depth === 0) {
+                try {
+                    issues.push(JSON.parse(text.slice(objectStart, i + 1)));
+                } catch {
+                    // Malformed entry; the final parse reports it
+                }
+            }
+        } else if (ch === ']' && depth === 0) {
+            break;
+        }
+    }
+    return issues;
+}
+
+/**
+ * Analyze issues in one request to the configured provider
+ * @param {Object[]} issues - Violations in the shape the prompt expects
+ * @param {string} imageBase64 - Screenshot from capturePreview()
+ * @param {Object[]} analysisResults - Screen reader announcements
+ * @param {Object} [options]
+ * @param {Function} [options.onSuggestion] - Called with each valid suggestion as it streams in
+ * @returns {Promise<Object>} { issues, overallScore, summary }, with parseError when the answer isn't JSON
+ */
+export async function analyzeIssuesWithAi(issues, imageBase64, analysisResults, { onSuggestion } = {}) {
+    const config = getAiConfig();
+    if (!config) {
+        throw new Error('AI provider not configured');
     }
+    const { label, adapter, maxOutputTokens } = getAiProvider(config.provider);
 
     // Build context from screen reader announcements
     const srContext = analysisResults.map(r => r.announcement).join('\n');
@@ -104,56 +228,25 @@ Respond as JSON:
   "summary": "brief summary"
 }`;
 
-    console.log('🔑 Making Gemini API call with key:', key.substring(0, 8) + '...');
+    console.log(`🤖 Asking ${label} (${config.model})...`);
     console.log('📸 Image data length:', imageBase64.length);
 
-    const response = await fetch(
-        `https://generativelanguage.googleapis.com/v1beta/models/gemini-3-flash-preview:generateContent?key=${key}`,
-        {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                contents: [{
-                    parts: [
-                        {
-                            inlineData: {
-                                mimeType: 'image/png',
-                                data: imageBase64
-                            }
-                        },
-                        {
-                            text: prompt
-                        }
-                    ]
-                }],
-                generationConfig: {
-                    temperature: 0.3,
-                    maxOutputTokens: 2048,
-                    responseMimeType: 'application/json'
-                }
-            })
-        }
-    );
-
-    console.log('📡 Response status:', response.status, response.statusText);
-
-    if (!response.ok) {
-        const error = await response.json();
-        console.error('❌ Gemini API error:', error);
-        throw new Error(`Gemini API error: ${error.error?.message || 'Unknown error'}`);
-    }
+    let streamed = 0;
+    const onText = onSuggestion && (partial => {
+        const complete = extractStreamedIssues(partial);
+        complete.slice(streamed).filter(isValidSuggestion).forEach(issue => onSuggestion(issue));
+        streamed = complete.length;
+    });
 
-    const data = await response.json();
-    const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
+    const text = await adapter.generate({ prompt, imageBase64, maxOutputTokens, onText }, config);
 
     if (!text) {
-        throw new Error('No response from Gemini');
+        throw new Error(`No response from ${label}`);
     }
 
     try {
-        const parsed = JSON.parse(text);
+        // Local models often wrap JSON in a Markdown code fence
+        const parsed = JSON.parse(text.replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, ''));
 
         // Validate response structure
         if (!parsed || typeof parsed !== 'object') {
@@ -171,9 +264,7 @@ Respond as JSON:
             parsed.issues = [];
         } else {
             // Filter out invalid issues
-            const validIssues = parsed.issues.filter(issue =>
-                issue.hasOwnProperty('issueIndex') && issue.aiSuggestion
-            );
+            const validIssues = parsed.issues.filter(isValidSuggestion);
 
             if (validIssues.length < parsed.issues.length) {
                 console.warn(`⚠️ Filtered ${parsed.issues.length - validIssues.length} invalid issue(s)`);
@@ -197,24 +288,161 @@ Respond as JSON:
     }
 }
 
+/**
+ * Rough token count of text (about four characters per token)
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Estimated answer size for one issue: its beforeCode and afterCode both
+ * repeat the element's HTML
+ * @param {Object} issue - Issue as sent to analyzeIssuesWithAi()
+ * @returns {number} Tokens
+ */
+export function estimateSuggestionTokens(issue) {
+    const longestHtml = Math.max(0, ...(issue.nodes || []).map(node => estimateTokens(node.html)));
+    return SUGGESTION_OVERHEAD_TOKENS + 2 * longestHtml;
+}
+
+/**
+ * Split issues into batches whose answers fit the provider's output budget
+ * An issue too large for the budget still gets a batch of its own.
+ * @param {Object[]} issues - Issues as sent to analyzeIssuesWithAi()
+ * @param {Object} [config] - Provider settings (the stored ones by default)
+ * @returns {Object[]} Batches of { index, issueIndexes, status: 'pending', analysis: null, error: null }
+ */
+export function planAiBatches(issues, config = getAiConfig()) {
+    const budget = getAiProvider(config.provider).maxOutputTokens * BATCH_BUDGET_SHARE;
+    const batches = [];
+    let current = null;
+    let currentTokens = 0;
+
+    issues.forEach((issue, i) => {
+        const tokens = estimateSuggestionTokens(issue);
+        if (!current || currentTokens + tokens > budget) {
+            current = { index: batches.length, issueIndexes: [], status: 'pending', analysis: null, error: null };
+            currentTokens = 0;
+            batches.push(current);
+        }
+        current.issueIndexes.push(i);
+        currentTokens += tokens;
+    });
+    return batches;
+}
+
+/**
+ * Analyze one batch, recording the outcome on it rather than throwing
+ * A response that can't be parsed (usually cut off) counts as a failure.
+ * @param {Object} batch - From planAiBatches(); status becomes 'running', then 'done' or 'failed'
+ * @param {Object[]} issues - All issues the batches were planned from
+ * @param {string} imageBase64 - Screenshot from capturePreview()
+ * @param {Object[]} analysisResults - Screen reader announcements
+ * @param {Object} [options]
+ * @param {Function} [options.onSuggestion] - Called with (suggestion, batch) as each one streams in,
+ * its issueIndex already mapped into issues
+ * @returns {Promise<Object>} The batch, whose analysis.issues use indexes into issues
+ */
+export async function analyzeIssueBatch(batch, issues, imageBase64, analysisResults, { onSuggestion } = {}) {
+    batch.status = 'running';
+    batch.error = null;
+
+    const toIssuesIndex = suggestion => ({ ...suggestion, issueIndex: batch.issueIndexes[suggestion.issueIndex] });
+
+    try {
+        const analysis = await analyzeIssuesWithAi(batch.issueIndexes.map(i => issues[i]), imageBase64, analysisResults, {
+            onSuggestion: onSuggestion && (suggestion => {
+                const mapped = toIssuesIndex(suggestion);
+                if (mapped.issueIndex !== undefined) onSuggestion(mapped, batch);
+            })
+        });
+        if (analysis.parseError) {
+            throw new Error('Could not parse the AI response (it may have been cut off)');
+        }
 
+        analysis.issues = analysis.issues
+            .map(toIssuesIndex)
+            .filter(suggestion => suggestion.issueIndex !== undefined);
+        batch.analysis = analysis;
+        batch.status = 'done';
+    } catch (error) {
+        console.error(`❌ AI batch ${batch.index + 1} failed:`, error);
+        batch.error = error;
+        batch.status = 'failed';
+    }
+    return batch;
+}
 
 /**
- * Test the API connection
+ * Analyze batches with at most the provider's concurrency in flight
+ * Also used to retry failed batches.
+ * @param {Object[]} batches - From planAiBatches()
+ * @param {Object[]} issues - All issues the batches were planned from
+ * @param {string} imageBase64 - Screenshot from capturePreview()
+ * @param {Object[]} analysisResults - Screen reader announcements
+ * @param {Object} [options]
+ * @param {Function} [options.onBatch] - Called with each batch as it finishes
+ * @param {Function} [options.onSuggestion] - Called with (suggestion, batch) as suggestions stream in
+ * @returns {Promise<Object[]>} The batches
  */
-export async function testApiConnection() {
-    const key = getApiKey();
-    if (!key) {
-        throw new Error('No API key configured');
+export async function runAiBatches(batches, issues, imageBase64, analysisResults, { onBatch, onSuggestion } = {}) {
+    const config = getAiConfig();
+    if (!config) {
+        throw new Error('AI provider not configured');
     }
 
-    const response = await fetch(
-        `https://generativelanguage.googleapis.com/v1beta/models?key=${key}`
-    );
+    const queue = [...batches];
+    const concurrency = Math.min(getAiProvider(config.provider).concurrency, queue.length);
+    console.log(`📦 Running ${queue.length} AI batch(es), ${concurrency} at a time`);
+
+    const worker = async () => {
+        while (queue.length > 0) {
+            const batch = queue.shift();
+            await analyzeIssueBatch(batch, issues, imageBase64, analysisResults, { onSuggestion });
+            onBatch?.(batch);
+        }
+    };
+    await Promise.all(Array.from({ length: concurrency }, worker));
+    return batches;
+}
+
+/**
+ * Combine the answers of finished batches
+ * @param {Object[]} batches - From planAiBatches()
+ * @returns {Object} { issues, overallScore, summary } like analyzeIssuesWithAi()
+ */
+export function mergeBatchAnalyses(batches) {
+    const analyses = batches.filter(batch => batch.status === 'done').map(batch => batch.analysis);
+    const scores = analyses.map(analysis => analysis.overallScore).filter(Number.isFinite);
+
+    return {
+        issues: analyses.flatMap(analysis => analysis.issues),
+        overallScore: scores.length > 0 ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null,
+        summary: analyses.map(analysis => analysis.summary).filter(Boolean).join(' ')
+    };
+}
 
-    if (!response.ok) {
-        throw new Error('Invalid API key or API error');
+/**
+ * Test a provider configuration (the stored one by default)
+ * @param {Object} [config] - See normalizeAiConfig()
+ * @returns {Promise<boolean>} true if the provider is reachable and the key accepted
+ */
+export async function testAiConnection(config = getAiConfig()) {
+    if (!config) {
+        throw new Error('No AI provider configured');
     }
 
-    return true;
+    const complete = normalizeAiConfig(config);
+    return getAiProvider(complete.provider).adapter.validate(complete);
+}
+
+/**
+ * Models offered by a provider
+ * @param {Object} config - See normalizeAiConfig() (the model may be empty)
+ * @returns {Promise<string[]>} Model ids
+ */
+export async function listAiModels(config) {
+    const { adapter, defaults } = getAiProvider(config.provider);
+    return adapter.listModels({ ...config, baseUrl: config.baseUrl?.trim() || defaults.baseUrl });
 }
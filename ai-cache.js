@@ -0,0 +1,105 @@
+/**
+ * AI Cache - IndexedDB store for AI suggestions
+ * A suggestion is keyed by its violation (rule id and node HTML, see
+ * getViolationFingerprint()) and the model that wrote it, so re-analyzing
+ * unchanged content reuses earlier answers instead of asking again.
+ */
+
+import { getViolationFingerprint } from './analysis-diff.js';
+import { hashContent } from './utils.js';
+
+const DB_NAME = 'sr-visualizer';
+const DB_VERSION = 1;
+const STORE_NAME = 'ai_suggestions';
+
+let dbPromise = null;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Open (and on first use create) the database
+ * @returns {Promise<IDBDatabase|null>} null where IndexedDB is unavailable
+ */
+function openDatabase() {
+    if (typeof indexedDB === 'undefined') {
+        return Promise.resolve(null);
+    }
+
+    if (!dbPromise) {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        };
+        dbPromise = promisifyRequest(request).catch(error => {
+            console.warn('⚠️ AI cache unavailable:', error);
+            dbPromise = null;
+            return null;
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Cache key for a violation's suggestion from a model
+ * @param {Object} violation - Violation from runAxeAnalysis() ({ id, nodes })
+ * @param {Object} config - AI provider settings ({ provider, model })
+ * @returns {string} Cache key
+ */
+export function getSuggestionCacheKey(violation, config) {
+    const nodes = violation.nodes.map(node => getViolationFingerprint(violation.id, node)).sort();
+    return hashContent([`${config.provider}:${config.model}`, ...nodes].join('\n'));
+}
+
+/**
+ * Look up cached suggestions
+ * @param {string[]} keys - From getSuggestionCacheKey()
+ * @returns {Promise<Map<string, Object>>} Cached entries ({ key, suggestion, model, createdAt }) by key
+ */
+export async function getCachedSuggestions(keys) {
+    const found = new Map();
+    const db = await openDatabase();
+    if (!db) return found;
+
+    const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+    const entries = await Promise.all(keys.map(key => promisifyRequest(store.get(key))));
+    entries.forEach(entry => {
+        if (entry) found.set(entry.key, entry);
+    });
+    return found;
+}
+
+/**
+ * Store suggestions, replacing entries with the same keys
+ * @param {Object[]} entries - { key, suggestion, model }
+ */
+export async function putCachedSuggestions(entries) {
+    const db = await openDatabase();
+    if (!db || entries.length === 0) return;
+
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    const createdAt = new Date().toISOString();
+    entries.forEach(entry => store.put({ ...entry, createdAt }));
+
+    await new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Remove every cached suggestion
+ */
+export async function clearCachedSuggestions() {
+    const db = await openDatabase();
+    if (!db) return;
+    await promisifyRequest(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).clear());
+}
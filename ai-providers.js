@@ -0,0 +1,300 @@
+/**
+ * AI Providers - Adapters for the models behind AI Enhance
+ * Every provider implements the same interface:
+ *
+ *   generate({ prompt, imageBase64, maxOutputTokens, onText }, config)
+ *                                              → Promise<string> (model text, ideally JSON)
+ *   validate(config)                           → Promise<true>, throws if unusable
+ *   listModels(config)                         → Promise<string[]>
+ *
+ * where config is { apiKey, model, baseUrl } as entered in the API key modal.
+ * Answers are streamed; onText, if given, is called with the text received so far.
+ */
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+// Characters per chunk in the mock provider's simulated stream
+const MOCK_CHUNK_SIZE = 64;
+
+/**
+ * Error for a failed provider request; the status stays in the message so
+ * callers can tell authentication problems (401/403) from other failures
+ */
+async function requestError(label, response) {
+    let detail = response.statusText;
+    try {
+        const body = await response.json();
+        detail = body.error?.message || (typeof body.error === 'string' ? body.error : detail);
+    } catch {
+        // Not JSON; keep the status text
+    }
+    return new Error(`${label} API error (${response.status}): ${detail || 'Unknown error'}`);
+}
+
+/**
+ * Read a server-sent event stream, calling onEvent with each event's JSON data
+ * @param {Response} response - Streaming fetch response
+ * @param {Function} onEvent - Called with each parsed event
+ */
+async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        buffer += decoder.decode(value, { stream: !done });
+
+        const lines = buffer.split(/\r?\n/);
+        buffer = done ? '' : lines.pop();
+        lines.forEach(line => {
+            if (!line.startsWith('data:')) return;
+            const data = line.slice(5).trim();
+            if (data && data !== '[DONE]') onEvent(JSON.parse(data));
+        });
+
+        if (done) return;
+    }
+}
+
+/**
+ * Error reported inside a stream that had already started
+ */
+function streamError(label, event) {
+    return new Error(`${label} API error: ${event.error.message || event.error}`);
+}
+
+/**
+ * Base URL without a trailing slash
+ */
+function trimBaseUrl(baseUrl) {
+    return (baseUrl || '').replace(/\/+$/, '');
+}
+
+/**
+ * Google Gemini (key sent as a header, not in the URL)
+ */
+const geminiProvider = {
+    async generate({ prompt, imageBase64, maxOutputTokens = 2048, onText }, { apiKey, model }) {
+        const parts = [{ text: prompt }];
+        if (imageBase64) {
+            parts.unshift({ inlineData: { mimeType: 'image/png', data: imageBase64 } });
+        }
+
+        const response = await fetch(`${GEMINI_BASE_URL}/models/${encodeURIComponent(model)}:streamGenerateContent?alt=sse`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'x-goog-api-key': apiKey
+            },
+            body: JSON.stringify({
+                contents: [{ parts }],
+                generationConfig: {
+                    temperature: 0.3,
+                    maxOutputTokens,
+                    responseMimeType: 'application/json'
+                }
+            })
+        });
+
+        if (!response.ok) {
+            throw await requestError('Gemini', response);
+        }
+
+        let text = '';
+        await readEventStream(response, event => {
+            if (event.error) throw streamError('Gemini', event);
+            const chunk = (event.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+            if (chunk) {
+                text += chunk;
+                onText?.(text);
+            }
+        });
+        return text;
+    },
+
+    async validate(config) {
+        await this.listModels(config);
+        return true;
+    },
+
+    async listModels({ apiKey }) {
+        const response = await fetch(`${GEMINI_BASE_URL}/models?pageSize=100`, {
+            headers: { 'x-goog-api-key': apiKey }
+        });
+        if (!response.ok) {
+            throw await requestError('Gemini', response);
+        }
+
+        const data = await response.json();
+        return (data.models || [])
+            .filter(model => model.supportedGenerationMethods?.includes('generateContent'))
+            .map(model => model.name.replace(/^models\//, ''));
+    }
+};
+
+/**
+ * Any server implementing the OpenAI chat completions API, including
+ * local Ollama and LM Studio servers (which need no key)
+ */
+const openAiCompatibleProvider = {
+    async generate({ prompt, imageBase64, maxOutputTokens = 2048, onText }, { apiKey, model, baseUrl }) {
+        const content = [{ type: 'text', text: prompt }];
+        if (imageBase64) {
+            content.push({ type: 'image_url', image_url: { url: `data:image/png;base64,${imageBase64}` } });
+        }
+
+        const response = await fetch(`${trimBaseUrl(baseUrl)}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+            },
+            body: JSON.stringify({
+                model,
+                messages: [{ role: 'user', content }],
+                temperature: 0.3,
+                max_tokens: maxOutputTokens,
+                stream: true
+            })
+        });
+
+        if (!response.ok) {
+            throw await requestError('Model server', response);
+        }
+
+        let text = '';
+        await readEventStream(response, event => {
+            if (event.error) throw streamError('Model server', event);
+            const chunk = event.choices?.[0]?.delta?.content;
+            if (chunk) {
+                text += chunk;
+                onText?.(text);
+            }
+        });
+        return text;
+    },
+
+    async validate(config) {
+        await this.listModels(config);
+        return true;
+    },
+
+    async listModels({ apiKey, baseUrl }) {
+        const response = await fetch(`${trimBaseUrl(baseUrl)}/models`, {
+            headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+        });
+        if (!response.ok) {
+            throw await requestError('Model server', response);
+        }
+
+        const data = await response.json();
+        return (data.data || []).map(model => model.id).sort();
+    }
+};
+
+/**
+ * Offline provider with fixed, prompt-derived answers for tests and demos
+ * Suggests a fix for every "N. [IMPACT] help" violation line in the prompt,
+ * streamed in small chunks like a real model.
+ */
+const mockProvider = {
+    async generate({ prompt, onText }) {
+        const violations = [...prompt.matchAll(/^(\d+)\. \[(\w+)\] (.+)$/gm)];
+        const text = JSON.stringify({
+            issues: violations.map(([, number, impact, help]) => ({
+                issueIndex: Number(number) - 1,
+                beforeCode: '',
+                afterCode: '',
+                aiSuggestion: `Mock suggestion: ${help}`,
+                confidence: impact.toLowerCase() === 'critical' ? 'high' : 'medium',
+                explanation: 'Generated by the mock provider without calling a model.'
+            })),
+            overallScore: Math.max(0, 100 - violations.length * 10),
+            summary: `Mock review of ${violations.length} violation(s).`
+        });
+
+        for (let end = MOCK_CHUNK_SIZE; end < text.length; end += MOCK_CHUNK_SIZE) {
+            onText?.(text.slice(0, end));
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        onText?.(text);
+        return text;
+    },
+
+    async validate() {
+        return true;
+    },
+
+    async listModels() {
+        return ['mock'];
+    }
+};
+
+/**
+ * Selectable providers for the API key modal
+ * needsKey: whether an API key is required; defaults prefill the modal.
+ * maxOutputTokens: answer size requested per call, which violations are batched to fit;
+ * concurrency: how many calls may run at once (local servers handle one at a time).
+ */
+export const AI_PROVIDERS = {
+    gemini: {
+        label: 'Google Gemini',
+        needsKey: true,
+        defaults: { model: 'gemini-3-flash-preview', baseUrl: '' },
+        hint: 'Get a free API key at <a href="https://aistudio.google.com/apikey" target="_blank" rel="noopener">aistudio.google.com/apikey</a>',
+        maxOutputTokens: 8192,
+        concurrency: 3,
+        adapter: geminiProvider
+    },
+    openai: {
+        label: 'OpenAI-compatible',
+        needsKey: true,
+        defaults: { model: 'gpt-4o-mini', baseUrl: 'https://api.openai.com/v1' },
+        hint: 'Any server with an OpenAI-style <code>/chat/completions</code> endpoint. The model must accept images.',
+        maxOutputTokens: 4096,
+        concurrency: 3,
+        adapter: openAiCompatibleProvider
+    },
+    ollama: {
+        label: 'Ollama (local)',
+        needsKey: false,
+        defaults: { model: 'llava', baseUrl: 'http://localhost:11434/v1' },
+        hint: 'Run <code>ollama serve</code> with <code>OLLAMA_ORIGINS</code> allowing this page. Nothing leaves your machine.',
+        maxOutputTokens: 2048,
+        concurrency: 1,
+        adapter: openAiCompatibleProvider
+    },
+    lmstudio: {
+        label: 'LM Studio (local)',
+        needsKey: false,
+        defaults: { model: '', baseUrl: 'http://localhost:1234/v1' },
+        hint: 'Start the LM Studio server with CORS enabled and load a vision model. Nothing leaves your machine.',
+        maxOutputTokens: 2048,
+        concurrency: 1,
+        adapter: openAiCompatibleProvider
+    },
+    mock: {
+        label: 'Mock (offline)',
+        needsKey: false,
+        defaults: { model: 'mock', baseUrl: '' },
+        hint: 'Returns canned suggestions without calling a model, for testing the workflow.',
+        maxOutputTokens: 2048,
+        concurrency: 2,
+        adapter: mockProvider
+    }
+};
+
+/**
+ * Look up a provider by id
+ * @param {string} id - Key of AI_PROVIDERS
+ * @returns {Object} Provider entry
+ * @throws {Error} If the provider is unknown
+ */
+export function getAiProvider(id) {
+    const provider = AI_PROVIDERS[id];
+    if (!provider) {
+        throw new Error(`Unknown AI provider "${id}". Use one of: ${Object.keys(AI_PROVIDERS).join(', ')}`);
+    }
+    return provider;
+}
@@ -0,0 +1,165 @@
+/**
+ * Analysis Diff - Before/after comparison of two analyses
+ * Aligns transcripts so edits show up as added, removed or changed
+ * announcements, and matches axe violations by fingerprint rather than
+ * list position so fixes show up as resolved, new or persisting.
+ */
+
+/**
+ * Longest common subsequence alignment of two lists of strings
+ * @returns {Array<[number, number]>} Index pairs of matching items, in order
+ */
+function alignSequences(before, after) {
+    const lengths = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+
+    for (let i = before.length - 1; i >= 0; i--) {
+        for (let j = after.length - 1; j >= 0; j--) {
+            lengths[i][j] = before[i] === after[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const pairs = [];
+    let i = 0;
+    let j = 0;
+    while (i < before.length && j < after.length) {
+        if (before[i] === after[j]) {
+            pairs.push([i++, j++]);
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+    return pairs;
+}
+
+/**
+ * Diff the unmatched stretch between two aligned announcements
+ * Removed and added announcements in the same slot with the same role are
+ * reported as one change (e.g. a button that gained a name).
+ */
+function diffGap(removed, added) {
+    const rows = [];
+    for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+        const before = removed[k] || null;
+        const after = added[k] || null;
+
+        if (before && after && before.role === after.role) {
+            rows.push({ type: 'changed', before, after });
+        } else {
+            if (before) rows.push({ type: 'removed', before, after: null });
+            if (after) rows.push({ type: 'added', before: null, after });
+        }
+    }
+    return rows;
+}
+
+/**
+ * Align two transcripts
+ * @param {Object[]} beforeResults - Earlier results from analyzeContainer()
+ * @param {Object[]} afterResults - Later results from analyzeContainer()
+ * @returns {Object[]} Rows of { type: 'same'|'changed'|'added'|'removed', before, after }
+ */
+export function diffTranscripts(beforeResults, afterResults) {
+    const pairs = alignSequences(
+        beforeResults.map(result => result.announcement),
+        afterResults.map(result => result.announcement)
+    );
+
+    const rows = [];
+    let i = 0;
+    let j = 0;
+    [...pairs, [beforeResults.length, afterResults.length]].forEach(([matchI, matchJ]) => {
+        rows.push(...diffGap(beforeResults.slice(i, matchI), afterResults.slice(j, matchJ)));
+        if (matchI < beforeResults.length) {
+            rows.push({ type: 'same', before: beforeResults[matchI], after: afterResults[matchJ] });
+        }
+        i = matchI + 1;
+        j = matchJ + 1;
+    });
+    return rows;
+}
+
+/**
+ * Stable fingerprint for a violating node: rule id plus normalized node HTML
+ * Unlike list positions or nth-child selectors it survives edits elsewhere
+ * in the page; it changes when the offending element itself is edited.
+ * @param {string} ruleId - Axe rule id
+ * @param {Object} node - Node from runAxeAnalysis() results
+ * @returns {string} Fingerprint
+ */
+export function getViolationFingerprint(ruleId, node) {
+    return `${ruleId}|${(node.html || '').replace(/\s+/g, ' ').trim()}`;
+}
+
+/**
+ * Flatten violations to one entry per node, keyed by fingerprint
+ * Identical nodes are numbered so each keeps its own key.
+ */
+function indexViolationNodes(axeResults) {
+    const entries = new Map();
+    (axeResults?.violations || []).forEach(violation => {
+        violation.nodes.forEach(node => {
+            const base = getViolationFingerprint(violation.id, node);
+            let fingerprint = base;
+            for (let n = 2; entries.has(fingerprint); n++) {
+                fingerprint = `${base}#${n}`;
+            }
+            entries.set(fingerprint, {
+                fingerprint,
+                id: violation.id,
+                impact: violation.impact,
+                help: violation.help,
+                helpUrl: violation.helpUrl,
+                html: node.html,
+                target: node.target
+            });
+        });
+    });
+    return entries;
+}
+
+/**
+ * Match violations between two axe runs
+ * @param {Object|null} beforeAxe - Earlier results from runAxeAnalysis()
+ * @param {Object|null} afterAxe - Later results from runAxeAnalysis()
+ * @returns {Object} { resolved, added, persisting }, each a list of per-node entries
+ */
+export function diffViolations(beforeAxe, afterAxe) {
+    const before = indexViolationNodes(beforeAxe);
+    const after = indexViolationNodes(afterAxe);
+
+    return {
+        resolved: [...before.values()].filter(entry => !after.has(entry.fingerprint)),
+        added: [...after.values()].filter(entry => !before.has(entry.fingerprint)),
+        persisting: [...after.values()].filter(entry => before.has(entry.fingerprint))
+    };
+}
+
+/**
+ * Compare two analyses
+ * @param {Object} before - { analysisResults, axeResults }
+ * @param {Object} after - { analysisResults, axeResults }
+ * @returns {Object} { transcript, violations, summary } where summary counts each kind of change
+ */
+export function compareAnalyses(before, after) {
+    const transcript = diffTranscripts(before.analysisResults, after.analysisResults);
+    const violations = diffViolations(before.axeResults, after.axeResults);
+    const count = type => transcript.filter(row => row.type === type).length;
+
+    return {
+        transcript,
+        violations,
+        summary: {
+            added: count('added'),
+            removed: count('removed'),
+            changed: count('changed'),
+            unchanged: count('same'),
+            resolved: violations.resolved.length,
+            new: violations.added.length,
+            persisting: violations.persisting.length
+        }
+    };
+}
@@ -0,0 +1,338 @@
+/**
+ * Announcement Model - Structured role/name/state records for spoken phrases
+ * The Virtual Screen Reader speaks "role, name, value, description, ...labels";
+ * this module splits a phrase back into those parts so it can be re-phrased.
+ */
+
+// WAI-ARIA 1.2 roles the Virtual Screen Reader can speak
+const ROLES = new Set([
+    'alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button', 'caption', 'cell',
+    'checkbox', 'code', 'columnheader', 'combobox', 'complementary', 'contentinfo', 'definition', 'deletion',
+    'dialog', 'directory', 'document', 'emphasis', 'feed', 'figure', 'form', 'generic', 'grid', 'gridcell',
+    'group', 'heading', 'img', 'image', 'insertion', 'link', 'list', 'listbox', 'listitem', 'log', 'main',
+    'mark', 'marquee', 'math', 'menu', 'menubar', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'meter',
+    'navigation', 'note', 'option', 'paragraph', 'presentation', 'progressbar', 'radio', 'radiogroup',
+    'region', 'row', 'rowgroup', 'rowheader', 'scrollbar', 'search', 'searchbox', 'separator', 'slider',
+    'spinbutton', 'status', 'strong', 'subscript', 'superscript', 'switch', 'tab', 'table', 'tablist',
+    'tabpanel', 'term', 'textbox', 'time', 'timer', 'toolbar', 'tooltip', 'tree', 'treegrid', 'treeitem'
+]);
+
+// Boolean states, spoken as "expanded" / "not expanded"
+const STATE_NAMES = {
+    'busy': 'busy',
+    'checked': 'checked',
+    'disabled': 'disabled',
+    'expanded': 'expanded',
+    'invalid': 'invalid',
+    'modal': 'modal',
+    'multi-selectable': 'multiselectable',
+    'pressed': 'pressed',
+    'read only': 'readonly',
+    'required': 'required',
+    'selected': 'selected',
+    'visited': 'visited'
+};
+
+// Attribute labels kept verbatim in `properties` (popups, sort order, value ranges, ...)
+const PROPERTY_PATTERNS = [
+    /^has popup \w+$/,
+    /^(column|row) (count|index|span) .+$/,
+    /^(min|max|current) value .+$/,
+    /^(placeholder|key shortcuts|active descendant) .+$/,
+    /^(autocomplete( inlined| in list| inlined and in list)?|no autocomplete)$/,
+    /^orientated (horizontally|vertically)$/,
+    /^(sorted in (ascending|descending) order|no defined sort order|non ascending \/ descending sort order applied)$/,
+    /^\d+ (controls?|error messages?|alternate reading orders?)$/,
+    /^linked details$/
+];
+
+const TABLE_CELL_ROLES = ['cell', 'gridcell', 'columnheader', 'rowheader'];
+
+/**
+ * Display categories by role; anything unlisted is 'content'
+ */
+const CATEGORY_ROLES = {
+    landmark: ['navigation', 'banner', 'main', 'contentinfo', 'region', 'complementary', 'search', 'article', 'document'],
+    heading: ['heading'],
+    interactive: ['button', 'link', 'menu', 'menubar', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'tab', 'img', 'image'],
+    form: ['textbox', 'searchbox', 'checkbox', 'radio', 'radiogroup', 'combobox', 'listbox', 'option', 'spinbutton', 'slider', 'switch', 'group', 'form']
+};
+
+/**
+ * Parse one attribute label
+ * @returns {Object|null} { type, name, value } where type is 'state', 'level',
+ *     'position', 'size' or 'property'; null if the label is not recognized
+ */
+function parseLabel(label) {
+    let match;
+
+    if ((match = label.match(/^(not )?(.+)$/)) && STATE_NAMES[match[2]]) {
+        return { type: 'state', name: STATE_NAMES[match[2]], value: !match[1] };
+    } else if ((match = label.match(/^partially (checked|pressed)$/))) {
+        return { type: 'state', name: match[1], value: 'mixed' };
+    } else if ((match = label.match(/^(not )?current (page|step|location|date|time|item)$/))) {
+        return { type: 'state', name: 'current', value: match[1] ? false : (match[2] === 'item' ? true : match[2]) };
+    } else if ((match = label.match(/^(grammatical|spelling) error detected$/))) {
+        return { type: 'state', name: 'invalid', value: match[1] === 'grammatical' ? 'grammar' : 'spelling' };
+    } else if ((match = label.match(/^level (\d+)$/))) {
+        return { type: 'level', value: parseInt(match[1], 10) };
+    } else if ((match = label.match(/^position (\d+)$/))) {
+        return { type: 'position', value: parseInt(match[1], 10) };
+    } else if ((match = label.match(/^set size (\d+|unknown)$/))) {
+        return { type: 'size', value: match[1] === 'unknown' ? null : parseInt(match[1], 10) };
+    } else if (PROPERTY_PATTERNS.some(pattern => pattern.test(label))) {
+        return { type: 'property', name: label, value: label };
+    }
+    return null;
+}
+
+/**
+ * Apply one parsed attribute label to a record
+ */
+function applyLabel(record, { type, name, value }) {
+    if (type === 'state') {
+        record.states[name] = value;
+    } else if (type === 'level') {
+        record.level = value;
+    } else if (type === 'position') {
+        record.position = { ...record.position, index: value };
+    } else if (type === 'size') {
+        record.position = { ...record.position, size: value };
+    } else {
+        record.properties.unshift(value);
+    }
+}
+
+/**
+ * An element's value for a spoken state: true, false, 'mixed' or a token
+ * (current, invalid); undefined where the DOM cannot tell. Missing ARIA
+ * attributes count as false, like the role defaults the reader speaks.
+ */
+function getElementState(element, name) {
+    const aria = element.getAttribute(`aria-${name}`);
+    const token = value => value === 'true' ? true : value === 'false' ? false : value;
+
+    switch (name) {
+        case 'checked':
+            if (aria !== null) return token(aria);
+            if (element.localName === 'input' && ['checkbox', 'radio'].includes(element.type)) {
+                return element.indeterminate ? 'mixed' : element.checked;
+            }
+            return false;
+        case 'selected':
+            if (aria !== null) return token(aria);
+            return element.localName === 'option' ? element.selected : false;
+        case 'disabled':
+            return aria === 'true' || element.matches(':disabled');
+        case 'required':
+            return aria === 'true' || element.required === true;
+        case 'readonly':
+            return aria === 'true' || element.readOnly === true;
+        case 'multiselectable':
+            return aria === 'true' || element.multiple === true;
+        case 'current':
+            return aria === null ? false : token(aria);
+        case 'invalid':
+            return aria === null ? undefined : token(aria);
+        case 'visited':
+            return undefined;
+        default:
+            return aria === null ? false : token(aria);
+    }
+}
+
+/**
+ * Heading or tree level of an element; undefined where the DOM cannot tell
+ */
+function getElementLevel(element) {
+    const level = parseInt(element.getAttribute('aria-level'), 10);
+    if (level > 0) return level;
+
+    const heading = element.localName.match(/^h([1-6])$/);
+    if (heading) return parseInt(heading[1], 10);
+    return element.getAttribute('role') === 'heading' ? 2 : undefined;
+}
+
+/**
+ * Whether a parsed label agrees with the element it was spoken for
+ * Labels the DOM cannot confirm are trusted.
+ */
+function labelMatchesElement(element, { type, name, value }) {
+    let actual;
+    if (type === 'state') {
+        actual = getElementState(element, name);
+    } else if (type === 'level') {
+        actual = getElementLevel(element);
+    }
+    return actual === undefined || actual === value;
+}
+
+/**
+ * Normalize whitespace the way accessible names are computed
+ */
+function clean(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Accessible description of an element (aria-describedby, then aria-description)
+ */
+function getDescription(element) {
+    const describedBy = element.getAttribute('aria-describedby');
+    if (describedBy) {
+        const doc = element.ownerDocument;
+        const text = clean(describedBy.split(/\s+/).map(id => doc.getElementById(id)?.textContent).join(' '));
+        if (text) return text;
+    }
+    return clean(element.getAttribute('aria-description'));
+}
+
+/**
+ * Current value of a form control or range widget
+ */
+function getValue(element) {
+    if (element.hasAttribute('aria-valuetext')) return clean(element.getAttribute('aria-valuetext'));
+    if (element.hasAttribute('aria-valuenow')) return clean(element.getAttribute('aria-valuenow'));
+    if (element.localName === 'select') {
+        return clean(Array.from(element.selectedOptions || []).map(option => option.textContent).join(' '));
+    }
+    if (['input', 'textarea'].includes(element.localName) && !['checkbox', 'radio', 'button', 'submit', 'reset'].includes(element.type)) {
+        return clean(element.value);
+    }
+    return '';
+}
+
+/**
+ * Remove a trailing ", part" from the middle of a phrase
+ * @returns {boolean} Whether the part was found and removed
+ */
+function stripTrailing(segments, part) {
+    if (!part) return false;
+    const joined = segments.join(', ');
+    if (joined !== part && !joined.endsWith(`, ${part}`)) return false;
+
+    const remaining = joined === part ? '' : joined.slice(0, -(part.length + 2));
+    segments.splice(0, segments.length, ...(remaining ? remaining.split(', ') : []));
+    return true;
+}
+
+/**
+ * Table dimensions (for tables) or row/column position (for rows and cells)
+ */
+function getTableInfo(role, element) {
+    if (['table', 'grid', 'treegrid'].includes(role)) {
+        const rows = Array.from(element.querySelectorAll('tr, [role="row"]'))
+            .filter(row => row.closest('table, [role="table"], [role="grid"], [role="treegrid"]') === element);
+        const columnCount = Math.max(0, ...rows.map(row =>
+            Array.from(row.children).filter(cell => cell.matches('td, th, [role="cell"], [role="gridcell"], [role="columnheader"], [role="rowheader"]')).length));
+        return { rowCount: rows.length, columnCount };
+    }
+
+    const row = role === 'row' ? element : element.closest('tr, [role="row"]');
+    if (!row) return null;
+
+    const table = row.closest('table, [role="table"], [role="grid"], [role="treegrid"]');
+    const rows = table ? Array.from(table.querySelectorAll('tr, [role="row"]')) : [row];
+    const info = { row: rows.indexOf(row) + 1 };
+
+    if (role !== 'row') {
+        info.column = Array.from(row.children).indexOf(element) + 1;
+    }
+    return info;
+}
+
+/**
+ * Category of a role, used for display grouping
+ * @param {string} role - Role from parseAnnouncement()
+ * @returns {('landmark'|'heading'|'interactive'|'form'|'content')} Category
+ */
+export function getCategoryForRole(role) {
+    for (const [category, roles] of Object.entries(CATEGORY_ROLES)) {
+        if (roles.includes(role)) return category;
+    }
+    return 'content';
+}
+
+/**
+ * Parse a spoken phrase into a structured announcement record
+ * Phrases without a leading role are static text, and so is anything read
+ * from a text node, even when it happens to start with a role name
+ * ("main, …", "link, see below"). When the element is known, its
+ * description and value are split off the name, and list and table
+ * positions are filled in from the DOM.
+ * @param {string} announcement - Phrase from the Virtual Screen Reader
+ * @param {Element|null} [element] - Element under the virtual cursor
+ * @param {Object} [options]
+ * @param {boolean} [options.isText] - The cursor is on a text node
+ * @returns {Object} { role, name, value, description, states, level, position, table, properties, clickable }
+ */
+export function parseAnnouncement(announcement, element = null, { isText = false } = {}) {
+    const record = {
+        role: 'text',
+        name: '',
+        value: '',
+        description: '',
+        states: {},
+        level: null,
+        position: null,
+        table: null,
+        properties: [],
+        clickable: false
+    };
+
+    const segments = announcement.split(', ');
+    if (isText || !ROLES.has(segments[0])) {
+        record.name = announcement;
+        return record;
+    }
+
+    record.role = segments.shift();
+
+    // Attribute labels are always last; consume them from the end, each state
+    // or property at most once
+    const labels = [];
+    const seen = new Set();
+    while (segments.length > 0) {
+        const text = segments[segments.length - 1];
+        const label = parseLabel(text);
+        const key = label && `${label.type}:${label.name ?? ''}`;
+        if (!label || seen.has(key)) break;
+        seen.add(key);
+        labels.push({ ...label, text });
+        segments.pop();
+    }
+
+    // Names can end in label-like text ("Chapter, level 2"); give back the
+    // labels next to the name that the element does not bear out
+    if (element) {
+        while (labels.length > 0 && !labelMatchesElement(element, labels[labels.length - 1])) {
+            segments.push(labels.pop().text);
+        }
+    }
+    labels.forEach(label => applyLabel(record, label));
+    // Keep states in spoken order
+    record.states = Object.fromEntries(Object.entries(record.states).reverse());
+
+    if (element) {
+        const description = getDescription(element);
+        if (stripTrailing(segments, description)) record.description = description;
+
+        const value = getValue(element);
+        if (segments.length > 1 && stripTrailing(segments, value)) record.value = value;
+
+        if (record.role === 'list' && !record.position) {
+            const items = Array.from(element.children).filter(child => child.matches('li, [role="listitem"]'));
+            record.position = { index: null, size: items.length };
+        }
+
+        if (['table', 'grid', 'treegrid', 'row', ...TABLE_CELL_ROLES].includes(record.role)) {
+            record.table = getTableInfo(record.role, element);
+        }
+
+        record.clickable = element.hasAttribute('onclick') &&
+            !['button', 'link', 'checkbox', 'radio', 'menuitem', 'tab', 'option', 'switch'].includes(record.role);
+    }
+
+    record.name = segments.join(', ');
+    return record;
+}
@@ -4,22 +4,92 @@
 
 import {
     analyzeContainer,
-    analyzeContainerSimple
+    analyzeContainerSimple,
+    startInteractiveSession,
+    stopInteractiveSession,
+    performInteraction
 } from './sr-visualizer.js';
 
 import {
+    IMPACT_LEVELS,
+    WCAG_VERSIONS,
+    CONFORMANCE_LEVELS,
+    DEFAULT_AXE_PROFILE,
     runAxeAnalysis,
+    getProfileRules,
+    resolveAxeTarget,
+    mapViolationsToAnnouncements,
     getImpactIcon,
     formatWcagTags
 } from './axe-analyzer.js';
 
 import {
-    hasApiKey,
-    setApiKey,
-    clearApiKey,
+    importAxeProfile,
+    exportAxeProfile,
+    loadAxeProfiles,
+    saveAxeProfile,
+    deleteAxeProfile,
+    getActiveAxeProfile,
+    setActiveAxeProfile
+} from './axe-profiles.js';
+
+import {
+    getAiConfig,
+    setAiConfig,
+    hasAiConfig,
+    clearAiConfig,
+    testAiConnection,
+    listAiModels,
     capturePreview,
-    analyzeIssuesWithGemini
+    planAiBatches,
+    runAiBatches,
+    mergeBatchAnalyses
 } from './ai-analyzer.js';
+import { AI_PROVIDERS } from './ai-providers.js';
+import { getSuggestionCacheKey, getCachedSuggestions, putCachedSuggestions, clearCachedSuggestions } from './ai-cache.js';
+
+import { findQuickNavTarget, getQuickNavKey } from './quick-nav.js';
+import { detectPotentialIssues, mergeWithAxeResults, formatIssue } from './issue-detector.js';
+import {
+    SR_PROFILES,
+    VERBOSITY_LEVELS,
+    phraseAnnouncement,
+    findLandmarkExits
+} from './sr-profiles.js';
+import { getFocusOrder } from './focus-order.js';
+import { ELEMENT_TYPES, collectElementsList } from './elements-list.js';
+import { findLiveRegions, watchLiveRegions } from './live-regions.js';
+import { compareAnalyses, getViolationFingerprint } from './analysis-diff.js';
+import { isApplicableFix, applyFixes, findRemainingViolations, diffCode } from './fix-applier.js';
+import {
+    REVIEW_DECISIONS,
+    applyReviews,
+    getReviewKeys,
+    isConfirmedFinding,
+    loadReviews,
+    saveReview,
+    summarizeReviews
+} from './manual-review.js';
+
+import {
+    loadPreviewDocument,
+    clearPreviewDocument
+} from './preview-frame.js';
+
+import {
+    DEFAULT_PROXY_URL,
+    isHtmlFile,
+    collectDroppedFiles,
+    collectSelectedFiles,
+    loadLocalDocument,
+    fetchViaProxy
+} from './content-loader.js';
+
+import {
+    EXPORT_FORMATS,
+    buildReport,
+    downloadReport
+} from './exporter.js';
 
 import {
     validateAxeResults,
@@ -32,6 +102,11 @@ let analysisResults = [];
 let currentIndex = 0;
 let previewContainer = null;
 let axeResults = null;
+let detectedIssues = [];
+let transcriptIssues = [];
+let manualReviews = {};
+let currentSource = '';
+let currentHtml = '';
 
 // DOM Elements
 const tabButtons = document.querySelectorAll('.tab');
@@ -39,7 +114,15 @@ const tabContents = document.querySelectorAll('.tab-content');
 const sampleCards = document.querySelectorAll('.sample-card');
 const htmlInput = document.getElementById('html-input');
 const analyzeBtn = document.getElementById('analyze-btn');
+const fileInput = document.getElementById('file-input');
+const folderInput = document.getElementById('folder-input');
+const urlInput = document.getElementById('url-input');
+const proxyUrlInput = document.getElementById('proxy-url-input');
+const fetchUrlBtn = document.getElementById('fetch-url-btn');
+const loadError = document.getElementById('load-error');
 const previewFrame = document.getElementById('preview-frame');
+const previewIframe = document.getElementById('preview-iframe');
+const previewPlaceholder = document.getElementById('preview-placeholder');
 const announcementList = document.getElementById('announcement-list');
 const prevBtn = document.getElementById('prev-btn');
 const nextBtn = document.getElementById('next-btn');
@@ -50,7 +133,20 @@ const apiKeyModal = document.getElementById('api-key-modal');
 const startScreen = document.getElementById('start-screen');
 const mainContent = document.getElementById('main-content');
 const newAnalysisBtn = document.getElementById('new-analysis-btn');
+const exportMenu = document.getElementById('export-menu');
+const exportBtn = document.getElementById('export-btn');
+const exportMenuList = document.getElementById('export-menu-list');
+const modalProviderSelect = document.getElementById('modal-provider-select');
+const modalProviderHint = document.getElementById('modal-provider-hint');
+const modalBaseUrlGroup = document.getElementById('modal-base-url-group');
+const modalBaseUrlInput = document.getElementById('modal-base-url-input');
+const modalApiKeyLabel = document.getElementById('modal-api-key-label');
 const modalApiKeyInput = document.getElementById('modal-api-key-input');
+const modalModelInput = document.getElementById('modal-model-input');
+const modalModelList = document.getElementById('modal-model-list');
+const modalListModelsBtn = document.getElementById('modal-list-models-btn');
+const modalClearCacheBtn = document.getElementById('modal-clear-cache-btn');
+const modalCacheStatus = document.getElementById('modal-cache-status');
 const modalSaveBtn = document.getElementById('modal-save-btn');
 const modalCancelBtn = document.getElementById('modal-cancel-btn');
 const modalCloseBtn = document.getElementById('modal-close-btn');
@@ -60,7 +156,78 @@ const ttsToggleBtn = document.getElementById('tts-toggle-btn');
 const ttsIndicator = document.getElementById('tts-indicator');
 const aiSection = document.getElementById('ai-section');
 const aiSectionContent = document.getElementById('ai-section-content');
+const aiRefreshBtn = document.getElementById('ai-refresh-btn');
+const aiProgress = document.getElementById('ai-progress');
+const aiProgressBar = document.getElementById('ai-progress-bar');
+const aiProgressText = document.getElementById('ai-progress-text');
+const aiBatchFailures = document.getElementById('ai-batch-failures');
+const aiApplyAllBtn = document.getElementById('ai-apply-all-btn');
+const fixResult = document.getElementById('fix-result');
+const fixModal = document.getElementById('fix-modal');
+const fixModalSummary = document.getElementById('fix-modal-summary');
+const fixDiffs = document.getElementById('fix-diffs');
+const fixConfirmBtn = document.getElementById('fix-confirm-btn');
+const fixCancelBtn = document.getElementById('fix-cancel-btn');
+const fixCloseBtn = document.getElementById('fix-close-btn');
 const ttsModeSelect = document.getElementById('tts-mode-select');
+const srProfileSelect = document.getElementById('sr-profile-select');
+const verbositySelect = document.getElementById('verbosity-select');
+const focusOrderBtn = document.getElementById('focus-order-btn');
+const focusOrderSection = document.getElementById('focus-order-section');
+const focusOrderList = document.getElementById('focus-order-list');
+const focusOrderSummary = document.getElementById('focus-order-summary');
+const elementsListBtn = document.getElementById('elements-list-btn');
+const elementsListModal = document.getElementById('elements-list-modal');
+const elementsListTypes = document.getElementById('elements-list-types');
+const elementsListFilter = document.getElementById('elements-list-filter');
+const elementsListSummary = document.getElementById('elements-list-summary');
+const elementsListTree = document.getElementById('elements-list-tree');
+const elementsListCloseBtn = document.getElementById('elements-list-close-btn');
+const elementsListCancelBtn = document.getElementById('elements-list-cancel-btn');
+const interactiveBtn = document.getElementById('interactive-btn');
+const interactiveToolbar = document.getElementById('interactive-toolbar');
+const interactiveTarget = document.getElementById('interactive-target');
+const interactiveStatus = document.getElementById('interactive-status');
+const interactClickBtn = document.getElementById('interact-click-btn');
+const interactPressForm = document.getElementById('interact-press-form');
+const interactKeyInput = document.getElementById('interact-key-input');
+const interactTypeForm = document.getElementById('interact-type-form');
+const interactTextInput = document.getElementById('interact-text-input');
+const interactScriptsCheckbox = document.getElementById('interact-scripts-checkbox');
+const interactScriptsWarning = document.getElementById('interact-scripts-warning');
+const liveRegionSummary = document.getElementById('live-region-summary');
+const liveRegionTimeline = document.getElementById('live-region-timeline');
+const liveRegionClearBtn = document.getElementById('live-region-clear-btn');
+const compareBtn = document.getElementById('compare-btn');
+const compareModal = document.getElementById('compare-modal');
+const compareHtmlInput = document.getElementById('compare-html-input');
+const compareRunBtn = document.getElementById('compare-run-btn');
+const compareCancelBtn = document.getElementById('compare-cancel-btn');
+const compareCloseBtn = document.getElementById('compare-close-btn');
+const compareSection = document.getElementById('compare-section');
+const compareSummary = document.getElementById('compare-summary');
+const compareViolations = document.getElementById('compare-violations');
+const compareTranscript = document.getElementById('compare-transcript');
+const compareEditBtn = document.getElementById('compare-edit-btn');
+const compareExitBtn = document.getElementById('compare-exit-btn');
+const axeSettingsBtn = document.getElementById('axe-settings-btn');
+const axeSettingsModal = document.getElementById('axe-settings-modal');
+const axeSettingsCloseBtn = document.getElementById('axe-settings-close-btn');
+const axeSettingsError = document.getElementById('axe-settings-error');
+const axeProfileSelect = document.getElementById('axe-profile-select');
+const axeProfileNameInput = document.getElementById('axe-profile-name');
+const axeWcagVersionSelect = document.getElementById('axe-wcag-version');
+const axeConformanceLevelSelect = document.getElementById('axe-conformance-level');
+const axeBestPracticeCheckbox = document.getElementById('axe-best-practice-checkbox');
+const axeExperimentalCheckbox = document.getElementById('axe-experimental-checkbox');
+const axeRulesFilter = document.getElementById('axe-rules-filter');
+const axeRulesSummary = document.getElementById('axe-rules-summary');
+const axeRulesList = document.getElementById('axe-rules-list');
+const axeProfileImportBtn = document.getElementById('axe-profile-import-btn');
+const axeProfileFileInput = document.getElementById('axe-profile-file-input');
+const axeProfileExportBtn = document.getElementById('axe-profile-export-btn');
+const axeProfileDeleteBtn = document.getElementById('axe-profile-delete-btn');
+const axeProfileSaveBtn = document.getElementById('axe-profile-save-btn');
 
 // Text-to-Speech State
 let ttsEnabled = false;
@@ -69,6 +236,47 @@ let ttsMode = 'single'; // 'single' or 'continuous'
 let currentUtterance = null;
 let currentHighlight = null;
 
+// Screen Reader Profile State
+let srProfile = localStorage.getItem('sr_profile') || 'virtual';
+let verbosity = localStorage.getItem('sr_verbosity') || 'high';
+let landmarkExits = [];
+
+// Focus Order View State
+let focusOrderActive = false;
+let focusStops = [];
+let focusBadges = [];
+
+// Elements List State
+let elementsListType = 'headings';
+let elementsListData = null;
+
+// Interactive mode state
+let interactiveActive = false;
+let interactionPending = false;
+let allowPageScripts = false;
+
+// Live region monitor state
+let stopLiveRegionWatch = null;
+let liveRegionCount = 0;
+let liveRegionEvents = [];
+
+// Compare mode: the analysis before the first edit ({ analysisResults, axeResults, html })
+let compareBaseline = null;
+
+// AI run being streamed in batches, kept for per-batch retry
+let aiRun = null;
+
+// Suggested fix state
+let currentAiAnalysis = null;
+let aiSuggestions = [];
+let appliedFixes = new Set();
+let pendingFixes = null;
+let fixHistory = [];
+
+// Axe rule settings state
+let axeProfile = getActiveAxeProfile();
+let axeProfileDraft = null;
+
 /**
  * Initialize the application
  */
@@ -76,6 +284,9 @@ function init() {
     setupTabSwitching();
     setupSampleCards();
     setupAnalyzeButton();
+    setupFileLoading();
+    setupDragAndDrop();
+    setupUrlLoading();
     setupNavigation();
     setupKeyboardNavigation();
     setupAiEnhanceButton();
@@ -83,7 +294,16 @@ function init() {
     setupClearApiKeyButton();
     updateClearKeyButtonVisibility();
     setupTextToSpeech();
+    setupScreenReaderProfiles();
     setupNewAnalysisButton();
+    setupExportMenu();
+    setupFocusOrderView();
+    setupElementsList();
+    setupInteractiveMode();
+    setupLiveRegionMonitor();
+    setupCompareMode();
+    setupAxeSettings();
+    setupFixApplier();
 
     console.log('✅ SR Visualizer initialized');
 }
@@ -138,15 +358,36 @@ function showStartScreen() {
     startScreen.style.display = 'block';
     mainContent.style.display = 'none';
     newAnalysisBtn.style.display = 'none';
+    exportMenu.style.display = 'none';
+    closeExportMenu();
 
     // Clear previous analysis
     analysisResults = [];
     currentIndex = 0;
     axeResults = null;
-    previewFrame.innerHTML = '<p class="placeholder-text">Select a sample or paste HTML to begin</p>';
+    detectedIssues = [];
+    transcriptIssues = [];
+    manualReviews = {};
+    previewContainer = null;
+    removeHighlight();
+    setFocusOrderActive(false);
+    if (interactiveActive) setInteractiveActive(false);
+    exitCompareMode();
+    stopLiveRegionWatch?.();
+    stopLiveRegionWatch = null;
+    clearPreviewDocument(previewIframe);
+    previewFrame.classList.remove('has-content');
+    previewPlaceholder.hidden = false;
     announcementList.innerHTML = '<li class="placeholder-item">Announcements will appear here...</li>';
     issuesContent.innerHTML = '<p class="placeholder-item">Issues will appear after analysis...</p>';
     aiSection.style.display = 'none';
+    fixResult.hidden = true;
+    aiProgress.hidden = true;
+    aiRun = null;
+    currentAiAnalysis = null;
+    aiSuggestions = [];
+    appliedFixes.clear();
+    fixHistory = [];
     elementCounter.textContent = '0 / 0';
 
     // Stop any ongoing narration
@@ -162,6 +403,106 @@ function showVisualization() {
     startScreen.style.display = 'none';
     mainContent.style.display = 'block';
     newAnalysisBtn.style.display = 'block';
+    exportMenu.style.display = 'block';
+}
+
+/**
+ * Setup Export menu (JSON, Markdown, CSV, plain text)
+ */
+function setupExportMenu() {
+    const items = () => Array.from(exportMenuList.querySelectorAll('[role="menuitem"]'));
+
+    exportBtn.addEventListener('click', () => {
+        if (exportMenuList.hidden) {
+            openExportMenu();
+        } else {
+            closeExportMenu();
+        }
+    });
+
+    exportMenuList.addEventListener('click', (e) => {
+        const item = e.target.closest('[role="menuitem"]');
+        if (!item) return;
+        closeExportMenu();
+        exportBtn.focus();
+        exportResults(item.dataset.format);
+    });
+
+    // Arrow keys move between items, Escape closes
+    exportMenuList.addEventListener('keydown', (e) => {
+        const menuItems = items();
+        const position = menuItems.indexOf(document.activeElement);
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                menuItems[(position + 1) % menuItems.length].focus();
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                menuItems[(position - 1 + menuItems.length) % menuItems.length].focus();
+                break;
+            case 'Home':
+                e.preventDefault();
+                menuItems[0].focus();
+                break;
+            case 'End':
+                e.preventDefault();
+                menuItems[menuItems.length - 1].focus();
+                break;
+            case 'Escape':
+            case 'Tab':
+                closeExportMenu();
+                if (e.key === 'Escape') exportBtn.focus();
+                break;
+        }
+    });
+
+    // Close when clicking outside
+    document.addEventListener('click', (e) => {
+        if (!exportMenu.contains(e.target)) {
+            closeExportMenu();
+        }
+    });
+}
+
+/**
+ * Open the Export menu and focus its first item
+ */
+function openExportMenu() {
+    exportMenuList.hidden = false;
+    exportBtn.setAttribute('aria-expanded', 'true');
+    exportMenuList.querySelector('[role="menuitem"]').focus();
+}
+
+/**
+ * Close the Export menu
+ */
+function closeExportMenu() {
+    exportMenuList.hidden = true;
+    exportBtn.setAttribute('aria-expanded', 'false');
+}
+
+/**
+ * Download the current transcript and axe results in the chosen format
+ * @param {('json'|'markdown'|'csv'|'text')} format - Export format
+ */
+function exportResults(format) {
+    if (analysisResults.length === 0 && !axeResults) {
+        announceToScreenReader('Nothing to export yet. Please analyze a page first.');
+        return;
+    }
+
+    const report = buildReport({
+        source: currentSource,
+        analysisResults,
+        axeResults,
+        issues: transcriptIssues,
+        reviews: manualReviews
+    });
+    const filename = downloadReport(format, report);
+    console.log(`⬇️ Exported ${EXPORT_FORMATS[format].label} report: ${filename}`);
+    announceToScreenReader(`Exported ${EXPORT_FORMATS[format].label} report.`);
 }
 
 /**
@@ -198,7 +539,8 @@ function setupSampleCards() {
 
             if (template) {
                 const html = template.innerHTML;
-                loadAndAnalyze(html);
+                const title = card.querySelector('.sample-title').textContent;
+                runAnalysis(html, `Sample: ${title}`);
             }
         });
     });
@@ -211,11 +553,161 @@ function setupAnalyzeButton() {
     analyzeBtn.addEventListener('click', () => {
         const html = htmlInput.value.trim();
         if (html) {
-            loadAndAnalyze(html);
+            runAnalysis(html, 'Pasted HTML');
+        }
+    });
+}
+
+/**
+ * Open File tab: single HTML files and whole folders
+ */
+function setupFileLoading() {
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) {
+            loadFromFiles(collectSelectedFiles(fileInput.files));
+        }
+        fileInput.value = '';
+    });
+
+    folderInput.addEventListener('change', () => {
+        if (folderInput.files.length > 0) {
+            loadFromFiles(collectSelectedFiles(folderInput.files));
+        }
+        folderInput.value = '';
+    });
+}
+
+/**
+ * Drag-and-drop of HTML files and folders onto the start screen
+ */
+function setupDragAndDrop() {
+    // dragenter/dragleave fire for every child, so track nesting depth
+    let dragDepth = 0;
+
+    startScreen.addEventListener('dragenter', (e) => {
+        e.preventDefault();
+        dragDepth++;
+        startScreen.classList.add('drag-over');
+    });
+
+    startScreen.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+    });
+
+    startScreen.addEventListener('dragleave', () => {
+        dragDepth = Math.max(0, dragDepth - 1);
+        if (dragDepth === 0) {
+            startScreen.classList.remove('drag-over');
+        }
+    });
+
+    startScreen.addEventListener('drop', async (e) => {
+        e.preventDefault();
+        dragDepth = 0;
+        startScreen.classList.remove('drag-over');
+
+        try {
+            const files = await collectDroppedFiles(e.dataTransfer);
+            await loadFromFiles(files);
+        } catch (error) {
+            showLoadError('Drag and Drop', error);
+        }
+    });
+}
+
+/**
+ * From URL tab: fetch pages through the local proxy server
+ */
+function setupUrlLoading() {
+    proxyUrlInput.value = localStorage.getItem('proxy_url') || DEFAULT_PROXY_URL;
+
+    const fetchAndAnalyze = async () => {
+        const url = urlInput.value.trim();
+        if (!url) return;
+
+        const proxyUrl = proxyUrlInput.value.trim() || DEFAULT_PROXY_URL;
+        localStorage.setItem('proxy_url', proxyUrl);
+
+        fetchUrlBtn.disabled = true;
+        fetchUrlBtn.textContent = 'Fetching...';
+        loadError.innerHTML = '';
+
+        try {
+            const html = await fetchViaProxy(url, proxyUrl);
+            await runAnalysis(html, url);
+        } catch (error) {
+            console.error('❌ URL fetch failed:', error);
+            showLoadError('URL Fetch', error, fetchAndAnalyze);
+        } finally {
+            fetchUrlBtn.disabled = false;
+            fetchUrlBtn.textContent = 'Fetch & Analyze';
+        }
+    };
+
+    fetchUrlBtn.addEventListener('click', fetchAndAnalyze);
+    urlInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            fetchAndAnalyze();
         }
     });
 }
 
+/**
+ * Resolve local files to HTML and analyze the entry document
+ * @param {Array<{ path: string, file: File }>} files - Selected or dropped files
+ */
+async function loadFromFiles(files) {
+    loadError.innerHTML = '';
+
+    if (!files.some(({ path }) => isHtmlFile(path))) {
+        showLoadError('Open File', new Error('Please choose an .html file or a folder containing one.'));
+        return;
+    }
+
+    try {
+        const { html, path } = await loadLocalDocument(files);
+        console.log(`📄 Loaded ${path} (${files.length} file${files.length === 1 ? '' : 's'})`);
+        await runAnalysis(html, path);
+    } catch (error) {
+        console.error('❌ Failed to load files:', error);
+        showLoadError('Open File', error);
+    }
+}
+
+/**
+ * Show a content loading error on the start screen
+ */
+function showLoadError(location, error, retryCallback = null) {
+    const { userMessage } = categorizeError(error);
+    loadError.innerHTML = '';
+    loadError.appendChild(showError(location, userMessage, retryCallback));
+    announceToScreenReader(`${location} failed. ${userMessage}`, true);
+}
+
+/**
+ * Analyze HTML, reporting failures instead of leaving the promise unhandled
+ * @param {string} html - HTML to analyze
+ * @param {string} source - Label for where the HTML came from
+ * @param {string} [location='Analysis'] - Label for the error message
+ * @returns {Promise<boolean>} Whether the analysis finished
+ */
+async function runAnalysis(html, source, location = 'Analysis') {
+    try {
+        await loadAndAnalyze(html, source);
+        return true;
+    } catch (error) {
+        console.error(`❌ ${location} failed:`, error);
+        const { userMessage } = categorizeError(error);
+        announcementList.innerHTML = '';
+        announcementList.appendChild(showError(location, userMessage, () => {
+            runAnalysis(html, source, location);
+        }));
+        announceToScreenReader(`${location} failed. ${userMessage}`, true);
+        return false;
+    }
+}
+
 /**
  * Navigation buttons for stepping through elements
  */
@@ -247,6 +739,16 @@ function setupNavigation() {
  * - Home: Jump to first element
  * - End: Jump to last element
  *
+ * Quick navigation (Shift+key moves backwards):
+ * - H / 1-6: Next heading / heading at level
+ * - D: Next landmark
+ * - K: Next link
+ * - F: Next form field
+ * - B: Next button
+ * - T: Next table
+ * - L: Next list
+ * - E: Open the elements list
+ *
  * TTS shortcuts:
  * - Space/Enter: Toggle text-to-speech playback
  * - Escape: Stop TTS immediately
@@ -262,7 +764,8 @@ function setupKeyboardNavigation() {
     document.addEventListener('keydown', (e) => {
         // Skip if in input or modal open
         if (e.target.matches('input, textarea, select')) return;
-        if (apiKeyModal.classList.contains('open')) return;
+        if (e.target.closest('[role="menu"]')) return;
+        if (document.querySelector('.modal-backdrop.open')) return;
 
         switch(e.key) {
             case 'ArrowRight':
@@ -321,12 +824,56 @@ function setupKeyboardNavigation() {
                 e.preventDefault();
                 showKeyboardHelp();
                 break;
+
+            case 'e':
+            case 'E':
+                if (e.ctrlKey || e.metaKey || e.altKey) break;
+                e.preventDefault();
+                openElementsList();
+                break;
+
+            default:
+                handleQuickNavKey(e);
         }
     });
 
     console.log('⌨️ Keyboard navigation enabled');
 }
 
+/**
+ * Move to the next/previous announcement of a type (browse mode quick keys)
+ * @param {KeyboardEvent} e - The keydown event
+ */
+function handleQuickNavKey(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey || analysisResults.length === 0) return;
+
+    const target = findQuickNavTarget(analysisResults, currentIndex, getQuickNavKey(e), e.shiftKey);
+    if (!target) return;
+
+    e.preventDefault();
+
+    if (target.index === -1) {
+        speakFeedback(`no ${e.shiftKey ? 'previous' : 'next'} ${target.name}`);
+        return;
+    }
+
+    currentIndex = target.index;
+    updateCurrentElement();
+}
+
+/**
+ * Speak short navigation feedback, like a screen reader's "no next heading"
+ * @param {string} message - Feedback to speak and announce
+ */
+function speakFeedback(message) {
+    announceToScreenReader(message, true);
+
+    if ('speechSynthesis' in window) {
+        stopSpeech();
+        window.speechSynthesis.speak(new SpeechSynthesisUtterance(message));
+    }
+}
+
 /**
  * Show keyboard shortcuts help
  */
@@ -339,6 +886,17 @@ Navigation:
   Home   First element
   End    Last element
 
+Quick navigation (Shift+key for previous):
+  H      Next heading
+  1-6    Next heading at level 1-6
+  D      Next landmark
+  K      Next link
+  F      Next form field
+  B      Next button
+  T      Next table
+  L      Next list
+  E      Elements list (headings, landmarks, links, form fields)
+
 Text-to-Speech:
   Space/Enter  Play/pause
   Esc          Stop
@@ -356,12 +914,26 @@ function setupAiEnhanceButton() {
     enhanceAiBtn.addEventListener('click', () => {
         runAiEnhancement();
     });
+    aiRefreshBtn.addEventListener('click', () => {
+        runAiEnhancement({ forceRefresh: true });
+    });
 }
 
 /**
  * Setup modal event handlers
  */
 function setupModal() {
+    Object.entries(AI_PROVIDERS).forEach(([id, provider]) => {
+        modalProviderSelect.appendChild(new Option(provider.label, id));
+    });
+
+    // Switching provider starts from that provider's defaults
+    modalProviderSelect.addEventListener('change', () => {
+        fillAiProviderForm({ provider: modalProviderSelect.value });
+    });
+    modalListModelsBtn.addEventListener('click', loadAiModelOptions);
+    modalClearCacheBtn.addEventListener('click', clearAiSuggestionCache);
+
     // Close modal on backdrop click
     apiKeyModal.addEventListener('click', (e) => {
         if (e.target === apiKeyModal) {
@@ -380,25 +952,96 @@ function setupModal() {
         }
     });
 
-    // Save API key on button click
+    // Save provider settings on button click
     modalSaveBtn.addEventListener('click', async () => {
-        await validateAndSaveApiKey();
+        await validateAndSaveAiConfig();
     });
 
-    // Save API key on Enter key
-    modalApiKeyInput.addEventListener('keypress', async (e) => {
-        if (e.key === 'Enter') {
-            await validateAndSaveApiKey();
-        }
+    // Save provider settings on Enter key
+    [modalBaseUrlInput, modalApiKeyInput, modalModelInput].forEach(input => {
+        input.addEventListener('keypress', async (e) => {
+            if (e.key === 'Enter') {
+                await validateAndSaveAiConfig();
+            }
+        });
     });
 }
 
+/**
+ * Fill the modal's provider fields, using the provider's defaults for missing values
+ * @param {Object} config - { provider, apiKey, model, baseUrl }
+ */
+function fillAiProviderForm({ provider, apiKey = '', model = '', baseUrl = '' }) {
+    const { needsKey, defaults, hint } = AI_PROVIDERS[provider];
+
+    modalProviderSelect.value = provider;
+    modalBaseUrlGroup.hidden = !defaults.baseUrl;
+    modalBaseUrlInput.value = baseUrl || defaults.baseUrl;
+    modalApiKeyInput.value = apiKey;
+    modalApiKeyLabel.textContent = needsKey ? 'API Key' : 'API Key (optional)';
+    modalModelInput.value = model || defaults.model;
+    modalModelList.innerHTML = '';
+    modalProviderHint.innerHTML = hint;
+}
+
+/**
+ * Provider settings as currently entered in the modal
+ */
+function readAiProviderForm() {
+    return {
+        provider: modalProviderSelect.value,
+        apiKey: modalApiKeyInput.value,
+        model: modalModelInput.value,
+        baseUrl: modalBaseUrlGroup.hidden ? '' : modalBaseUrlInput.value
+    };
+}
+
+/**
+ * Offer the provider's models as suggestions for the model field
+ */
+async function loadAiModelOptions() {
+    modalListModelsBtn.disabled = true;
+    modalError.style.display = 'none';
+
+    try {
+        const models = await listAiModels(readAiProviderForm());
+        modalModelList.innerHTML = '';
+        models.forEach(model => modalModelList.appendChild(new Option(model, model)));
+        announceToScreenReader(`${models.length} ${models.length === 1 ? 'model' : 'models'} available.`);
+    } catch (error) {
+        console.error('❌ Could not list models:', error);
+        modalError.textContent = `⚠️ Could not list models: ${error.message}`;
+        modalError.style.display = 'block';
+    } finally {
+        modalListModelsBtn.disabled = false;
+    }
+}
+
+/**
+ * Remove every cached AI suggestion, so the next run asks the model again
+ */
+async function clearAiSuggestionCache() {
+    modalClearCacheBtn.disabled = true;
+    modalCacheStatus.textContent = '';
+
+    try {
+        await clearCachedSuggestions();
+        modalCacheStatus.textContent = 'Cached suggestions cleared.';
+    } catch (error) {
+        console.error('❌ Could not clear cached suggestions:', error);
+        modalCacheStatus.textContent = `⚠️ Could not clear cached suggestions: ${error.message}`;
+    } finally {
+        modalClearCacheBtn.disabled = false;
+    }
+}
+
 /**
  * Open the API key modal
  */
 function openApiKeyModal(errorMessage = null) {
     apiKeyModal.classList.add('open');
-    modalApiKeyInput.value = '';
+    fillAiProviderForm(getAiConfig() || { provider: 'gemini' });
+    modalCacheStatus.textContent = '';
 
     // Store element that opened modal for focus return
     const previouslyFocused = document.activeElement;
@@ -408,7 +1051,7 @@ function openApiKeyModal(errorMessage = null) {
 
     // Focus input after modal is visible
     setTimeout(() => {
-        modalApiKeyInput.focus();
+        modalProviderSelect.focus();
     }, 100);
 
     // Show error message if provided
@@ -434,10 +1077,7 @@ function closeApiKeyModal() {
     modalSaveBtn.textContent = 'Connect & Analyze';
 
     // Remove focus trap
-    if (apiKeyModal._focusTrapHandler) {
-        apiKeyModal.removeEventListener('keydown', apiKeyModal._focusTrapHandler);
-        apiKeyModal._focusTrapHandler = null;
-    }
+    removeModalFocusTrap(apiKeyModal);
 
     // Restore focus to element that opened modal
     const returnId = apiKeyModal.dataset.returnFocusTo;
@@ -461,32 +1101,37 @@ function closeApiKeyModal() {
  * - Shift+Tab from first element: Cycles to last element
  * - Only traps Tab key (other navigation keys work normally)
  *
- * Focusable elements include: buttons, inputs, and elements with tabindex >= 0
- * Disabled elements are automatically excluded from the trap.
+ * Focusable elements include links, form controls and elements with tabindex >= 0.
+ * Disabled and hidden elements are excluded. They are looked up on every Tab
+ * press, so dialogs whose content re-renders (rule lists, diffs) stay trapped.
  *
  * The handler is stored on the modal element itself and removed when modal closes.
+ *
+ * @param {HTMLElement} [modal=apiKeyModal] - The modal backdrop element
  */
-function setupModalFocusTrap() {
-    // Get all focusable elements within modal
-    const focusableSelector = 'button:not([disabled]), input:not([disabled]), [tabindex]:not([tabindex="-1"])';
-    const focusableElements = Array.from(apiKeyModal.querySelectorAll(focusableSelector));
-
-    if (focusableElements.length === 0) return;
-
-    const firstFocusable = focusableElements[0];
-    const lastFocusable = focusableElements[focusableElements.length - 1];
-
+function setupModalFocusTrap(modal = apiKeyModal) {
     // Remove previous handler if exists
-    if (apiKeyModal._focusTrapHandler) {
-        apiKeyModal.removeEventListener('keydown', apiKeyModal._focusTrapHandler);
-    }
+    removeModalFocusTrap(modal);
 
     // Create new trap handler
-    apiKeyModal._focusTrapHandler = (e) => {
+    modal._focusTrapHandler = (e) => {
         // Only trap Tab key
         if (e.key !== 'Tab') return;
 
-        if (e.shiftKey) {
+        const focusableElements = getModalFocusables(modal);
+        if (focusableElements.length === 0) {
+            e.preventDefault();
+            return;
+        }
+
+        const firstFocusable = focusableElements[0];
+        const lastFocusable = focusableElements[focusableElements.length - 1];
+
+        // Focus left the list (e.g. its element was re-rendered): bring it back
+        if (!focusableElements.includes(document.activeElement)) {
+            e.preventDefault();
+            (e.shiftKey ? lastFocusable : firstFocusable).focus();
+        } else if (e.shiftKey) {
             // Shift+Tab: if on first element, move to last
             if (document.activeElement === firstFocusable) {
                 e.preventDefault();
@@ -501,15 +1146,46 @@ function setupModalFocusTrap() {
         }
     };
 
-    apiKeyModal.addEventListener('keydown', apiKeyModal._focusTrapHandler);
+    modal.addEventListener('keydown', modal._focusTrapHandler);
+}
+
+/**
+ * Elements a modal's focus trap cycles through, in DOM order
+ * @param {HTMLElement} modal - The modal backdrop element
+ * @returns {HTMLElement[]}
+ */
+function getModalFocusables(modal) {
+    const focusableSelector = [
+        'a[href]',
+        'button:not([disabled])',
+        'input:not([disabled]):not([type="hidden"])',
+        'select:not([disabled])',
+        'textarea:not([disabled])',
+        'summary',
+        '[contenteditable]:not([contenteditable="false"])',
+        '[tabindex]'
+    ].join(', ');
+
+    return Array.from(modal.querySelectorAll(focusableSelector))
+        .filter(el => el.tabIndex >= 0 && !el.closest('[hidden]'));
+}
+
+/**
+ * Remove a modal's focus trap handler
+ * @param {HTMLElement} modal - The modal backdrop element
+ */
+function removeModalFocusTrap(modal) {
+    if (modal._focusTrapHandler) {
+        modal.removeEventListener('keydown', modal._focusTrapHandler);
+        modal._focusTrapHandler = null;
+    }
 }
 
 /**
- * Validate and save API key from modal
+ * Validate and save the provider settings from the modal
  */
-async function validateAndSaveApiKey() {
-    const key = modalApiKeyInput.value.trim();
-    if (!key) return;
+async function validateAndSaveAiConfig() {
+    const config = readAiProviderForm();
 
     // Show loading state
     modalSaveBtn.disabled = true;
@@ -517,15 +1193,11 @@ async function validateAndSaveApiKey() {
     modalError.style.display = 'none';
 
     try {
-        // Temporarily set the key for validation
-        setApiKey(key);
+        console.log(`🔑 Validating ${AI_PROVIDERS[config.provider].label} settings in modal...`);
+        await testAiConnection(config);
+        setAiConfig(config);
 
-        // Validate the API key
-        console.log('🔑 Validating API key in modal...');
-        const { testApiConnection } = await import('./ai-analyzer.js');
-        await testApiConnection();
-
-        console.log('✅ API key is valid');
+        console.log('✅ AI provider is reachable');
 
         // Close modal and run analysis
         closeApiKeyModal();
@@ -533,13 +1205,10 @@ async function validateAndSaveApiKey() {
         await runAiEnhancement();
 
     } catch (error) {
-        console.error('❌ API key validation failed:', error);
-
-        // Clear the invalid key
-        clearApiKey();
+        console.error('❌ AI provider validation failed:', error);
 
         // Show error in modal
-        modalError.textContent = '⚠️ Invalid API key. Please check and try again.';
+        modalError.textContent = `⚠️ ${error.message}. Please check and try again.`;
         modalError.style.display = 'block';
 
         // Reset button state
@@ -553,10 +1222,10 @@ async function validateAndSaveApiKey() {
  */
 function setupClearApiKeyButton() {
     clearApiKeyBtn.addEventListener('click', () => {
-        if (confirm('Are you sure you want to clear your stored API key?')) {
-            clearApiKey();
+        if (confirm('Are you sure you want to disconnect the AI provider and clear your stored API key?')) {
+            clearAiConfig();
             updateClearKeyButtonVisibility();
-            alert('API key cleared successfully!');
+            alert('AI provider disconnected successfully!');
         }
     });
 }
@@ -565,7 +1234,7 @@ function setupClearApiKeyButton() {
  * Update Clear Key button visibility based on whether a key is stored
  */
 function updateClearKeyButtonVisibility() {
-    if (hasApiKey()) {
+    if (hasAiConfig()) {
         clearApiKeyBtn.style.display = 'block';
     } else {
         clearApiKeyBtn.style.display = 'none';
@@ -576,11 +1245,12 @@ function updateClearKeyButtonVisibility() {
  * Load HTML into preview and coordinate all accessibility analysis
  *
  * @param {string} html - HTML content to analyze
+ * @param {string} [source] - Label for what is analyzed (sample, file path, URL), used in exports
  * @returns {Promise<void>}
  *
  * @description
  * Orchestrates the complete analysis workflow:
- * 1. Switches to visualization view
+ * 1. Switches to visualization view and renders HTML in the sandboxed preview iframe
  * 2. Runs Virtual Screen Reader analysis (streams results via callback)
  * 3. Falls back to simple DOM analysis if VSR fails
  * 4. Runs Axe-core WCAG analysis in parallel with display updates
@@ -593,23 +1263,47 @@ function updateClearKeyButtonVisibility() {
  * @example
  * await loadAndAnalyze('<button>Click me</button>');
  */
-async function loadAndAnalyze(html) {
+async function loadAndAnalyze(html, source = '') {
     // Switch to visualization view
     showVisualization();
 
+    // The Virtual Screen Reader can only run one session at a time
+    await stopInteractiveSession();
+
     // Clear previous state
     analysisResults = [];
+    landmarkExits = [];
     currentIndex = 0;
     axeResults = null;
+    detectedIssues = [];
+    transcriptIssues = [];
+    currentSource = source;
+    currentHtml = html;
+    manualReviews = loadReviews(html);
+    exportBtn.disabled = true;
+
+    // Proxied pages come from arbitrary hosts, so their scripts never run
+    if (isProxiedSource(source)) {
+        allowPageScripts = false;
+    }
+    updatePageScriptsControl();
 
     // Disable AI Enhance button during analysis
     enhanceAiBtn.disabled = true;
     enhanceAiBtn.title = 'Please wait for analysis to complete';
 
-    // Create preview content
-    previewFrame.innerHTML = html;
+    // Render preview content in the isolated iframe
+    removeHighlight();
+    removeFocusBadges();
+    previewPlaceholder.hidden = true;
     previewFrame.classList.add('has-content');
-    previewContainer = previewFrame;
+    const previewDocument = await loadPreviewDocument(previewIframe, html, { allowScripts: allowPageScripts });
+    previewContainer = previewDocument.body;
+    previewDocument.defaultView.addEventListener('scroll', () => {
+        positionHighlight();
+        positionFocusBadges();
+    });
+    startLiveRegionMonitor();
 
     // Clear the lists and show loading indicators
     announcementList.innerHTML = '<li class="loading">Analyzing screen reader output...</li>';
@@ -620,7 +1314,7 @@ async function loadAndAnalyze(html) {
         // Run Screen Reader analysis
         console.log('🔍 Starting analysis...');
 
-        analysisResults = await analyzeContainer(previewFrame, (result, count) => {
+        analysisResults = await analyzeContainer(previewContainer, (result, count) => {
             // Clear loading message on first result
             if (count === 1) {
                 announcementList.innerHTML = '';
@@ -634,7 +1328,10 @@ async function loadAndAnalyze(html) {
         // If no results from VSR, use simple analysis as fallback
         if (analysisResults.length === 0) {
             console.log('⚠️ VSR returned no results, using fallback analysis');
-            analysisResults = analyzeContainerSimple(previewFrame);
+            analysisResults = analyzeContainerSimple(previewContainer);
+            updateAnnouncementList();
+        } else if (VERBOSITY_LEVELS[verbosity].boundaries) {
+            // Landmark exits need the whole transcript; re-render with them
             updateAnnouncementList();
         }
 
@@ -658,7 +1355,7 @@ async function loadAndAnalyze(html) {
             console.log('🔄 Attempting fallback analysis...');
             announceToScreenReader('Primary analysis failed. Using fallback method.');
 
-            analysisResults = analyzeContainerSimple(previewFrame);
+            analysisResults = analyzeContainerSimple(previewContainer);
             updateAnnouncementList();
             updateCounter();
 
@@ -681,7 +1378,7 @@ async function loadAndAnalyze(html) {
             console.error('❌ Fallback also failed:', fallbackError);
             const { userMessage } = categorizeError(fallbackError);
             const errorEl = showError('Screen Reader Analysis', userMessage, () => {
-                loadAndAnalyze(html);
+                runAnalysis(html, source);
             });
             announcementList.innerHTML = '';
             announcementList.appendChild(errorEl);
@@ -689,11 +1386,17 @@ async function loadAndAnalyze(html) {
         }
     }
 
+    // Transcript checks don't need axe; they are merged with its results once those arrive
+    runTranscriptChecks();
+    renderAnnouncementBadges();
+
     // Run Axe-core analysis (in parallel with display updates)
     try {
-        const rawResults = await runAxeAnalysis(previewFrame);
+        const rawResults = await runAxeAnalysis(previewContainer, axeProfile);
         axeResults = validateAxeResults(rawResults);
+        mergeTranscriptChecks();
         renderAxeResults(axeResults);
+        renderAnnouncementBadges();
 
         const violationCount = axeResults.violations.length;
         announceToScreenReader(
@@ -711,25 +1414,40 @@ async function loadAndAnalyze(html) {
         const errorEl = showError('Accessibility Checks', userMessage, async () => {
             // Retry Axe analysis
             try {
-                const rawResults = await runAxeAnalysis(previewFrame);
+                const rawResults = await runAxeAnalysis(previewContainer, axeProfile);
                 axeResults = validateAxeResults(rawResults);
+                mergeTranscriptChecks();
                 renderAxeResults(axeResults);
+                renderAnnouncementBadges();
                 announceToScreenReader('Accessibility checks completed successfully.');
             } catch (retryError) {
                 console.error('❌ Retry failed:', retryError);
                 const { userMessage: retryMsg } = categorizeError(retryError);
                 issuesContent.innerHTML = '';
                 issuesContent.appendChild(showError('Accessibility Checks', retryMsg));
+                appendTranscriptChecks();
             }
         });
         issuesContent.innerHTML = '';
         issuesContent.appendChild(errorEl);
+        appendTranscriptChecks();
         announceToScreenReader('Accessibility checks failed. Please see error message.');
 
         // Enable AI Enhance button even if axe analysis fails
         enhanceAiBtn.disabled = false;
         enhanceAiBtn.title = 'Enhance with AI';
     }
+
+    exportBtn.disabled = false;
+
+    // Refresh the focus order view for the new content
+    if (focusOrderActive) {
+        renderFocusOrder();
+    }
+
+    if (interactiveActive) {
+        await startInteraction();
+    }
 }
 
 /**
@@ -738,8 +1456,11 @@ async function loadAndAnalyze(html) {
 function addAnnouncementToList(result) {
     const li = document.createElement('li');
     const colorIndex = result.index % 20; // Cycle through 20 colors
-    li.innerHTML = `<span class="category-dot color-${colorIndex}"></span> ${result.announcement}`;
+    li.innerHTML = `<span class="category-dot color-${colorIndex}"></span> ${formatAnnouncement(result)}`;
+    li.classList.toggle('interaction-result', Boolean(result.interaction));
     li.dataset.index = result.index;
+    li.dataset.category = result.category;
+    li.title = describeRecord(result);
     li.addEventListener('click', () => {
         currentIndex = result.index;
         updateCurrentElement();
@@ -756,6 +1477,8 @@ function addAnnouncementToList(result) {
  */
 function updateAnnouncementList() {
     announcementList.innerHTML = '';
+    // Interaction results are appended after the reading order and don't enter or leave landmarks
+    landmarkExits = findLandmarkExits(analysisResults.filter(result => !result.interaction));
 
     if (analysisResults.length === 0) {
         announcementList.innerHTML = '<li class="placeholder-item">No announcements found</li>';
@@ -765,16 +1488,62 @@ function updateAnnouncementList() {
     analysisResults.forEach((result, index) => {
         const li = document.createElement('li');
         const colorIndex = index % 20; // Cycle through 20 colors
-        li.innerHTML = `<span class="category-dot color-${colorIndex}"></span> ${result.announcement}`;
+        li.innerHTML = `<span class="category-dot color-${colorIndex}"></span> ${formatAnnouncement(result)}`;
+        li.classList.toggle('interaction-result', Boolean(result.interaction));
         li.dataset.index = index;
+        li.dataset.category = result.category;
+        li.title = describeRecord(result);
         li.addEventListener('click', () => {
             currentIndex = index;
             updateCurrentElement();
         });
         announcementList.appendChild(li);
     });
+
+    renderAnnouncementBadges();
+}
+
+
+/**
+ * Phrase a result for the selected screen reader profile and verbosity
+ * Landmark exits are only known once the whole transcript is in (see updateAnnouncementList()).
+ * The last result in reading order also speaks the landmarks left at the end.
+ */
+function getSpokenPhrase(result) {
+    if (result.interaction) {
+        return phraseAnnouncement(result, srProfile, { verbosity });
+    }
+
+    const readingCount = landmarkExits.length - 1;
+    return phraseAnnouncement(result, srProfile, {
+        verbosity,
+        leaving: landmarkExits[result.index] || [],
+        leavingAfter: result.index === readingCount - 1 ? landmarkExits[readingCount] : []
+    });
+}
+
+/**
+ * Announcement text for the list
+ */
+function formatAnnouncement(result) {
+    const phrase = getSpokenPhrase(result);
+    const tag = result.interaction ? `<span class="interaction-tag">${escapeHtml(result.interaction)}</span> ` : '';
+    return tag + (phrase ? escapeHtml(phrase) : '<span class="announcement-silent">(not spoken)</span>');
 }
 
+/**
+ * Short summary of a result's structured record, e.g. "form: checkbox, checked, required"
+ */
+function describeRecord(result) {
+    const states = Object.entries(result.states || {}).map(([state, value]) =>
+        value === true ? state : value === false ? `not ${state}` : `${state} ${value}`);
+
+    return [
+        `${result.category}: ${result.role}`,
+        result.level ? `level ${result.level}` : '',
+        ...states
+    ].filter(Boolean).join(', ');
+}
 
 /**
  * Update the currently highlighted element and auto-play TTS
@@ -809,6 +1578,10 @@ function updateCurrentElement() {
     // Update counter
     updateCounter();
 
+    if (interactiveActive) {
+        updateInteractiveTarget();
+    }
+
     // Auto-play announcement if TTS is enabled
     if (ttsEnabled && ttsMode === 'single') {
         speakSingleAnnouncement();
@@ -834,7 +1607,7 @@ function renderAxeResults(results) {
     const incomplete = results.incomplete;
 
     // No issues found
-    if (violations.length === 0 && incomplete.length === 0) {
+    if (violations.length === 0 && incomplete.length === 0 && transcriptIssues.length === 0) {
         issuesContent.innerHTML = `
             <div style="text-align: center; padding: 16px;">
                 <span style="font-size: 2rem;">✅</span>
@@ -850,32 +1623,11 @@ function renderAxeResults(results) {
     // Summary
     const summary = document.createElement('div');
     summary.className = 'issues-summary';
-    summary.innerHTML = `
-        <span class="issues-summary-item">🔴 <strong>${violations.length}</strong> violations</span>
-        <span class="issues-summary-item">🟡 <strong>${incomplete.length}</strong> needs review</span>
-        <span class="issues-summary-item">✅ <strong>${results.passes}</strong> passed</span>
-    `;
+    renderIssuesSummary(summary, results);
     issuesContent.appendChild(summary);
 
-    // Create table
-    const table = document.createElement('table');
-    table.className = 'issues-table';
-
-    // Table header
-    const thead = document.createElement('thead');
-    thead.innerHTML = `
-        <tr>
-            <th scope="col">Severity</th>
-            <th scope="col">Issue</th>
-            <th scope="col">Description</th>
-            <th scope="col">WCAG</th>
-            <th scope="col">Info</th>
-        </tr>
-    `;
-    table.appendChild(thead);
-
-    // Table body
-    const tbody = document.createElement('tbody');
+    const table = createIssuesTable();
+    const tbody = table.tBodies[0];
 
     // Add violations
     violations.forEach(violation => {
@@ -889,10 +1641,108 @@ function renderAxeResults(results) {
         tbody.appendChild(row);
     });
 
-    table.appendChild(tbody);
+    // Add transcript checks axe didn't already report
+    transcriptIssues.forEach(issue => {
+        tbody.appendChild(createTranscriptCheckRow(issue));
+    });
+
+    issuesContent.appendChild(table);
+}
+
+/**
+ * Create the issues table with its header and an empty body
+ * @returns {HTMLTableElement}
+ */
+function createIssuesTable() {
+    const table = document.createElement('table');
+    table.className = 'issues-table';
+
+    // Table header
+    const thead = document.createElement('thead');
+    thead.innerHTML = `
+        <tr>
+            <th scope="col">Severity</th>
+            <th scope="col">Issue</th>
+            <th scope="col">Description</th>
+            <th scope="col">WCAG</th>
+            <th scope="col">Info</th>
+        </tr>
+    `;
+    table.appendChild(thead);
+    table.appendChild(document.createElement('tbody'));
+    return table;
+}
+
+/**
+ * Show the transcript checks below an axe-core error, since they don't depend on axe
+ */
+function appendTranscriptChecks() {
+    if (transcriptIssues.length === 0) return;
+
+    const table = createIssuesTable();
+    transcriptIssues.forEach(issue => {
+        table.tBodies[0].appendChild(createTranscriptCheckRow(issue));
+    });
     issuesContent.appendChild(table);
 }
 
+/**
+ * Fill the issue count summary, including manual review progress
+ * @param {HTMLElement} summary - The .issues-summary element
+ * @param {Object} results - Validated results from runAxeAnalysis()
+ */
+function renderIssuesSummary(summary, results) {
+    const reviewCounts = summarizeReviews(results.incomplete, manualReviews);
+    const reviewed = reviewCounts.pass + reviewCounts.fail + reviewCounts['not-applicable'];
+
+    summary.innerHTML = `
+        <span class="issues-summary-item">🔴 <strong>${results.violations.length}</strong> violations</span>
+        <span class="issues-summary-item" title="Elements axe could not decide on that have not been reviewed">🟡 <strong>${reviewCounts.pending}</strong> needs review</span>
+        ${reviewed > 0 ? `<span class="issues-summary-item">📝 <strong>${reviewed}</strong> reviewed
+            (${reviewCounts.pass} pass, ${reviewCounts.fail} fail, ${reviewCounts['not-applicable']} n/a)</span>` : ''}
+        <span class="issues-summary-item">🔎 <strong>${transcriptIssues.length}</strong> transcript checks</span>
+        <span class="issues-summary-item">✅ <strong>${results.passes}</strong> passed</span>
+    `;
+}
+
+/**
+ * Review controls for an incomplete node: decision and note
+ * Values are set after rendering (see createIssueTableRow()) so they need no escaping.
+ */
+function createReviewControls() {
+    return `
+        <div class="review-controls" role="group" aria-label="Manual review">
+            <select class="review-decision" aria-label="Review decision">
+                <option value="">Not reviewed</option>
+                ${Object.entries(REVIEW_DECISIONS).map(([decision, { icon, label }]) =>
+                    `<option value="${decision}">${icon} ${label}</option>`).join('')}
+            </select>
+            <input type="text" class="review-note" placeholder="Note" aria-label="Review note" autocomplete="off">
+        </div>
+    `;
+}
+
+/**
+ * Save a review decision or note for an incomplete node and refresh the counts
+ * @param {Object} issue - Incomplete result
+ * @param {Object} node - One of issue.nodes
+ * @param {HTMLElement} item - The node's list item with review controls
+ */
+function recordReview(issue, node, item) {
+    const decision = item.querySelector('.review-decision').value || null;
+    const note = item.querySelector('.review-note').value;
+
+    manualReviews = saveReview(currentHtml, getReviewKeys(axeResults.incomplete).get(node), { decision, note });
+    item.dataset.review = decision || 'pending';
+    renderAnnouncementBadges();
+
+    const summary = issuesContent.querySelector('.issues-summary');
+    if (summary && axeResults) {
+        renderIssuesSummary(summary, axeResults);
+    }
+    console.log(`📝 Reviewed ${issue.id}: ${decision || 'not reviewed'}`);
+}
+
 /**
  * Create a table row for an accessibility violation or incomplete issue
  *
@@ -957,11 +1807,22 @@ function createIssueTableRow(issue, type = 'violation') {
         <div class="axe-fix-suggestions">
             <strong>💡 Axe Suggestions:</strong>
             <ul>
-                ${Array.from(allFixes).map(fix => `<li>${fix}</li>`).join('')}
+                ${Array.from(allFixes).map(fix => `<li>${escapeHtml(fix)}</li>`).join('')}
             </ul>
         </div>
     ` : '';
 
+    // Affected elements, each selecting its element in the preview and transcript
+    const nodesHtml = issue.nodes && issue.nodes.length > 0 ? `
+        <ul class="issue-nodes" aria-label="Affected elements">
+            ${issue.nodes.map((node, i) => `
+                <li data-node-index="${i}"><button type="button" class="issue-node-btn" data-node-index="${i}" title="Show in preview and transcript">
+                    <code>${escapeHtml(node.html)}</code>
+                </button>${type === 'incomplete' ? createReviewControls() : ''}</li>
+            `).join('')}
+        </ul>
+    ` : '';
+
     row.innerHTML = `
         <td class="severity-cell">
             <span class="severity-badge ${issue.impact || 'moderate'}">
@@ -969,25 +1830,207 @@ function createIssueTableRow(issue, type = 'violation') {
             </span>
         </td>
         <td class="issue-title-cell">
-            <strong>${issue.help}</strong>
+            <strong>${escapeHtml(issue.help)}</strong>
         </td>
         <td class="description-cell">
-            ${issue.description}
+            ${escapeHtml(issue.description)}
             ${fixesHtml}
+            ${nodesHtml}
         </td>
         <td class="wcag-cell">
-            ${tags.map(tag => `<span class="wcag-tag">${tag}</span>`).join(' ')}
+            ${tags.map(tag => `<span class="wcag-tag">${escapeHtml(tag)}</span>`).join(' ')}
         </td>
         <td class="info-cell">
-            <a href="${issue.helpUrl}" target="_blank" rel="noopener" class="learn-more-link">
+            <a target="_blank" rel="noopener" class="learn-more-link">
                 Learn more →
             </a>
         </td>
     `;
+    row.querySelector('.learn-more-link').href = issue.helpUrl;
+
+    row.querySelectorAll('.issue-node-btn').forEach(button => {
+        button.addEventListener('click', () => {
+            const node = issue.nodes[button.dataset.nodeIndex];
+            selectIssueElement(resolveAxeTarget(previewContainer?.ownerDocument, node.target));
+        });
+    });
+
+    if (type === 'incomplete') {
+        const reviewKeys = getReviewKeys(axeResults.incomplete);
+        row.querySelectorAll('.issue-nodes li').forEach(item => {
+            const node = issue.nodes[item.dataset.nodeIndex];
+            const review = manualReviews[reviewKeys.get(node)];
+            const decisionSelect = item.querySelector('.review-decision');
+            const noteInput = item.querySelector('.review-note');
+
+            decisionSelect.value = review?.decision || '';
+            noteInput.value = review?.note || '';
+            item.dataset.review = review?.decision || 'pending';
+
+            decisionSelect.addEventListener('change', () => {
+                recordReview(issue, node, item);
+                announceToScreenReader(decisionSelect.value
+                    ? `Marked ${REVIEW_DECISIONS[decisionSelect.value].label}.`
+                    : 'Review cleared.');
+            });
+            noteInput.addEventListener('change', () => recordReview(issue, node, item));
+        });
+    }
+
+    return row;
+}
+
+/**
+ * Run the transcript checks (issue-detector.js) on the current transcript and preview
+ */
+function runTranscriptChecks() {
+    detectedIssues = detectPotentialIssues(analysisResults, previewContainer);
+    mergeTranscriptChecks();
+}
+
+/**
+ * Keep the transcript checks axe didn't already report (all of them until axe results arrive)
+ */
+function mergeTranscriptChecks() {
+    transcriptIssues = mergeWithAxeResults(detectedIssues, axeResults);
+    console.log(`🔎 ${transcriptIssues.length} transcript checks not covered by axe`);
+}
+
+/**
+ * Create a table row for a transcript check finding
+ * Errors are shown as serious and warnings as moderate so they sort in with axe severities.
+ * @param {Object} issue - Finding from detectPotentialIssues()
+ * @returns {HTMLTableRowElement} Table row
+ */
+function createTranscriptCheckRow(issue) {
+    const { icon, label, suggestion, severity } = formatIssue(issue);
+    const impact = severity === 'error' ? 'serious' : 'moderate';
+
+    const row = document.createElement('tr');
+    row.className = `issue-row ${impact}`;
+    row.dataset.issueId = issue.type;
+
+    row.innerHTML = `
+        <td class="severity-cell">
+            <span class="severity-badge ${impact}">
+                ${getImpactIcon(impact)} ${impact.toUpperCase()}
+            </span>
+        </td>
+        <td class="issue-title-cell">
+            <strong>${icon} ${escapeHtml(label)}</strong>
+            <span class="source-badge">Transcript check</span>
+        </td>
+        <td class="description-cell">
+            ${escapeHtml(issue.description)}
+            <div class="axe-fix-suggestions">
+                <strong>💡 Suggestion:</strong> ${suggestion}
+            </div>
+            ${issue.element ? `
+                <ul class="issue-nodes" aria-label="Affected elements">
+                    <li><button type="button" class="issue-node-btn" title="Show in preview and transcript">
+                        <code>${escapeHtml(issue.element.outerHTML.slice(0, 120))}</code>
+                    </button></li>
+                </ul>
+            ` : ''}
+        </td>
+        <td class="wcag-cell"></td>
+        <td class="info-cell">
+            ${issue.announcement ? `<span class="transcript-check-announcement">Heard: "${escapeHtml(issue.announcement)}"</span>` : ''}
+        </td>
+    `;
+
+    row.querySelector('.issue-node-btn')?.addEventListener('click', () => selectIssueElement(issue.element));
 
     return row;
 }
 
+/**
+ * Select the announcement for an element with an issue, or just highlight it
+ * when the virtual cursor never stops on it
+ * @param {Element|null} element - Element from the preview
+ */
+function selectIssueElement(element) {
+    if (!element || !element.isConnected) {
+        announceToScreenReader('That element is no longer in the preview.');
+        return;
+    }
+
+    let index = analysisResults.findIndex(result => result.element === element);
+    if (index === -1) {
+        index = analysisResults.findIndex(result => result.element && element.contains(result.element));
+    }
+
+    if (index !== -1) {
+        currentIndex = index;
+        updateCurrentElement();
+        announceToScreenReader(`Selected announcement ${index + 1}: ${getSpokenPhrase(analysisResults[index])}`);
+    } else {
+        highlightElementInPreview(element);
+        announceToScreenReader('Highlighted in preview. The screen reader does not announce this element.');
+    }
+}
+
+/**
+ * Show a severity badge on announcements whose elements have violations or transcript check findings
+ */
+function renderAnnouncementBadges() {
+    announcementList.querySelectorAll('.announcement-badge').forEach(badge => badge.remove());
+
+    // Transcript findings are badged before (or without) axe results; needs-review
+    // items count once marked "fail", as in exported reports
+    const findings = axeResults
+        ? mapViolationsToAnnouncements(analysisResults, { ...axeResults, incomplete: applyReviews(axeResults.incomplete, manualReviews) })
+            .map(list => list.filter(isConfirmedFinding))
+        : analysisResults.map(() => []);
+    transcriptIssues.forEach(issue => {
+        analysisResults.forEach((result, index) => {
+            if (issue.element && result.element === issue.element) {
+                findings[index].push({
+                    id: issue.type,
+                    impact: issue.severity === 'error' ? 'serious' : 'moderate',
+                    help: issue.description,
+                    type: 'transcript'
+                });
+            }
+        });
+    });
+
+    announcementList.querySelectorAll('li[data-index]').forEach(li => {
+        const list = findings[li.dataset.index] || [];
+        if (list.length === 0) return;
+
+        const worst = list.reduce((max, finding) =>
+            IMPACT_LEVELS.indexOf(finding.impact) > IMPACT_LEVELS.indexOf(max) ? finding.impact : max, 'minor');
+        const badge = document.createElement('button');
+        badge.type = 'button';
+        badge.className = `announcement-badge severity-badge ${worst}`;
+        badge.textContent = `${getImpactIcon(worst)} ${list.length}`;
+        badge.title = list.map(finding => `${finding.impact}: ${finding.help}`).join('\n');
+        badge.setAttribute('aria-label', `${list.length} ${list.length === 1 ? 'issue' : 'issues'}, worst ${worst}: ${list[0].help}. Show in issues table`);
+        badge.addEventListener('click', (e) => {
+            e.stopPropagation();
+            showIssueRow(list[0].id);
+        });
+        li.appendChild(badge);
+    });
+}
+
+/**
+ * Scroll to and focus an issue's row in the issues table
+ * @param {string} issueId - Axe rule id or transcript check type
+ */
+function showIssueRow(issueId) {
+    const row = Array.from(issuesContent.querySelectorAll('tr[data-issue-id]'))
+        .find(tr => tr.dataset.issueId === issueId);
+    if (!row) return;
+
+    issuesContent.querySelectorAll('tr.linked').forEach(tr => tr.classList.remove('linked'));
+    row.classList.add('linked');
+    row.tabIndex = -1;
+    row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    row.focus({ preventScroll: true });
+}
+
 /**
  * Create an Axe issue card element
  */
@@ -1002,25 +2045,50 @@ function createAxeIssueCard(issue, type = 'violation') {
     card.innerHTML = `
         <div class="axe-issue-header">
             <span>${icon}</span>
-            <span class="axe-issue-impact">${issue.impact || 'unknown'}</span>
-            <span class="axe-issue-title">${issue.help}</span>
+            <span class="axe-issue-impact">${escapeHtml(issue.impact || 'unknown')}</span>
+            <span class="axe-issue-title">${escapeHtml(issue.help)}</span>
         </div>
-        <p class="axe-issue-description">${issue.description}</p>
+        <p class="axe-issue-description">${escapeHtml(issue.description)}</p>
         <div class="axe-issue-tags">
-            ${tags.map(tag => `<span class="axe-tag">${tag}</span>`).join('')}
+            ${tags.map(tag => `<span class="axe-tag">${escapeHtml(tag)}</span>`).join('')}
         </div>
         <div class="axe-issue-help">
-            <a href="${issue.helpUrl}" target="_blank" rel="noopener">Learn more →</a>
+            <a target="_blank" rel="noopener">Learn more →</a>
         </div>
     `;
+    card.querySelector('.axe-issue-help a').href = issue.helpUrl;
 
     return card;
 }
 
+/**
+ * Violation details in the shape the AI prompt expects
+ */
+function toAiIssue(violation) {
+    return {
+        type: violation.id,
+        description: violation.description,
+        impact: violation.impact,
+        help: violation.help,
+        helpUrl: violation.helpUrl,
+        nodes: violation.nodes.map(node => ({
+            html: node.html,
+            target: node.target.join(', '),
+            failureSummary: node.failureSummary,
+            axeFixes: node.fixes.map(f => f.message).join('; ')
+        })),
+        wcagTags: formatWcagTags(violation.tags)
+    };
+}
+
 /**
  * Run AI Enhancement on Axe results
+ * Suggestions cached for the same violation and model are reused; only the
+ * rest are sent to the provider.
+ * @param {Object} [options]
+ * @param {boolean} [options.forceRefresh=false] - Ignore cached suggestions and ask again
  */
-async function runAiEnhancement() {
+async function runAiEnhancement({ forceRefresh = false } = {}) {
     if (!axeResults || !previewContainer) {
         issuesContent.innerHTML += `
             <p style="color: var(--accent-orange); font-size: 0.85rem; margin-top: 12px;">
@@ -1030,68 +2098,92 @@ async function runAiEnhancement() {
         return;
     }
 
-    // Check for API key
-    if (!hasApiKey()) {
+    // Check for a configured provider
+    if (!hasAiConfig()) {
         openApiKeyModal();
         return;
     }
 
-    // Validate stored API key before using it
+    // Validate stored provider settings before using them
     enhanceAiBtn.disabled = true;
     enhanceAiBtn.innerHTML = '⏳ Validating...';
 
     try {
-        const { testApiConnection } = await import('./ai-analyzer.js');
-        await testApiConnection();
+        await testAiConnection();
     } catch (error) {
-        console.error('❌ Stored API key is invalid:', error);
-        clearApiKey();
+        console.error('❌ Stored AI provider settings are invalid:', error);
         enhanceAiBtn.disabled = false;
         enhanceAiBtn.innerHTML = '🤖 AI Enhance';
-        openApiKeyModal('⚠️ Your stored API key is invalid. Please enter a new one.');
+        openApiKeyModal(`⚠️ Could not connect: ${error.message}. Please check your settings.`);
         return;
     }
 
     // Show loading state on button
     enhanceAiBtn.disabled = true;
+    aiRefreshBtn.disabled = true;
     enhanceAiBtn.innerHTML = '⏳ Analyzing...';
 
     try {
-        console.log('📸 Capturing screenshot for Gemini...');
-        const imageBase64 = await capturePreview(previewContainer);
-
-        // Build issues list for Gemini with complete context
-        const issuesForAi = axeResults.violations.map(v => ({
-            type: v.id,
-            description: v.description,
-            impact: v.impact,
-            help: v.help,
-            helpUrl: v.helpUrl,
-            nodes: v.nodes.map(node => ({
-                html: node.html,
-                target: node.target.join(', '),
-                failureSummary: node.failureSummary,
-                axeFixes: node.fixes.map(f => f.message).join('; ')
-            })),
-            wcagTags: formatWcagTags(v.tags)
-        }));
+        const config = getAiConfig();
+        const violations = axeResults.violations;
+        const cacheKeys = violations.map(violation => getSuggestionCacheKey(violation, config));
+        const cached = forceRefresh ? new Map() : await getCachedSuggestions(cacheKeys);
+        const uncachedIndexes = violations.map((_, i) => i).filter(i => !cached.has(cacheKeys[i]));
+        console.log(`💾 ${violations.length - uncachedIndexes.length} of ${violations.length} AI suggestions cached`);
+
+        const run = {
+            config,
+            violations,
+            cacheKeys,
+            uncachedIndexes,
+            analysisResults,
+            issues: [],
+            imageBase64: null,
+            batches: [],
+            cachedSuggestions: violations.flatMap((violation, i) => cached.has(cacheKeys[i])
+                ? [{ ...cached.get(cacheKeys[i]).suggestion, issueIndex: i, type: violation.id, cached: true }]
+                : []),
+            // Suggestions per batch, filled while it streams and replaced by its final answer
+            batchSuggestions: new Map()
+        };
+        aiRun = run;
+
+        if (uncachedIndexes.length > 0) {
+            console.log('📸 Capturing screenshot for AI...');
+            run.imageBase64 = await capturePreview(previewContainer);
+
+            // Build issues list for the AI provider with complete context
+            run.issues = uncachedIndexes.map(i => toAiIssue(violations[i]));
+            run.batches = planAiBatches(run.issues, config);
+        }
 
-        console.log('🤖 Sending to Gemini API...');
-        const aiAnalysis = await analyzeIssuesWithGemini(issuesForAi, imageBase64, analysisResults);
+        // Cached suggestions show right away; fresh ones as each streams in
+        renderAiRun(run);
+        await runAiBatches(run.batches, run.issues, run.imageBase64, run.analysisResults, {
+            onBatch: batch => handleAiBatch(run, batch),
+            onSuggestion: (suggestion, batch) => handleAiSuggestion(run, batch, suggestion)
+        });
 
-        console.log('✅ AI Analysis result:', aiAnalysis);
+        const failed = run.batches.filter(batch => batch.status === 'failed');
 
-        // Add AI suggestions to existing cards
-        renderAiSuggestions(aiAnalysis);
+        // If the key was rejected, prompt again with modal
+        if (failed.some(batch => isAuthError(batch.error))) {
+            openApiKeyModal('⚠️ The API key you entered is invalid. Please check and try again.');
+            enhanceAiBtn.innerHTML = '🤖 AI Enhance';
+            return;
+        }
 
-        enhanceAiBtn.innerHTML = '✅ AI Enhanced';
+        if (failed.length > 0) {
+            enhanceAiBtn.innerHTML = failed.length === run.batches.length ? '🤖 Retry AI' : '⚠️ AI Enhanced (partial)';
+        } else {
+            enhanceAiBtn.innerHTML = uncachedIndexes.length === 0 ? '✅ AI Enhanced (cached)' : '✅ AI Enhanced';
+        }
 
     } catch (error) {
         console.error('❌ AI enhancement failed:', error);
 
-        // If API key is invalid, clear it and prompt again with modal
-        if (error.message.includes('API key not valid') || error.message.includes('400') || error.message.includes('403')) {
-            clearApiKey();
+        // If the key was rejected, prompt again with modal
+        if (isAuthError(error)) {
             openApiKeyModal('⚠️ The API key you entered is invalid. Please check and try again.');
             enhanceAiBtn.innerHTML = '🤖 AI Enhance';
             return;
@@ -1099,12 +2191,171 @@ async function runAiEnhancement() {
 
         const errorMsg = document.createElement('div');
         errorMsg.style.cssText = 'margin-top: 12px; padding: 8px 12px; background: rgba(239,68,68,0.1); border-radius: 6px; border-left: 2px solid var(--accent-red);';
-        errorMsg.innerHTML = `<p style="margin: 0; color: var(--accent-red); font-size: 0.8rem;">⚠️ AI enhancement failed: ${error.message}</p>`;
+        errorMsg.innerHTML = `<p style="margin: 0; color: var(--accent-red); font-size: 0.8rem;">⚠️ AI enhancement failed: ${escapeHtml(error.message)}</p>`;
         issuesContent.appendChild(errorMsg);
 
         enhanceAiBtn.innerHTML = '🤖 Retry AI';
     } finally {
         enhanceAiBtn.disabled = false;
+        aiRefreshBtn.disabled = false;
+    }
+}
+
+/**
+ * Whether a provider error means the API key was rejected
+ */
+function isAuthError(error) {
+    return /API key not valid|\((401|403)\)/.test(error?.message || '');
+}
+
+/**
+ * Map a suggestion from the sent subset back to the full violation list
+ * @returns {Object|null} Suggestion with issueIndex and type, or null if it names no sent violation
+ */
+function toRunSuggestion(run, suggestion) {
+    const issueIndex = run.uncachedIndexes[suggestion.issueIndex];
+    if (issueIndex === undefined) return null;
+    return { ...suggestion, issueIndex, type: run.violations[issueIndex].id };
+}
+
+/**
+ * Suggestions received so far from the run's batches
+ */
+function getFreshSuggestions(run) {
+    return [...run.batchSuggestions.values()].flat();
+}
+
+/**
+ * Show a suggestion as soon as it has streamed in
+ * @param {Object} run - The AI run the batch belongs to
+ * @param {Object} batch - The batch still streaming
+ * @param {Object} suggestion - Suggestion with its issueIndex mapped into run.issues
+ */
+function handleAiSuggestion(run, batch, suggestion) {
+    if (run !== aiRun) return;
+
+    const mapped = toRunSuggestion(run, suggestion);
+    if (!mapped) return;
+
+    run.batchSuggestions.set(batch, [...(run.batchSuggestions.get(batch) || []), mapped]);
+    renderAiRun(run);
+}
+
+/**
+ * Take in a finished batch: cache its suggestions and update the AI section
+ * @param {Object} run - The AI run the batch belongs to
+ * @param {Object} batch - From planAiBatches()
+ */
+function handleAiBatch(run, batch) {
+    // A newer run or another page replaced this one
+    if (run !== aiRun) return;
+
+    // A failed batch keeps what it streamed; those suggestions are complete but not cached
+    if (batch.status === 'done') {
+        // Keep the streamed objects, which applied fixes are tracked by
+        const streamed = run.batchSuggestions.get(batch) || [];
+        const suggestions = batch.analysis.issues
+            .map(suggestion => toRunSuggestion(run, suggestion))
+            .filter(Boolean)
+            .map((suggestion, i) => streamed[i]?.issueIndex === suggestion.issueIndex ? streamed[i] : suggestion);
+        run.batchSuggestions.set(batch, suggestions);
+        console.log(`✅ AI batch ${batch.index + 1} done: ${suggestions.length} suggestion(s)`);
+
+        putCachedSuggestions(suggestions.map(suggestion => ({
+            key: run.cacheKeys[suggestion.issueIndex],
+            suggestion,
+            model: `${run.config.provider}:${run.config.model}`
+        }))).catch(error => console.warn('⚠️ Could not cache AI suggestions:', error));
+    }
+
+    renderAiRun(run);
+}
+
+/**
+ * Render the suggestions received so far in a run and its progress
+ * @param {Object} run - The current AI run
+ */
+function renderAiRun(run) {
+    const merged = mergeBatchAnalyses(run.batches);
+    const cachedCount = run.cachedSuggestions.length;
+
+    const aiAnalysis = {
+        overallScore: merged.overallScore,
+        summary: merged.summary || (run.batches.length === 0 && cachedCount > 0 ? `All ${cachedCount} suggestions loaded from cache.` : ''),
+        issues: [...run.cachedSuggestions, ...getFreshSuggestions(run)].sort((a, b) => a.issueIndex - b.issueIndex)
+    };
+
+    renderAiSuggestions(aiAnalysis);
+    renderAiProgress(run);
+}
+
+/**
+ * Show how many batches have finished, with a Retry button per failed batch
+ * @param {Object} run - The current AI run
+ */
+function renderAiProgress(run) {
+    const total = run.batches.length;
+    if (total === 0) {
+        aiProgress.hidden = true;
+        return;
+    }
+
+    const done = run.batches.filter(batch => batch.status === 'done').length;
+    const failed = run.batches.filter(batch => batch.status === 'failed');
+    const settled = done + failed.length;
+
+    aiProgress.hidden = false;
+    aiProgressBar.max = total;
+    aiProgressBar.value = settled;
+
+    if (settled < total) {
+        aiProgressText.textContent = `⏳ ${settled} of ${total} batches done (${getFreshSuggestions(run).length} suggestions so far)`;
+    } else if (failed.length > 0) {
+        aiProgressText.textContent = `⚠️ ${done} of ${total} batches succeeded`;
+    } else {
+        aiProgressText.textContent = `✅ All ${total} ${total === 1 ? 'batch' : 'batches'} done`;
+    }
+
+    aiBatchFailures.innerHTML = '';
+    failed.forEach(batch => {
+        const ruleIds = [...new Set(batch.issueIndexes.map(i => run.issues[i].type))];
+        const item = document.createElement('div');
+        item.className = 'ai-batch-failure';
+        item.innerHTML = `<span>Batch ${batch.index + 1} (${ruleIds.map(id => `<code>${escapeHtml(id)}</code>`).join(', ')}): ${escapeHtml(batch.error.message)}</span>`;
+
+        const retryBtn = document.createElement('button');
+        retryBtn.type = 'button';
+        retryBtn.className = 'btn btn-sm btn-secondary';
+        retryBtn.textContent = '↻ Retry';
+        retryBtn.setAttribute('aria-label', `Retry batch ${batch.index + 1}`);
+        retryBtn.addEventListener('click', () => retryAiBatch(run, batch));
+        item.appendChild(retryBtn);
+
+        aiBatchFailures.appendChild(item);
+    });
+}
+
+/**
+ * Run a failed batch again
+ * @param {Object} run - The AI run the batch belongs to
+ * @param {Object} batch - A failed batch from planAiBatches()
+ */
+async function retryAiBatch(run, batch) {
+    // The retry streams its own answer; drop what the failed attempt left
+    run.batchSuggestions.delete(batch);
+    const retry = runAiBatches([batch], run.issues, run.imageBase64, run.analysisResults, {
+        onBatch: finished => handleAiBatch(run, finished),
+        onSuggestion: (suggestion, streaming) => handleAiSuggestion(run, streaming, suggestion)
+    });
+    renderAiRun(run);
+
+    await retry;
+    if (run !== aiRun) return;
+
+    if (batch.status === 'failed' && isAuthError(batch.error)) {
+        openApiKeyModal('⚠️ The API key you entered is invalid. Please check and try again.');
+    } else if (run.batches.every(b => b.status === 'done')) {
+        enhanceAiBtn.innerHTML = '✅ AI Enhanced';
     }
 }
 
@@ -1115,6 +2366,8 @@ async function runAiEnhancement() {
  */
 function renderAiSuggestions(aiAnalysis) {
     if (!aiAnalysis?.issues) return;
+    currentAiAnalysis = aiAnalysis;
+    aiSuggestions = aiAnalysis.issues;
 
     // Show AI section
     aiSection.style.display = 'block';
@@ -1126,7 +2379,7 @@ function renderAiSuggestions(aiAnalysis) {
     if (aiAnalysis.summary) {
         const summaryDiv = document.createElement('div');
         summaryDiv.style.cssText = 'padding: var(--space-md); background: rgba(255, 214, 10, 0.1); border-radius: var(--radius-sm); margin-bottom: var(--space-md); border-left: 3px solid var(--accent-yellow);';
-        summaryDiv.innerHTML = `<strong>📊 Overall Assessment:</strong> ${aiAnalysis.summary}`;
+        summaryDiv.innerHTML = `<strong>📊 Overall Assessment:</strong> ${escapeHtml(aiAnalysis.summary)}`;
         aiSectionContent.appendChild(summaryDiv);
     }
 
@@ -1137,13 +2390,229 @@ function renderAiSuggestions(aiAnalysis) {
         suggestionCard.style.cssText = 'background: var(--bg-elevated); padding: var(--space-md) var(--space-lg); border-radius: var(--radius-md); border-left: 3px solid var(--accent-purple);';
 
         suggestionCard.innerHTML = `
-            <div style="font-weight: 600; margin-bottom: var(--space-xs); color: var(--text-primary);">Issue ${index + 1}: ${aiIssue.type || 'Accessibility Issue'}</div>
-            <div style="font-size: 0.9rem; color: var(--text-secondary); margin-bottom: var(--space-sm);">${aiIssue.aiSuggestion}</div>
-            ${aiIssue.explanation ? `<div style="font-size: 0.85rem; color: var(--text-muted); padding-top: var(--space-xs); border-top: 1px solid var(--bg-tertiary);">${aiIssue.explanation}</div>` : ''}
+            <div style="font-weight: 600; margin-bottom: var(--space-xs); color: var(--text-primary);">Issue ${index + 1}: ${escapeHtml(aiIssue.type || 'Accessibility Issue')}
+                ${aiIssue.cached ? '<span class="source-badge" title="Reused from an earlier answer for the same violation and model">💾 Cached</span>' : ''}</div>
+            <div style="font-size: 0.9rem; color: var(--text-secondary); margin-bottom: var(--space-sm);">${escapeHtml(aiIssue.aiSuggestion)}</div>
+            ${aiIssue.explanation ? `<div style="font-size: 0.85rem; color: var(--text-muted); padding-top: var(--space-xs); border-top: 1px solid var(--bg-tertiary);">${escapeHtml(aiIssue.explanation)}</div>` : ''}
         `;
 
+        if (isApplicableFix(aiIssue)) {
+            const applied = appliedFixes.has(aiIssue);
+            const applyBtn = document.createElement('button');
+            applyBtn.type = 'button';
+            applyBtn.className = 'btn btn-sm btn-secondary ai-apply-btn';
+            applyBtn.disabled = applied;
+            applyBtn.textContent = applied ? '✅ Applied' : '🩹 Apply fix';
+            applyBtn.setAttribute('aria-haspopup', 'dialog');
+            applyBtn.addEventListener('click', () => openFixDialog([aiIssue]));
+            suggestionCard.appendChild(applyBtn);
+        }
+
         aiSectionContent.appendChild(suggestionCard);
     });
+
+    const applicable = aiSuggestions.filter(suggestion => isApplicableFix(suggestion) && !appliedFixes.has(suggestion));
+    aiApplyAllBtn.hidden = applicable.length < 2;
+}
+
+/**
+ * Setup applying suggested code fixes (confirmation dialog and undo)
+ */
+function setupFixApplier() {
+    aiApplyAllBtn.addEventListener('click', () => {
+        openFixDialog(aiSuggestions.filter(suggestion => isApplicableFix(suggestion) && !appliedFixes.has(suggestion)));
+    });
+    fixConfirmBtn.addEventListener('click', confirmFixes);
+    fixCancelBtn.addEventListener('click', closeFixDialog);
+    fixCloseBtn.addEventListener('click', closeFixDialog);
+
+    // Close on backdrop click
+    fixModal.addEventListener('click', (e) => {
+        if (e.target === fixModal) {
+            closeFixDialog();
+        }
+    });
+
+    // Close on ESC key
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && fixModal.classList.contains('open')) {
+            closeFixDialog();
+        }
+    });
+}
+
+/**
+ * Show the code diff of suggested fixes for confirmation
+ * @param {Object[]} suggestions - AI suggestions with beforeCode/afterCode
+ */
+function openFixDialog(suggestions) {
+    if (!currentHtml || suggestions.length === 0) return;
+
+    const result = applyFixes(currentHtml, suggestions, axeResults?.violations || []);
+    if (result.applied.length === 0) {
+        showFixResult(`<p>⚠️ ${escapeHtml(result.failed[0].error.message)}. Edit the HTML with ⇄ Compare instead.</p>`);
+        announceToScreenReader('The fix could not be applied.');
+        return;
+    }
+
+    pendingFixes = result;
+    const count = result.applied.length;
+    fixModalSummary.textContent = `${count} ${count === 1 ? 'fix' : 'fixes'} will be applied and the page re-analyzed.` +
+        (result.failed.length > 0 ? ` ${result.failed.length} could not be placed in the HTML and will be skipped.` : '');
+
+    const markers = { same: ' ', removed: '-', added: '+' };
+    fixDiffs.innerHTML = result.applied.map(({ fix, replaced }) => `
+        <div class="fix-diff">
+            <h4>${escapeHtml(fix.type || 'Fix')}</h4>
+            <pre>${diffCode(replaced, fix.afterCode).map(line =>
+                `<span class="diff-line ${line.type}">${markers[line.type]} ${escapeHtml(line.text)}</span>`).join('')}</pre>
+        </div>
+    `).join('');
+
+    fixModal._returnFocus = document.activeElement;
+    fixModal.classList.add('open');
+    setupModalFocusTrap(fixModal);
+
+    setTimeout(() => {
+        fixConfirmBtn.focus();
+    }, 100);
+}
+
+/**
+ * Close the fix dialog without applying anything
+ */
+function closeFixDialog() {
+    fixModal.classList.remove('open');
+    removeModalFocusTrap(fixModal);
+    pendingFixes = null;
+
+    const returnElement = fixModal._returnFocus;
+    fixModal._returnFocus = null;
+    if (returnElement && returnElement !== document.body && returnElement.isConnected) {
+        setTimeout(() => returnElement.focus(), 100);
+    }
+}
+
+/**
+ * Apply the confirmed fixes, re-analyze and report what changed
+ */
+async function confirmFixes() {
+    if (!pendingFixes) return;
+    const { html, applied, failed } = pendingFixes;
+    closeFixDialog();
+
+    const before = {
+        analysisResults: analysisResults.filter(result => !result.interaction),
+        axeResults
+    };
+    const fixes = applied.map(({ fix }) => fix);
+    fixHistory.push({ html: currentHtml, appliedHtml: html, fixes });
+    fixes.forEach(fix => appliedFixes.add(fix));
+
+    console.log(`🩹 Applying ${fixes.length} fix(es)`);
+    if (!await runAnalysis(html, currentSource, 'Apply Fix')) return;
+
+    renderAiSuggestions(currentAiAnalysis);
+    renderFixOutcome(before, applied, failed);
+}
+
+/**
+ * Report whether each fixed element is still reported and how the transcript changed
+ * A fix counts as resolved when the new analysis no longer reports its rule
+ * on the element that replaced the old one.
+ * @param {Object} before - { analysisResults, axeResults } from before the fix
+ * @param {Object[]} applied - Entries from applyFixes() ({ fix, replaced, xpath })
+ * @param {Object[]} failed - Suggestions that could not be placed ({ fix, error })
+ */
+function renderFixOutcome(before, applied, failed) {
+    const comparison = compareAnalyses(before, {
+        analysisResults: analysisResults.filter(result => !result.interaction),
+        axeResults
+    });
+    const remaining = findRemainingViolations(previewContainer.ownerDocument, applied, axeResults?.violations || []);
+    const remainingFingerprints = new Set(remaining
+        .map((node, i) => node && getViolationFingerprint(applied[i].fix.type, node))
+        .filter(Boolean));
+
+    const ruleLines = applied.map(({ fix }, i) => remaining[i]
+        ? `<li>⚠️ <code>${escapeHtml(fix.type)}</code> still reported on the fixed element</li>`
+        : `<li>✅ <code>${escapeHtml(fix.type)}</code> resolved on the fixed element</li>`);
+
+    const newViolations = comparison.violations.added
+        .filter(entry => !remainingFingerprints.has(getViolationFingerprint(entry.id, entry)));
+    if (newViolations.length > 0) {
+        ruleLines.push(`<li>🆕 ${newViolations.length} new ${newViolations.length === 1 ? 'violation' : 'violations'}: ` +
+            `${[...new Set(newViolations.map(entry => entry.id))].map(id => `<code>${escapeHtml(id)}</code>`).join(', ')}</li>`);
+    }
+    failed.forEach(({ fix, error }) => {
+        ruleLines.push(`<li>⏭️ <code>${escapeHtml(fix.type || 'Fix')}</code> skipped: ${escapeHtml(error.message)}</li>`);
+    });
+
+    const changes = comparison.transcript.filter(row => row.type !== 'same');
+    const changeLines = changes.slice(0, 5).map(row => {
+        if (row.type === 'changed') {
+            return `<li>“${escapeHtml(row.before.announcement)}” → “${escapeHtml(row.after.announcement)}”</li>`;
+        }
+        return row.type === 'added'
+            ? `<li>+ “${escapeHtml(row.after.announcement)}”</li>`
+            : `<li>− “${escapeHtml(row.before.announcement)}”</li>`;
+    });
+    if (changes.length > changeLines.length) {
+        changeLines.push(`<li>…and ${changes.length - changeLines.length} more</li>`);
+    }
+
+    showFixResult(`
+        <p><strong>🩹 Applied ${applied.length} ${applied.length === 1 ? 'fix' : 'fixes'}</strong></p>
+        <ul>${ruleLines.join('')}</ul>
+        <p>${changes.length === 0 ? 'No announcements changed.' : 'Announcement changes:'}</p>
+        ${changeLines.length > 0 ? `<ul>${changeLines.join('')}</ul>` : ''}
+    `, true);
+
+    const resolvedCount = remaining.filter(node => !node).length;
+    announceToScreenReader(`Applied ${applied.length} ${applied.length === 1 ? 'fix' : 'fixes'}. ` +
+        `${resolvedCount} of ${applied.length} resolved, ${changes.length} announcements changed.`);
+}
+
+/**
+ * Show a message about applied fixes, optionally with an Undo button
+ * @param {string} html - Message markup (already escaped)
+ * @param {boolean} [undoable=false] - Offer to undo the last fix
+ */
+function showFixResult(html, undoable = false) {
+    fixResult.hidden = false;
+    aiSection.style.display = 'block';
+    fixResult.innerHTML = html;
+
+    if (undoable && fixHistory.length > 0) {
+        const undoBtn = document.createElement('button');
+        undoBtn.type = 'button';
+        undoBtn.className = 'btn btn-sm btn-secondary';
+        undoBtn.textContent = '↶ Undo';
+        undoBtn.addEventListener('click', undoLastFix);
+        fixResult.appendChild(undoBtn);
+    }
+}
+
+/**
+ * Restore the HTML from before the last applied fix and re-analyze
+ */
+async function undoLastFix() {
+    const entry = fixHistory.pop();
+    if (!entry) return;
+
+    // Another document was loaded since; its HTML must not be replaced
+    if (entry.appliedHtml !== currentHtml) {
+        fixHistory = [];
+        showFixResult('<p>⚠️ The HTML changed since the fix was applied, so it cannot be undone.</p>');
+        return;
+    }
+
+    entry.fixes.forEach(fix => appliedFixes.delete(fix));
+    if (!await runAnalysis(entry.html, currentSource, 'Undo Fix')) return;
+    renderAiSuggestions(currentAiAnalysis);
+
+    showFixResult(`<p>↶ Undid ${entry.fixes.length} ${entry.fixes.length === 1 ? 'fix' : 'fixes'} and re-analyzed.</p>`, true);
+    announceToScreenReader('Fix undone.');
 }
 
 /**
@@ -1200,12 +2669,60 @@ function setupTextToSpeech() {
 }
 
 /**
- * Update TTS button title based on current mode
+ * Setup the screen reader profile and verbosity selectors
+ * Re-renders the transcript with the chosen reader's phrasing and detail; TTS speaks the same text.
  */
-function updateTtsButtonTitle() {
-    if (ttsMode === 'single') {
-        ttsToggleBtn.title = 'Read current announcement';
-    } else {
+function setupScreenReaderProfiles() {
+    Object.entries(SR_PROFILES).forEach(([id, profile]) => {
+        srProfileSelect.appendChild(new Option(profile.label, id));
+    });
+    Object.entries(VERBOSITY_LEVELS).forEach(([id, level]) => {
+        verbositySelect.appendChild(new Option(level.label, id));
+    });
+
+    if (!SR_PROFILES[srProfile]) srProfile = 'virtual';
+    if (!VERBOSITY_LEVELS[verbosity]) verbosity = 'high';
+    srProfileSelect.value = srProfile;
+    verbositySelect.value = verbosity;
+
+    srProfileSelect.addEventListener('change', (e) => {
+        srProfile = e.target.value;
+        localStorage.setItem('sr_profile', srProfile);
+        console.log(`🗣️ Screen reader profile changed to: ${srProfile}`);
+        refreshTranscript(`Announcements phrased as ${SR_PROFILES[srProfile].label}.`);
+    });
+
+    verbositySelect.addEventListener('change', (e) => {
+        verbosity = e.target.value;
+        localStorage.setItem('sr_verbosity', verbosity);
+        console.log(`🗣️ Verbosity changed to: ${verbosity}`);
+        refreshTranscript(`${VERBOSITY_LEVELS[verbosity].label}.`);
+    });
+}
+
+/**
+ * Re-render the transcript after a phrasing setting changes
+ * @param {string} message - Status message for screen reader users
+ */
+function refreshTranscript(message) {
+    if (ttsPlaying) {
+        stopNarration();
+    }
+
+    if (analysisResults.length > 0) {
+        updateAnnouncementList();
+        updateCurrentElement();
+    }
+    announceToScreenReader(message);
+}
+
+/**
+ * Update TTS button title based on current mode
+ */
+function updateTtsButtonTitle() {
+    if (ttsMode === 'single') {
+        ttsToggleBtn.title = 'Read current announcement';
+    } else {
         ttsToggleBtn.title = ttsPlaying ? 'Pause narration' : 'Play continuous narration';
     }
 }
@@ -1217,7 +2734,8 @@ function speakSingleAnnouncement() {
     if (currentIndex < 0 || currentIndex >= analysisResults.length) return;
 
     const currentResult = analysisResults[currentIndex];
-    if (!currentResult || !currentResult.announcement) return;
+    const phrase = currentResult ? getSpokenPhrase(currentResult) : '';
+    if (!phrase) return;
 
     // Stop any ongoing speech
     if (window.speechSynthesis.speaking) {
@@ -1230,7 +2748,7 @@ function speakSingleAnnouncement() {
     ttsToggleBtn.classList.add('speaking');
 
     // Create and speak utterance
-    currentUtterance = new SpeechSynthesisUtterance(currentResult.announcement);
+    currentUtterance = new SpeechSynthesisUtterance(phrase);
     currentUtterance.rate = 1.0;
     currentUtterance.pitch = 1.0;
     currentUtterance.volume = 1.0;
@@ -1287,7 +2805,8 @@ function speakCurrentAndContinue() {
     }
 
     const currentResult = analysisResults[currentIndex];
-    if (!currentResult || !currentResult.announcement) {
+    const phrase = currentResult ? getSpokenPhrase(currentResult) : '';
+    if (!phrase) {
         // Move to next if current has no announcement
         moveToNextAndSpeak();
         return;
@@ -1299,7 +2818,7 @@ function speakCurrentAndContinue() {
     }
 
     // Create new utterance
-    currentUtterance = new SpeechSynthesisUtterance(currentResult.announcement);
+    currentUtterance = new SpeechSynthesisUtterance(phrase);
 
     // Configure utterance
     currentUtterance.rate = 1.0;
@@ -1399,41 +2918,997 @@ function stopSpeech() {
 
 /**
  * Highlight element in preview
+ * The overlay lives in the app document, above the preview iframe, so it never
+ * becomes part of the page under test.
  */
 function highlightElementInPreview(element) {
-    if (!element || !previewFrame.contains(element)) return;
+    if (!element || !previewContainer || !previewContainer.ownerDocument.contains(element)) return;
 
     // Remove previous highlight
-    if (currentHighlight) {
-        currentHighlight.remove();
-        currentHighlight = null;
-    }
-
-    // Get element position relative to preview frame
-    const previewRect = previewFrame.getBoundingClientRect();
-    const elementRect = element.getBoundingClientRect();
+    removeHighlight();
 
     // Create highlight overlay
     const highlight = document.createElement('div');
     highlight.className = 'sr-element-highlight';
-
-    // Position the highlight
-    const top = elementRect.top - previewRect.top + previewFrame.scrollTop;
-    const left = elementRect.left - previewRect.left + previewFrame.scrollLeft;
-
-    highlight.style.top = `${top}px`;
-    highlight.style.left = `${left}px`;
-    highlight.style.width = `${elementRect.width}px`;
-    highlight.style.height = `${elementRect.height}px`;
+    highlight._targetElement = element;
 
     // Add to preview
     previewFrame.appendChild(highlight);
     currentHighlight = highlight;
+    positionHighlight();
 
-    // Scroll element into view
+    // Scroll element into view (repositioned by the preview scroll listener)
     element.scrollIntoView({ behavior: 'smooth', block: 'center' });
 }
 
+/**
+ * Position the highlight overlay over its target inside the preview iframe
+ */
+function positionHighlight() {
+    if (!currentHighlight) return;
+
+    // Get element position relative to preview frame
+    const previewRect = previewFrame.getBoundingClientRect();
+    const iframeRect = previewIframe.getBoundingClientRect();
+    const elementRect = currentHighlight._targetElement.getBoundingClientRect();
+
+    const top = iframeRect.top - previewRect.top + elementRect.top;
+    const left = iframeRect.left - previewRect.left + elementRect.left;
+
+    currentHighlight.style.top = `${top}px`;
+    currentHighlight.style.left = `${left}px`;
+    currentHighlight.style.width = `${elementRect.width}px`;
+    currentHighlight.style.height = `${elementRect.height}px`;
+}
+
+/**
+ * Setup Focus order view toggle
+ */
+function setupFocusOrderView() {
+    focusOrderBtn.addEventListener('click', () => {
+        setFocusOrderActive(!focusOrderActive);
+    });
+}
+
+/**
+ * Show or hide the focus order view (badges in the preview and the Tab stop list)
+ * @param {boolean} active - Whether the view should be shown
+ */
+function setFocusOrderActive(active) {
+    focusOrderActive = active;
+    focusOrderBtn.setAttribute('aria-pressed', String(active));
+    focusOrderSection.hidden = !active;
+
+    if (active && previewContainer) {
+        renderFocusOrder();
+    } else {
+        removeFocusBadges();
+        focusStops = [];
+    }
+}
+
+/**
+ * Compute the preview's Tab order and render the list and numbered badges
+ */
+function renderFocusOrder() {
+    focusStops = getFocusOrder(previewContainer, analysisResults);
+    focusOrderList.innerHTML = '';
+
+    const warningCount = focusStops.filter(stop => stop.warnings.length > 0).length;
+    focusOrderSummary.textContent = `${focusStops.length} tab ${focusStops.length === 1 ? 'stop' : 'stops'}` +
+        (warningCount > 0 ? `, ${warningCount} with warnings` : '');
+
+    if (focusStops.length === 0) {
+        focusOrderList.innerHTML = '<li class="placeholder-item">No keyboard-focusable elements found</li>';
+    }
+
+    focusStops.forEach(stop => {
+        const li = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.innerHTML = `
+            <span class="focus-order-number">${stop.order}</span>
+            <span>
+                ${escapeHtml(stop.announcement || stop.role)}
+                ${stop.warnings.map(w => `<span class="focus-order-warning">⚠️ ${w.description}</span>`).join('')}
+            </span>
+        `;
+        button.addEventListener('click', () => {
+            focusOrderList.querySelectorAll('li').forEach(item => item.classList.toggle('active', item === li));
+
+            // Select the matching announcement if the virtual cursor stops on this element
+            const index = analysisResults.findIndex(result => result.element === stop.element);
+            if (index !== -1) {
+                currentIndex = index;
+                updateCurrentElement();
+            } else {
+                highlightElementInPreview(stop.element);
+            }
+        });
+        li.appendChild(button);
+        focusOrderList.appendChild(li);
+    });
+
+    removeFocusBadges();
+    focusBadges = focusStops.map(stop => {
+        const badge = document.createElement('div');
+        badge.className = `focus-order-badge${stop.warnings.length > 0 ? ' has-warning' : ''}`;
+        badge.textContent = stop.order;
+        badge.setAttribute('aria-hidden', 'true');
+        badge._targetElement = stop.element;
+        previewFrame.appendChild(badge);
+        return badge;
+    });
+    positionFocusBadges();
+
+    announceToScreenReader(`Focus order: ${focusOrderSummary.textContent}.`);
+}
+
+/**
+ * Position focus order badges at the top-left corner of their elements
+ */
+function positionFocusBadges() {
+    if (focusBadges.length === 0) return;
+
+    const previewRect = previewFrame.getBoundingClientRect();
+    const iframeRect = previewIframe.getBoundingClientRect();
+
+    focusBadges.forEach(badge => {
+        const elementRect = badge._targetElement.getBoundingClientRect();
+        badge.style.top = `${iframeRect.top - previewRect.top + elementRect.top}px`;
+        badge.style.left = `${iframeRect.left - previewRect.left + elementRect.left}px`;
+    });
+}
+
+/**
+ * Remove all focus order badges from the preview
+ */
+function removeFocusBadges() {
+    focusBadges.forEach(badge => badge.remove());
+    focusBadges = [];
+}
+
+/**
+ * Setup the Elements List dialog (type radios, filter, close handlers)
+ */
+function setupElementsList() {
+    Object.entries(ELEMENT_TYPES).forEach(([type, label]) => {
+        const option = document.createElement('label');
+        option.className = 'elements-list-type';
+        option.innerHTML = `<input type="radio" name="elements-list-type" value="${type}"> ${label}`;
+        option.querySelector('input').checked = type === elementsListType;
+        elementsListTypes.appendChild(option);
+    });
+
+    elementsListTypes.addEventListener('change', (e) => {
+        elementsListType = e.target.value;
+        renderElementsList();
+    });
+
+    elementsListFilter.addEventListener('input', renderElementsList);
+    elementsListBtn.addEventListener('click', openElementsList);
+    elementsListCloseBtn.addEventListener('click', closeElementsList);
+    elementsListCancelBtn.addEventListener('click', closeElementsList);
+
+    // Close on backdrop click
+    elementsListModal.addEventListener('click', (e) => {
+        if (e.target === elementsListModal) {
+            closeElementsList();
+        }
+    });
+
+    // Close on ESC key
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && elementsListModal.classList.contains('open')) {
+            closeElementsList();
+        }
+    });
+}
+
+/**
+ * Open the Elements List dialog for the current preview
+ */
+function openElementsList() {
+    if (!previewContainer) {
+        announceToScreenReader('Nothing to list. Analyze some HTML first.');
+        return;
+    }
+
+    elementsListData = collectElementsList(previewContainer);
+    elementsListModal._returnFocus = document.activeElement;
+    elementsListFilter.value = '';
+    elementsListModal.classList.add('open');
+    renderElementsList();
+    setupModalFocusTrap(elementsListModal);
+
+    setTimeout(() => {
+        elementsListTypes.querySelector('input:checked').focus();
+    }, 100);
+}
+
+/**
+ * Close the Elements List dialog and restore focus to its opener
+ */
+function closeElementsList() {
+    elementsListModal.classList.remove('open');
+    removeModalFocusTrap(elementsListModal);
+    elementsListData = null;
+
+    const returnElement = elementsListModal._returnFocus;
+    elementsListModal._returnFocus = null;
+    if (returnElement && returnElement !== document.body) {
+        setTimeout(() => returnElement.focus(), 100);
+    }
+}
+
+/**
+ * Keep entries whose name matches the query, along with the ancestors of matches
+ */
+function filterElementsList(entries, query) {
+    return entries
+        .map(entry => ({ ...entry, children: filterElementsList(entry.children, query) }))
+        .filter(entry => !query || entry.name.toLowerCase().includes(query) || entry.children.length > 0);
+}
+
+/**
+ * Render the selected element type as a (nested) list of buttons
+ */
+function renderElementsList() {
+    if (!elementsListData) return;
+
+    const query = elementsListFilter.value.trim().toLowerCase();
+    const entries = filterElementsList(elementsListData[elementsListType], query);
+    let count = 0;
+
+    const renderEntries = (items) => {
+        const ul = document.createElement('ul');
+        items.forEach(entry => {
+            count++;
+            const li = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+
+            const prefix = elementsListType === 'headings' ? `H${entry.level}` :
+                elementsListType === 'links' || elementsListType === 'buttons' ? '' : entry.role;
+            button.innerHTML = `
+                ${prefix ? `<span class="elements-list-role">${escapeHtml(prefix)}</span>` : ''}
+                <span>${entry.name ? escapeHtml(entry.name) : '<em>(no name)</em>'}</span>
+            `;
+            button.addEventListener('click', () => selectElementsListEntry(entry));
+            li.appendChild(button);
+
+            if (entry.children.length > 0) {
+                li.appendChild(renderEntries(entry.children));
+            }
+            ul.appendChild(li);
+        });
+        return ul;
+    };
+
+    elementsListTree.innerHTML = '';
+    const typeLabel = ELEMENT_TYPES[elementsListType].toLowerCase();
+
+    if (entries.length === 0) {
+        elementsListTree.innerHTML = `<p class="placeholder-text">No ${query ? 'matching ' : ''}${typeLabel}</p>`;
+        elementsListSummary.textContent = `0 ${typeLabel}`;
+    } else {
+        elementsListTree.appendChild(renderEntries(entries));
+        elementsListSummary.textContent = `${count} ${typeLabel}${query ? ' matching filter' : ''}`;
+    }
+}
+
+/**
+ * Move the virtual cursor to an Elements List entry and close the dialog
+ * @param {Object} entry - Entry from collectElementsList()
+ */
+function selectElementsListEntry(entry) {
+    closeElementsList();
+
+    // First announcement on the element itself or inside it (e.g. a landmark's first child)
+    const index = analysisResults.findIndex(result =>
+        result.element === entry.element || entry.element.contains(result.element));
+
+    if (index !== -1) {
+        currentIndex = index;
+        updateCurrentElement();
+    } else {
+        highlightElementInPreview(entry.element);
+    }
+}
+
+/**
+ * Setup interactive mode (act on the preview and capture resulting announcements)
+ */
+function setupInteractiveMode() {
+    interactiveBtn.addEventListener('click', () => {
+        setInteractiveActive(!interactiveActive);
+    });
+
+    interactClickBtn.addEventListener('click', () => runInteraction('act'));
+
+    interactPressForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const key = interactKeyInput.value.trim();
+        if (key) runInteraction('press', key);
+    });
+
+    interactTypeForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (interactTextInput.value) runInteraction('type', interactTextInput.value);
+    });
+
+    // Sandbox flags only apply on load, so re-render the page with the new setting
+    interactScriptsCheckbox.addEventListener('change', async () => {
+        allowPageScripts = interactScriptsCheckbox.checked;
+        updatePageScriptsControl();
+        if (currentHtml) {
+            await runAnalysis(currentHtml, currentSource, 'Page Scripts');
+        }
+    });
+}
+
+/**
+ * Whether a page was fetched through the proxy (its source is the page URL)
+ * @param {string} source - Source label passed to runAnalysis()
+ * @returns {boolean}
+ */
+function isProxiedSource(source) {
+    return /^https?:\/\//i.test(source);
+}
+
+/**
+ * Sync the "Run page scripts" checkbox and its warning with the loaded page
+ * Scripts run in the app's origin and can read its saved settings, including
+ * the AI API key, so the risk is spelled out whenever they are on.
+ */
+function updatePageScriptsControl() {
+    const proxied = isProxiedSource(currentSource);
+    interactScriptsCheckbox.disabled = proxied;
+    interactScriptsCheckbox.checked = allowPageScripts;
+
+    if (proxied) {
+        interactScriptsWarning.textContent = 'Page scripts cannot run for pages fetched through the proxy.';
+    } else if (allowPageScripts) {
+        interactScriptsWarning.textContent = '⚠️ Page scripts run with full access to this app, including your saved AI API key. ' +
+            'Only enable them for content you trust.';
+    }
+    interactScriptsWarning.hidden = !proxied && !allowPageScripts;
+}
+
+/**
+ * Turn interactive mode on or off
+ * The button stays disabled until the session has started or stopped.
+ */
+async function setInteractiveActive(active) {
+    interactiveActive = active;
+    interactiveBtn.setAttribute('aria-pressed', String(active));
+    interactiveBtn.disabled = true;
+    interactiveToolbar.hidden = !active;
+
+    try {
+        if (active) {
+            updateInteractiveTarget();
+            await startInteraction();
+            if (interactiveActive) {
+                announceToScreenReader('Interactive mode on. Actions apply to the current element.');
+            }
+        } else {
+            await stopInteractiveSession();
+            announceToScreenReader('Interactive mode off.');
+        }
+    } finally {
+        interactiveBtn.disabled = false;
+    }
+}
+
+/**
+ * Start an interactive session on the preview, if there is one
+ */
+async function startInteraction() {
+    if (!previewContainer) return;
+
+    try {
+        await startInteractiveSession(previewContainer);
+        // Interactive mode was turned off (e.g. by clearing) while starting
+        if (!interactiveActive) {
+            await stopInteractiveSession();
+            return;
+        }
+        interactiveStatus.textContent = '';
+    } catch (error) {
+        console.error('❌ Failed to start interactive session:', error);
+        interactiveStatus.textContent = 'Virtual screen reader unavailable';
+    }
+}
+
+/**
+ * Show which element actions will apply to
+ */
+function updateInteractiveTarget() {
+    const result = analysisResults[currentIndex];
+    interactiveTarget.textContent = result ? `Target: ${getSpokenPhrase(result) || result.announcement}` : 'No element selected';
+}
+
+/**
+ * Perform an action on the current element and append what is announced
+ * @param {('act'|'press'|'type')} action - See performInteraction()
+ * @param {string} [input] - Key or text
+ */
+async function runInteraction(action, input = '') {
+    const target = analysisResults[currentIndex];
+    if (!target || interactionPending) return;
+
+    interactionPending = true;
+    interactiveToolbar.setAttribute('aria-busy', 'true');
+    interactiveStatus.textContent = 'Working...';
+
+    try {
+        const results = await performInteraction(target, { action, input, startIndex: analysisResults.length });
+
+        if (results.length === 0) {
+            interactiveStatus.textContent = 'Nothing was announced';
+            announceToScreenReader('Nothing was announced.');
+            return;
+        }
+
+        analysisResults.push(...results);
+        results.forEach(addAnnouncementToList);
+        renderAnnouncementBadges();
+        interactiveStatus.textContent = `${results[0].interaction}: ${results.length} new ${results.length === 1 ? 'announcement' : 'announcements'}`;
+
+        // Follow the virtual cursor; live region messages have no element to act on
+        const landed = results.find(result => result.element);
+        if (landed) {
+            currentIndex = landed.index;
+        }
+        updateCurrentElement();
+        announceToScreenReader(`${results[0].interaction}. ${results.map(getSpokenPhrase).filter(Boolean).join('. ')}`);
+    } catch (error) {
+        console.error('❌ Interaction failed:', error);
+        interactiveStatus.textContent = error.message;
+        announceToScreenReader(`Interaction failed: ${error.message}`, true);
+    } finally {
+        interactionPending = false;
+        interactiveToolbar.removeAttribute('aria-busy');
+    }
+}
+
+/**
+ * Setup the live region timeline
+ */
+function setupLiveRegionMonitor() {
+    liveRegionClearBtn.addEventListener('click', () => {
+        liveRegionEvents = [];
+        renderLiveRegionTimeline();
+        announceToScreenReader('Live region timeline cleared.');
+    });
+}
+
+/**
+ * Watch the preview's live regions, replacing any previous monitor
+ */
+function startLiveRegionMonitor() {
+    stopLiveRegionWatch?.();
+    liveRegionEvents = [];
+    liveRegionCount = findLiveRegions(previewContainer).length;
+
+    const record = event => {
+        liveRegionEvents.push(event);
+        renderLiveRegionTimeline();
+    };
+    stopLiveRegionWatch = watchLiveRegions(previewContainer, {
+        onAnnouncement: announcement => record({ ...announcement, kind: 'announcement' }),
+        onWarning: warning => record({ ...warning, kind: 'warning' })
+    });
+    renderLiveRegionTimeline();
+}
+
+/**
+ * Render recorded live region announcements and warnings in time order
+ */
+function renderLiveRegionTimeline() {
+    const announcements = liveRegionEvents.filter(event => event.kind === 'announcement').length;
+    const warnings = liveRegionEvents.length - announcements;
+    liveRegionSummary.textContent = `${liveRegionCount} live ${liveRegionCount === 1 ? 'region' : 'regions'}, ` +
+        `${announcements} ${announcements === 1 ? 'announcement' : 'announcements'}` +
+        (warnings > 0 ? `, ${warnings} ${warnings === 1 ? 'warning' : 'warnings'}` : '');
+
+    liveRegionTimeline.innerHTML = '';
+    if (liveRegionEvents.length === 0) {
+        // Without page scripts nothing in the preview changes after load
+        const placeholder = allowPageScripts
+            ? 'Live region updates will appear here...'
+            : isProxiedSource(currentSource)
+                ? 'Page scripts never run for pages fetched through the proxy, so their live regions cannot update.'
+                : 'Page scripts are off, so the page cannot update its live regions. Turn on "Run page scripts" in Interactive mode for trusted content.';
+        liveRegionTimeline.innerHTML = `<li class="placeholder-item">${escapeHtml(placeholder)}</li>`;
+        return;
+    }
+
+    liveRegionEvents.forEach(event => {
+        const li = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `live-region-event ${event.kind}`;
+        button.innerHTML = `
+            <span class="live-region-time">+${(event.time / 1000).toFixed(1)}s</span>
+            ${event.kind === 'warning'
+                ? `<span class="live-region-politeness">⚠️</span><span>${escapeHtml(event.message)}</span>`
+                : `<span class="live-region-politeness politeness-${event.politeness}">${event.politeness}</span><span>${escapeHtml(event.text)}</span>`}
+            <code class="live-region-selector">${escapeHtml(event.selector)}</code>
+        `;
+        button.addEventListener('click', () => highlightElementInPreview(event.element));
+        li.appendChild(button);
+        liveRegionTimeline.appendChild(li);
+    });
+}
+
+/**
+ * Setup compare mode (edit the HTML and diff against the previous analysis)
+ */
+function setupCompareMode() {
+    compareBtn.addEventListener('click', openCompareDialog);
+    compareEditBtn.addEventListener('click', openCompareDialog);
+    compareExitBtn.addEventListener('click', () => {
+        exitCompareMode();
+        announceToScreenReader('Compare mode closed.');
+    });
+    compareRunBtn.addEventListener('click', runComparison);
+    compareCancelBtn.addEventListener('click', closeCompareDialog);
+    compareCloseBtn.addEventListener('click', closeCompareDialog);
+
+    // Close on backdrop click
+    compareModal.addEventListener('click', (e) => {
+        if (e.target === compareModal) {
+            closeCompareDialog();
+        }
+    });
+
+    // Close on ESC key
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && compareModal.classList.contains('open')) {
+            closeCompareDialog();
+        }
+    });
+}
+
+/**
+ * Open the edit dialog with the currently analyzed HTML
+ */
+function openCompareDialog() {
+    if (!currentHtml) {
+        announceToScreenReader('Nothing to compare. Analyze some HTML first.');
+        return;
+    }
+
+    compareModal._returnFocus = document.activeElement;
+    compareHtmlInput.value = currentHtml;
+    compareModal.classList.add('open');
+    setupModalFocusTrap(compareModal);
+
+    setTimeout(() => {
+        compareHtmlInput.focus();
+    }, 100);
+}
+
+/**
+ * Close the edit dialog and restore focus to its opener
+ */
+function closeCompareDialog() {
+    compareModal.classList.remove('open');
+    removeModalFocusTrap(compareModal);
+
+    const returnElement = compareModal._returnFocus;
+    compareModal._returnFocus = null;
+    if (returnElement && returnElement !== document.body) {
+        setTimeout(() => returnElement.focus(), 100);
+    }
+}
+
+/**
+ * Analyze the edited HTML and compare it with the baseline
+ * The baseline is taken on the first edit and kept until compare mode is
+ * exited, so repeated edits are always compared with the original.
+ */
+async function runComparison() {
+    const html = compareHtmlInput.value;
+    if (!html.trim()) return;
+
+    if (!compareBaseline) {
+        compareBaseline = {
+            analysisResults: analysisResults.filter(result => !result.interaction),
+            axeResults,
+            html: currentHtml
+        };
+    }
+
+    closeCompareDialog();
+    if (await runAnalysis(html, currentSource, 'Compare')) {
+        renderComparison();
+    }
+}
+
+/**
+ * Render the transcript diff and violation changes
+ */
+function renderComparison() {
+    const comparison = compareAnalyses(compareBaseline, {
+        analysisResults: analysisResults.filter(result => !result.interaction),
+        axeResults
+    });
+    const { summary } = comparison;
+
+    compareSection.hidden = false;
+    compareSummary.textContent = `${summary.changed} changed, ${summary.added} added, ${summary.removed} removed announcements; ` +
+        `${summary.resolved} resolved, ${summary.new} new, ${summary.persisting} persisting violations`;
+
+    const violationGroups = [
+        { key: 'resolved', title: '✅ Resolved', entries: comparison.violations.resolved },
+        { key: 'new', title: '🆕 New', entries: comparison.violations.added },
+        { key: 'persisting', title: '⏳ Persisting', entries: comparison.violations.persisting }
+    ];
+    compareViolations.innerHTML = violationGroups.map(group => `
+        <div class="compare-violation-group ${group.key}">
+            <h4>${group.title} (${group.entries.length})</h4>
+            ${group.entries.length === 0 ? '<p class="placeholder-item">None</p>' : `
+            <ul>
+                ${group.entries.map(entry => `
+                    <li>
+                        <span class="severity-badge ${entry.impact}">${getImpactIcon(entry.impact)} ${entry.impact}</span>
+                        ${escapeHtml(entry.help)}
+                        <code>${escapeHtml(entry.html)}</code>
+                    </li>
+                `).join('')}
+            </ul>`}
+        </div>
+    `).join('');
+
+    const labels = { same: '', changed: 'Changed', added: 'Added', removed: 'Removed' };
+    compareTranscript.innerHTML = '';
+    comparison.transcript.forEach(row => {
+        const tr = document.createElement('tr');
+        tr.className = `compare-row ${row.type}`;
+        tr.innerHTML = `
+            <td>${labels[row.type]}</td>
+            <td>${row.before ? escapeHtml(row.before.announcement) : ''}</td>
+            <td>${row.after ? escapeHtml(row.after.announcement) : ''}</td>
+        `;
+        if (row.after) {
+            tr.tabIndex = 0;
+            tr.addEventListener('click', () => {
+                currentIndex = row.after.index;
+                updateCurrentElement();
+            });
+            tr.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') tr.click();
+            });
+        }
+        compareTranscript.appendChild(tr);
+    });
+
+    announceToScreenReader(`Comparison: ${compareSummary.textContent}.`);
+}
+
+/**
+ * Leave compare mode and forget the baseline
+ */
+function exitCompareMode() {
+    compareBaseline = null;
+    compareSection.hidden = true;
+    compareTranscript.innerHTML = '';
+    compareViolations.innerHTML = '';
+}
+
+/**
+ * Setup the axe rule settings dialog (WCAG target, rules and saved profiles)
+ */
+function setupAxeSettings() {
+    axeWcagVersionSelect.innerHTML = WCAG_VERSIONS
+        .map(version => `<option value="${version}">WCAG ${version}</option>`).join('');
+    axeConformanceLevelSelect.innerHTML = CONFORMANCE_LEVELS
+        .map(level => `<option value="${level}">${level}</option>`).join('');
+    updateAxeSettingsButton();
+
+    axeSettingsBtn.addEventListener('click', openAxeSettings);
+    axeSettingsCloseBtn.addEventListener('click', closeAxeSettings);
+
+    axeProfileSelect.addEventListener('change', () => {
+        axeProfileDraft = structuredClone(loadAxeProfiles()[axeProfileSelect.value]);
+        fillAxeSettingsForm();
+        renderAxeRules();
+    });
+
+    axeWcagVersionSelect.addEventListener('change', () => {
+        axeProfileDraft.wcagVersion = axeWcagVersionSelect.value;
+        renderAxeRules();
+    });
+    axeConformanceLevelSelect.addEventListener('change', () => {
+        axeProfileDraft.level = axeConformanceLevelSelect.value;
+        renderAxeRules();
+    });
+    axeBestPracticeCheckbox.addEventListener('change', () => {
+        axeProfileDraft.bestPractice = axeBestPracticeCheckbox.checked;
+        renderAxeRules();
+    });
+    axeExperimentalCheckbox.addEventListener('change', () => {
+        axeProfileDraft.experimental = axeExperimentalCheckbox.checked;
+        renderAxeRules();
+    });
+    axeRulesFilter.addEventListener('input', renderAxeRules);
+
+    axeProfileSaveBtn.addEventListener('click', saveAxeSettings);
+    axeProfileDeleteBtn.addEventListener('click', () => {
+        const name = axeProfileSelect.value;
+        deleteAxeProfile(name);
+        axeProfile = getActiveAxeProfile();
+        updateAxeSettingsButton();
+        axeProfileDraft = structuredClone(axeProfile);
+        fillAxeSettingsForm();
+        renderAxeRules();
+        announceToScreenReader(`Deleted profile ${name}.`);
+    });
+    axeProfileExportBtn.addEventListener('click', exportAxeSettings);
+    axeProfileImportBtn.addEventListener('click', () => axeProfileFileInput.click());
+    axeProfileFileInput.addEventListener('change', importAxeSettings);
+
+    // Close on backdrop click
+    axeSettingsModal.addEventListener('click', (e) => {
+        if (e.target === axeSettingsModal) {
+            closeAxeSettings();
+        }
+    });
+
+    // Close on ESC key
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && axeSettingsModal.classList.contains('open')) {
+            closeAxeSettings();
+        }
+    });
+}
+
+/**
+ * Show the active profile's conformance target on the settings button
+ */
+function updateAxeSettingsButton() {
+    axeSettingsBtn.textContent = `⚙️ WCAG ${axeProfile.wcagVersion} ${axeProfile.level}`;
+    axeSettingsBtn.title = `Axe rules: ${axeProfile.name} profile`;
+}
+
+/**
+ * Open the settings dialog with a copy of the active profile
+ */
+function openAxeSettings() {
+    axeSettingsModal._returnFocus = document.activeElement;
+    axeProfileDraft = structuredClone(axeProfile);
+    axeRulesFilter.value = '';
+    fillAxeSettingsForm();
+    renderAxeRules();
+
+    axeSettingsModal.classList.add('open');
+    setupModalFocusTrap(axeSettingsModal);
+
+    setTimeout(() => {
+        axeProfileSelect.focus();
+    }, 100);
+}
+
+/**
+ * Close the settings dialog, discarding unsaved changes
+ */
+function closeAxeSettings() {
+    axeSettingsModal.classList.remove('open');
+    removeModalFocusTrap(axeSettingsModal);
+    axeProfileDraft = null;
+
+    const returnElement = axeSettingsModal._returnFocus;
+    axeSettingsModal._returnFocus = null;
+    if (returnElement && returnElement !== document.body) {
+        setTimeout(() => returnElement.focus(), 100);
+    }
+}
+
+/**
+ * Show or clear an error inside the settings dialog
+ */
+function showAxeSettingsError(message = '') {
+    axeSettingsError.textContent = message;
+    axeSettingsError.style.display = message ? 'block' : 'none';
+}
+
+/**
+ * Fill the form fields from the draft profile
+ */
+function fillAxeSettingsForm() {
+    const profiles = loadAxeProfiles();
+    axeProfileSelect.innerHTML = Object.keys(profiles)
+        .map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+    axeProfileSelect.value = profiles[axeProfileDraft.name] ? axeProfileDraft.name : DEFAULT_AXE_PROFILE.name;
+
+    const isDefault = axeProfileDraft.name === DEFAULT_AXE_PROFILE.name;
+    axeProfileNameInput.value = isDefault ? '' : axeProfileDraft.name;
+    axeProfileNameInput.placeholder = isDefault ? 'My profile' : '';
+    axeProfileDeleteBtn.disabled = isDefault || !profiles[axeProfileDraft.name];
+
+    axeWcagVersionSelect.value = axeProfileDraft.wcagVersion;
+    axeConformanceLevelSelect.value = axeProfileDraft.level;
+    axeBestPracticeCheckbox.checked = axeProfileDraft.bestPractice;
+    axeExperimentalCheckbox.checked = axeProfileDraft.experimental;
+    showAxeSettingsError();
+}
+
+/**
+ * List the rules the draft profile runs, with enable and impact controls
+ */
+async function renderAxeRules() {
+    const draft = axeProfileDraft;
+    let rules;
+    try {
+        rules = await getProfileRules(draft);
+    } catch (error) {
+        console.error('❌ Could not load axe rules:', error);
+        showAxeSettingsError(categorizeError(error).userMessage);
+        return;
+    }
+    // The draft changed while axe was loading
+    if (draft !== axeProfileDraft) return;
+
+    const filter = axeRulesFilter.value.trim().toLowerCase();
+    const shown = rules.filter(rule =>
+        !filter || rule.ruleId.includes(filter) || rule.help.toLowerCase().includes(filter));
+    const updateSummary = () => {
+        const enabledCount = rules.filter(rule => !draft.disabledRules.includes(rule.ruleId)).length;
+        axeRulesSummary.textContent = `${enabledCount} of ${rules.length} rules enabled` +
+            (filter ? `, ${shown.length} shown` : '');
+    };
+    updateSummary();
+
+    const list = document.createElement('ul');
+    shown.forEach(rule => {
+        const li = document.createElement('li');
+        li.className = 'axe-rule';
+        li.innerHTML = `
+            <label class="axe-rule-toggle">
+                <input type="checkbox" ${draft.disabledRules.includes(rule.ruleId) ? '' : 'checked'}>
+                <code>${escapeHtml(rule.ruleId)}</code>
+                <span class="axe-rule-help">${escapeHtml(rule.help)}</span>
+            </label>
+            <select class="axe-rule-impact" aria-label="Impact for ${escapeHtml(rule.ruleId)}">
+                <option value="">Default impact</option>
+                ${IMPACT_LEVELS.map(impact => `<option value="${impact}">${impact}</option>`).join('')}
+            </select>
+        `;
+
+        li.querySelector('input').addEventListener('change', (e) => {
+            draft.disabledRules = e.target.checked
+                ? draft.disabledRules.filter(ruleId => ruleId !== rule.ruleId)
+                : [...draft.disabledRules, rule.ruleId];
+            updateSummary();
+        });
+
+        const impactSelect = li.querySelector('select');
+        impactSelect.value = draft.impactOverrides[rule.ruleId] || '';
+        impactSelect.addEventListener('change', () => {
+            if (impactSelect.value) {
+                draft.impactOverrides[rule.ruleId] = impactSelect.value;
+            } else {
+                delete draft.impactOverrides[rule.ruleId];
+            }
+        });
+
+        list.appendChild(li);
+    });
+
+    axeRulesList.innerHTML = '';
+    axeRulesList.appendChild(list);
+}
+
+/**
+ * Save the draft under the chosen name, make it active and re-run axe
+ * The built-in default can be selected but not changed.
+ */
+async function saveAxeSettings() {
+    const name = axeProfileNameInput.value.trim() || axeProfileDraft.name;
+    const unchangedDefault = name === DEFAULT_AXE_PROFILE.name &&
+        exportAxeProfile(axeProfileDraft) === exportAxeProfile(DEFAULT_AXE_PROFILE);
+
+    try {
+        axeProfile = unchangedDefault
+            ? { ...DEFAULT_AXE_PROFILE }
+            : saveAxeProfile({ ...axeProfileDraft, name });
+    } catch (error) {
+        showAxeSettingsError(error.message);
+        return;
+    }
+
+    setActiveAxeProfile(axeProfile.name);
+    updateAxeSettingsButton();
+    closeAxeSettings();
+    console.log(`⚙️ Using axe profile "${axeProfile.name}"`);
+
+    if (previewContainer) {
+        await rerunAxeAnalysis();
+    }
+}
+
+/**
+ * Download the draft profile as JSON
+ */
+function exportAxeSettings() {
+    const name = axeProfileNameInput.value.trim() || axeProfileDraft.name;
+    const json = exportAxeProfile({ ...axeProfileDraft, name });
+
+    const blob = new Blob([json], { type: 'application/json;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${name.replace(/[^\w-]+/g, '-').toLowerCase()}.axe-profile.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+
+    announceToScreenReader(`Exported profile ${name}.`);
+}
+
+/**
+ * Save a profile from a JSON file and show it in the dialog
+ */
+async function importAxeSettings() {
+    const file = axeProfileFileInput.files[0];
+    axeProfileFileInput.value = '';
+    if (!file) return;
+
+    try {
+        const profile = saveAxeProfile(importAxeProfile(await file.text()));
+        axeProfileDraft = structuredClone(profile);
+        fillAxeSettingsForm();
+        renderAxeRules();
+        announceToScreenReader(`Imported profile ${profile.name}. Save to use it.`);
+    } catch (error) {
+        showAxeSettingsError(`Could not import ${file.name}: ${error.message}`);
+    }
+}
+
+/**
+ * Run axe-core again on the current preview, e.g. after the rules changed
+ */
+async function rerunAxeAnalysis() {
+    try {
+        axeResults = validateAxeResults(await runAxeAnalysis(previewContainer, axeProfile));
+        mergeTranscriptChecks();
+        renderAxeResults(axeResults);
+        renderAnnouncementBadges();
+
+        const violationCount = axeResults.violations.length;
+        announceToScreenReader(`Re-ran accessibility checks with the ${axeProfile.name} profile. ` +
+            `Found ${violationCount} ${violationCount === 1 ? 'violation' : 'violations'}.`);
+    } catch (error) {
+        console.error('❌ Axe analysis failed:', error);
+        issuesContent.innerHTML = '';
+        issuesContent.appendChild(showError('Accessibility Checks', categorizeError(error).userMessage, rerunAxeAnalysis));
+        appendTranscriptChecks();
+    }
+}
+
+/**
+ * Escape text for safe insertion into HTML
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+/**
+ * Remove the current highlight overlay
+ */
+function removeHighlight() {
+    if (currentHighlight) {
+        currentHighlight.remove();
+        currentHighlight = null;
+    }
+}
+
 
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', init);
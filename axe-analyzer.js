@@ -3,9 +3,14 @@
  * Uses axe-core library for comprehensive WCAG violation detection
  */
 
+const AXE_CDN = 'https://cdn.jsdelivr.net/npm/axe-core@4.8.4';
+
 // Dynamically import axe-core from CDN
 let axe = null;
 
+// Source of the classic build, for evaluating axe against another window
+let axeSource = null;
+
 /**
  * Load axe-core library
  */
@@ -13,7 +18,7 @@ async function loadAxe() {
     if (axe) return axe;
 
     try {
-        const module = await import('https://cdn.jsdelivr.net/npm/axe-core@4.8.4/+esm');
+        const module = await import(`${AXE_CDN}/+esm`);
         axe = module.default;
         console.log('✅ Axe-core loaded successfully');
         return axe;
@@ -23,30 +28,151 @@ async function loadAxe() {
     }
 }
 
+/**
+ * Get axe-core for the window that owns the nodes to analyze
+ * axe only accepts nodes that are instances of its own window's Node, so the
+ * parent's copy rejects the preview iframe's document. The iframe runs without
+ * scripts, so axe's source is evaluated here with the frame's window passed in
+ * as the `window` it binds to (the build reads the DOM only through it).
+ * The source comes from the setAxe() instance when it has one, so Node
+ * tooling never needs the network; otherwise it is fetched from the CDN.
+ * @param {Window} win - Window of the analyzed document
+ * @returns {Promise<Object>} The axe-core API object for that window
+ */
+async function loadAxeForWindow(win) {
+    if (win.axe) return win.axe;
+    if (typeof window !== 'undefined' && win === window) return loadAxe();
+
+    // An injected instance without source is used as is
+    if (!axeSource && axe) {
+        if (!axe.source) return axe;
+        axeSource = axe.source;
+    }
+
+    if (!axeSource) {
+        try {
+            const response = await fetch(`${AXE_CDN}/axe.min.js`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            axeSource = await response.text();
+        } catch (error) {
+            console.error('❌ Failed to load axe-core:', error);
+            throw new Error('Could not load axe-core library');
+        }
+    }
+
+    new Function('window', axeSource)(win);
+    console.log('✅ Axe-core loaded into the preview frame');
+    return win.axe;
+}
+
+/**
+ * Use an already-loaded axe-core instead of the CDN build
+ * Lets Node tooling supply axe-core evaluated inside a jsdom window.
+ * @param {Object} instance - The axe-core API object
+ */
+export function setAxe(instance) {
+    axe = instance;
+}
+
+/**
+ * Impact levels from least to most severe
+ */
+export const IMPACT_LEVELS = ['minor', 'moderate', 'serious', 'critical'];
+
+/**
+ * Check whether an impact is at or above a minimum impact level
+ * @param {string} impact - Impact of a violation
+ * @param {string} minImpact - Minimum impact to match
+ * @returns {boolean} True if impact >= minImpact
+ */
+export function meetsImpact(impact, minImpact) {
+    return IMPACT_LEVELS.indexOf(impact) >= IMPACT_LEVELS.indexOf(minImpact);
+}
+
+export const WCAG_VERSIONS = ['2.0', '2.1', '2.2'];
+export const CONFORMANCE_LEVELS = ['A', 'AA', 'AAA'];
+
+/**
+ * Rule configuration for an analysis: WCAG target, extra rule sets, skipped
+ * rules and impact overrides. The default is WCAG 2.1 AA plus best practices.
+ */
+export const DEFAULT_AXE_PROFILE = Object.freeze({
+    name: 'Default',
+    wcagVersion: '2.1',
+    level: 'AA',
+    bestPractice: true,
+    experimental: false,
+    disabledRules: [],
+    impactOverrides: {}
+});
+
+// Axe tag prefix for each WCAG version
+const VERSION_TAGS = { '2.0': 'wcag2', '2.1': 'wcag21', '2.2': 'wcag22' };
+
+/**
+ * Axe tags to run for a profile: every version and level up to the target
+ * @param {Object} profile - See DEFAULT_AXE_PROFILE
+ * @returns {string[]} Tags, e.g. ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa', 'best-practice']
+ */
+export function getProfileTags(profile) {
+    const versions = WCAG_VERSIONS.slice(0, WCAG_VERSIONS.indexOf(profile.wcagVersion) + 1);
+    const levels = CONFORMANCE_LEVELS.slice(0, CONFORMANCE_LEVELS.indexOf(profile.level) + 1);
+
+    const tags = versions.flatMap(version => levels.map(level => `${VERSION_TAGS[version]}${level.toLowerCase()}`));
+    if (profile.bestPractice) tags.push('best-practice');
+    if (profile.experimental) tags.push('experimental');
+    return tags;
+}
+
+/**
+ * Rules axe-core would run for a profile (ignoring disabled rules)
+ * @param {Object} profile - See DEFAULT_AXE_PROFILE
+ * @returns {Promise<Object[]>} { ruleId, help, tags }
+ */
+export async function getProfileRules(profile) {
+    await loadAxe();
+    return axe.getRules(getProfileTags(profile))
+        .map(({ ruleId, help, tags }) => ({ ruleId, help, tags }))
+        .sort((a, b) => a.ruleId.localeCompare(b.ruleId));
+}
+
 /**
  * Run axe-core analysis on a container element
  * @param {HTMLElement} container - The element to analyze
+ * @param {Object} [profile] - Rules to run (see DEFAULT_AXE_PROFILE)
  * @returns {Promise<Object>} Analysis results with violations
  */
-export async function runAxeAnalysis(container) {
-    await loadAxe();
+export async function runAxeAnalysis(container, profile = DEFAULT_AXE_PROFILE) {
+    const view = container.ownerDocument.defaultView;
+    const frameAxe = view ? await loadAxeForWindow(view) : await loadAxe();
 
-    console.log('🔍 Running axe-core analysis...');
+    console.log(`🔍 Running axe-core analysis (${profile.name})...`);
 
     try {
-        const results = await axe.run(container, {
+        const results = await frameAxe.run(container, {
             runOnly: {
                 type: 'tag',
-                values: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa', 'best-practice']
+                values: getProfileTags(profile)
             },
+            rules: Object.fromEntries(profile.disabledRules.map(ruleId => [ruleId, { enabled: false }])),
             resultTypes: ['violations', 'incomplete']
         });
 
         console.log(`📊 Axe found ${results.violations.length} violations, ${results.incomplete.length} incomplete`);
 
+        // Re-rate impacts the profile overrides
+        const format = result => {
+            const formatted = formatViolation(result);
+            return profile.impactOverrides[result.id]
+                ? { ...formatted, impact: profile.impactOverrides[result.id] }
+                : formatted;
+        };
+
         return {
-            violations: results.violations.map(formatViolation),
-            incomplete: results.incomplete.map(formatViolation),
+            violations: results.violations.map(format),
+            incomplete: results.incomplete.map(format),
             passes: results.passes.length,
             timestamp: new Date().toISOString()
         };
@@ -80,6 +206,67 @@ function formatViolation(violation) {
     };
 }
 
+/**
+ * Resolve an axe-core node target to its element
+ * Targets are selector arrays; an inner array is a path through shadow roots.
+ * @param {Document} doc - Document the analysis ran against
+ * @param {Array<string|string[]>} target - Axe node target
+ * @returns {Element|null} The matching element
+ */
+export function resolveAxeTarget(doc, target) {
+    if (!doc || !Array.isArray(target) || target.length === 0) return null;
+
+    const last = target[target.length - 1];
+    const selectors = Array.isArray(last) ? last : [last];
+
+    try {
+        let scope = doc;
+        let element = null;
+        for (const selector of selectors) {
+            element = scope.querySelector(selector);
+            if (!element) return null;
+            scope = element.shadowRoot || element;
+        }
+        return element;
+    } catch (error) {
+        console.warn('⚠️ Could not resolve axe target:', target, error);
+        return null;
+    }
+}
+
+/**
+ * Associate axe findings with the announcements for the same elements
+ * @param {Object[]} announcements - Results from analyzeContainer()
+ * @param {Object} axeResults - Results from runAxeAnalysis(); incomplete nodes may
+ * carry a manual `review` (see applyReviews())
+ * @returns {Object[][]} Per announcement index, its { id, impact, help, type, review } findings
+ */
+export function mapViolationsToAnnouncements(announcements, axeResults) {
+    const mapped = announcements.map(() => []);
+    const doc = announcements.find(result => result.element)?.element.ownerDocument;
+    if (!doc || !axeResults) return mapped;
+
+    const findings = [
+        ...axeResults.violations.map(issue => ({ issue, type: 'violation' })),
+        ...axeResults.incomplete.map(issue => ({ issue, type: 'incomplete' }))
+    ];
+
+    findings.forEach(({ issue, type }) => {
+        issue.nodes.forEach(node => {
+            const element = resolveAxeTarget(doc, node.target);
+            if (!element) return;
+
+            announcements.forEach((result, index) => {
+                if (result.element === element && !mapped[index].some(f => f.id === issue.id)) {
+                    mapped[index].push({ id: issue.id, impact: issue.impact, help: issue.help, type, review: node.review ?? null });
+                }
+            });
+        });
+    });
+
+    return mapped;
+}
+
 /**
  * Get severity color for impact level
  */
@@ -0,0 +1,161 @@
+/**
+ * Axe Profiles - Saved conformance targets and rule configuration
+ * Profiles (see DEFAULT_AXE_PROFILE) are saved by name in localStorage and
+ * shared as JSON so a team audits against the same standard.
+ */
+
+import {
+    IMPACT_LEVELS,
+    WCAG_VERSIONS,
+    CONFORMANCE_LEVELS,
+    DEFAULT_AXE_PROFILE
+} from './axe-analyzer.js';
+
+const STORAGE_KEY = 'axe_profiles';
+const ACTIVE_KEY = 'axe_profile';
+
+/**
+ * Persist custom profiles (the default is built in)
+ */
+function storeProfiles(profiles) {
+    const custom = { ...profiles };
+    delete custom[DEFAULT_AXE_PROFILE.name];
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(custom));
+}
+
+/**
+ * Check and normalize a profile, e.g. one read from an imported file
+ * @param {Object} profile - Candidate profile
+ * @returns {Object} Normalized profile
+ * @throws {Error} If a field is invalid
+ */
+export function validateAxeProfile(profile) {
+    if (!profile || typeof profile !== 'object') {
+        throw new Error('Profile must be a JSON object');
+    }
+
+    const normalized = { ...DEFAULT_AXE_PROFILE, ...profile };
+    if (typeof normalized.name !== 'string' || !normalized.name.trim()) {
+        throw new Error('Profile needs a name');
+    }
+    if (!WCAG_VERSIONS.includes(normalized.wcagVersion)) {
+        throw new Error(`Unknown WCAG version "${normalized.wcagVersion}". Use one of: ${WCAG_VERSIONS.join(', ')}`);
+    }
+    if (!CONFORMANCE_LEVELS.includes(normalized.level)) {
+        throw new Error(`Unknown conformance level "${normalized.level}". Use one of: ${CONFORMANCE_LEVELS.join(', ')}`);
+    }
+    if (!Array.isArray(normalized.disabledRules) || normalized.disabledRules.some(rule => typeof rule !== 'string')) {
+        throw new Error('disabledRules must be a list of rule ids');
+    }
+    const overrides = normalized.impactOverrides;
+    if (!overrides || typeof overrides !== 'object' || Object.values(overrides).some(impact => !IMPACT_LEVELS.includes(impact))) {
+        throw new Error(`impactOverrides must map rule ids to one of: ${IMPACT_LEVELS.join(', ')}`);
+    }
+
+    return {
+        name: normalized.name.trim(),
+        wcagVersion: normalized.wcagVersion,
+        level: normalized.level,
+        bestPractice: Boolean(normalized.bestPractice),
+        experimental: Boolean(normalized.experimental),
+        disabledRules: [...new Set(normalized.disabledRules)],
+        impactOverrides: { ...overrides }
+    };
+}
+
+/**
+ * Parse a profile from exported JSON
+ * @param {string} json - Output of exportAxeProfile()
+ * @returns {Object} Normalized profile
+ * @throws {Error} If the JSON or profile is invalid
+ */
+export function importAxeProfile(json) {
+    let parsed;
+    try {
+        parsed = JSON.parse(json);
+    } catch (error) {
+        throw new Error(`Profile is not valid JSON: ${error.message}`);
+    }
+    return validateAxeProfile(parsed);
+}
+
+/**
+ * Serialize a profile for sharing
+ * @param {Object} profile - Axe profile
+ * @returns {string} Pretty-printed JSON
+ */
+export function exportAxeProfile(profile) {
+    return JSON.stringify(validateAxeProfile(profile), null, 2);
+}
+
+/**
+ * Saved profiles by name, always including the default
+ * @returns {Object<string, Object>} Profiles
+ */
+export function loadAxeProfiles() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+        console.warn('⚠️ Ignoring unreadable axe profiles:', error);
+    }
+
+    const profiles = { [DEFAULT_AXE_PROFILE.name]: { ...DEFAULT_AXE_PROFILE } };
+    Object.values(saved).forEach(profile => {
+        try {
+            const valid = validateAxeProfile(profile);
+            profiles[valid.name] = valid;
+        } catch (error) {
+            console.warn('⚠️ Skipping invalid axe profile:', error.message);
+        }
+    });
+    return profiles;
+}
+
+/**
+ * Save a profile under its name, replacing any profile with the same name
+ * @param {Object} profile - Axe profile
+ * @returns {Object} The saved, normalized profile
+ * @throws {Error} If the profile is invalid or named like the default
+ */
+export function saveAxeProfile(profile) {
+    const valid = validateAxeProfile(profile);
+    if (valid.name === DEFAULT_AXE_PROFILE.name) {
+        throw new Error(`"${DEFAULT_AXE_PROFILE.name}" is built in; save your changes under another name`);
+    }
+
+    const profiles = loadAxeProfiles();
+    profiles[valid.name] = valid;
+    storeProfiles(profiles);
+    return valid;
+}
+
+/**
+ * Delete a saved profile (the default cannot be deleted)
+ * @param {string} name - Profile name
+ */
+export function deleteAxeProfile(name) {
+    const profiles = loadAxeProfiles();
+    delete profiles[name];
+    storeProfiles(profiles);
+    if (localStorage.getItem(ACTIVE_KEY) === name) {
+        localStorage.removeItem(ACTIVE_KEY);
+    }
+}
+
+/**
+ * The profile used for analysis
+ * @returns {Object} Active profile (the default if none is selected)
+ */
+export function getActiveAxeProfile() {
+    const profiles = loadAxeProfiles();
+    return profiles[localStorage.getItem(ACTIVE_KEY)] || profiles[DEFAULT_AXE_PROFILE.name];
+}
+
+/**
+ * Select the profile used for analysis
+ * @param {string} name - Profile name
+ */
+export function setActiveAxeProfile(name) {
+    localStorage.setItem(ACTIVE_KEY, name);
+}
@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+/**
+ * SR Visualizer CLI - Headless screen reader and axe-core analysis
+ *
+ * Usage: sr-visualizer analyze <file.html...> [options]
+ *        sr-visualizer snapshot <file.html...> [--update] [--snapshot-dir <dir>]
+ */
+
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+
+import { createDom, analyzeElement } from './headless.js';
+import { IMPACT_LEVELS, DEFAULT_AXE_PROFILE, meetsImpact } from './axe-analyzer.js';
+import { importAxeProfile } from './axe-profiles.js';
+import { EXPORT_FORMATS, buildReport, formatReports } from './exporter.js';
+import { checkTranscriptSnapshot } from './snapshot.js';
+
+const USAGE = `Usage: sr-visualizer analyze <file.html...> [options]
+       sr-visualizer snapshot <file.html...> [--update] [--snapshot-dir <dir>]
+
+Commands:
+  analyze                  Print the transcript and accessibility findings
+  snapshot                 Compare each transcript with its golden file
+                           (__snapshots__/<name>.transcript.txt by default)
+
+Options:
+  -f, --format <format>    Output format: text (default), json, markdown or csv
+      --fail-on <impact>   Exit with code 1 if violations at or above this impact
+                           are found (${IMPACT_LEVELS.join(', ')})
+      --no-axe             Skip axe-core checks (transcript only)
+      --axe-profile <file> Rule profile exported from the browser settings (JSON)
+  -u, --update             Write snapshots instead of comparing them
+      --snapshot-dir <dir> Directory for snapshot files
+  -v, --verbose            Print analysis progress to stderr
+  -h, --help               Show this help
+
+Exit codes: 0 success, 1 violations at or above --fail-on or snapshot mismatch,
+2 usage or runtime error`;
+
+const COMMANDS = ['analyze', 'snapshot'];
+
+const FORMATS = Object.keys(EXPORT_FORMATS);
+
+/**
+ * Run the analyze subcommand
+ * @returns {Promise<number>} Process exit code
+ */
+async function runAnalyze(files, options) {
+    const reports = [];
+
+    for (const file of files) {
+        const html = await readFile(file, 'utf8');
+        const dom = createDom(html);
+        try {
+            const { announcements, axeResults, issues, usedFallback } =
+                await analyzeElement(dom.window.document.body, { axe: options.axe, axeProfile: options.axeProfile });
+            reports.push(buildReport({ source: file, analysisResults: announcements, axeResults, issues, usedFallback }));
+        } finally {
+            dom.window.close();
+        }
+    }
+
+    process.stdout.write(`${formatReports(options.format, reports)}\n`);
+
+    if (options.failOn) {
+        const failing = reports.flatMap(report => report.violations)
+            .filter(violation => meetsImpact(violation.impact, options.failOn));
+        if (failing.length > 0) {
+            console.error(`❌ ${failing.length} violation(s) at or above "${options.failOn}" impact`);
+            return 1;
+        }
+    }
+
+    return 0;
+}
+
+/**
+ * Run the snapshot subcommand
+ * @returns {Promise<number>} Process exit code
+ */
+async function runSnapshot(files, options) {
+    let failed = 0;
+
+    for (const file of files) {
+        const { status, snapshotPath, diff } = await checkTranscriptSnapshot(file, options);
+
+        switch (status) {
+            case 'match':
+                process.stdout.write(`✅ ${file} matches ${snapshotPath}\n`);
+                break;
+            case 'written':
+                process.stdout.write(`📝 ${file} wrote ${snapshotPath}\n`);
+                break;
+            case 'missing':
+                failed++;
+                process.stdout.write(`❌ ${file} has no snapshot at ${snapshotPath} (run with --update to create it)\n`);
+                break;
+            default:
+                failed++;
+                process.stdout.write(`❌ ${file} differs from ${snapshotPath}\n${diff}\n`);
+        }
+    }
+
+    if (failed > 0) {
+        console.error(`❌ ${failed} of ${files.length} snapshot(s) failed (run with --update to accept changes)`);
+        return 1;
+    }
+    return 0;
+}
+
+/**
+ * CLI entry point
+ * @param {string[]} argv - Arguments after the node executable and script
+ * @returns {Promise<number>} Process exit code
+ */
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                format: { type: 'string', short: 'f', default: 'text' },
+                'fail-on': { type: 'string' },
+                'no-axe': { type: 'boolean', default: false },
+                'axe-profile': { type: 'string' },
+                update: { type: 'boolean', short: 'u', default: false },
+                'snapshot-dir': { type: 'string' },
+                verbose: { type: 'boolean', short: 'v', default: false },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    const { values, positionals } = parsed;
+    const [command, ...files] = positionals;
+
+    if (values.help || !command) {
+        console.log(USAGE);
+        return values.help ? 0 : 2;
+    }
+
+    if (!COMMANDS.includes(command) || files.length === 0) {
+        console.error(USAGE);
+        return 2;
+    }
+
+    if (!FORMATS.includes(values.format)) {
+        console.error(`Unknown format "${values.format}". Use one of: ${FORMATS.join(', ')}`);
+        return 2;
+    }
+
+    if (values['fail-on'] && !IMPACT_LEVELS.includes(values['fail-on'])) {
+        console.error(`Unknown impact "${values['fail-on']}". Use one of: ${IMPACT_LEVELS.join(', ')}`);
+        return 2;
+    }
+
+    // The shared modules log progress with console.log; keep stdout for the report
+    const { log, warn } = console;
+    console.log = values.verbose ? console.error : () => {};
+    console.warn = values.verbose ? warn : () => {};
+
+    try {
+        if (command === 'snapshot') {
+            return await runSnapshot(files, {
+                update: values.update,
+                snapshotDir: values['snapshot-dir']
+            });
+        }
+
+        return await runAnalyze(files, {
+            format: values.format,
+            failOn: values['fail-on'],
+            axe: !values['no-axe'],
+            axeProfile: values['axe-profile']
+                ? importAxeProfile(await readFile(values['axe-profile'], 'utf8'))
+                : DEFAULT_AXE_PROFILE
+        });
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        return 2;
+    } finally {
+        console.log = log;
+        console.warn = warn;
+    }
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
@@ -0,0 +1,290 @@
+/**
+ * Content Loader - Local files, dropped folders and proxied URLs
+ * Turns the different start-screen sources into a single HTML string for the preview
+ */
+
+const HTML_FILE_PATTERN = /\.html?$/i;
+
+// Default address of the bundled proxy (see proxy-server.js)
+export const DEFAULT_PROXY_URL = 'http://localhost:8787';
+
+// Blob URLs created for the current document, revoked on the next load
+let activeObjectUrls = [];
+
+/**
+ * Check whether a path or file name looks like an HTML document
+ */
+export function isHtmlFile(name) {
+    return HTML_FILE_PATTERN.test(name);
+}
+
+/**
+ * Collect files from a drop event, walking dropped directories recursively
+ * @param {DataTransfer} dataTransfer - The drop event's dataTransfer
+ * @returns {Promise<Array<{ path: string, file: File }>>} Files with folder-relative paths
+ */
+export async function collectDroppedFiles(dataTransfer) {
+    const entries = Array.from(dataTransfer.items || [])
+        .map(item => item.webkitGetAsEntry?.())
+        .filter(Boolean);
+
+    // Browsers without the entries API only expose the top-level files
+    if (entries.length === 0) {
+        return Array.from(dataTransfer.files).map(file => ({ path: file.name, file }));
+    }
+
+    const files = [];
+
+    // A single dropped folder is the site root, so its name is not part of resource paths
+    if (entries.length === 1 && entries[0].isDirectory) {
+        for (const child of await readDirectory(entries[0])) {
+            await walkEntry(child, '', files);
+        }
+        return files;
+    }
+
+    for (const entry of entries) {
+        await walkEntry(entry, '', files);
+    }
+    return files;
+}
+
+/**
+ * Collect files chosen through an <input type="file" webkitdirectory>
+ * @param {FileList} fileList - Selected files
+ * @returns {Array<{ path: string, file: File }>} Files with folder-relative paths
+ */
+export function collectSelectedFiles(fileList) {
+    return Array.from(fileList).map(file => ({
+        // Strip the selected folder's own name so paths match dropped folders
+        path: file.webkitRelativePath
+            ? file.webkitRelativePath.split('/').slice(1).join('/')
+            : file.name,
+        file
+    }));
+}
+
+/**
+ * Recursively read a FileSystemEntry into the files array
+ */
+async function walkEntry(entry, parentPath, files) {
+    const path = parentPath ? `${parentPath}/${entry.name}` : entry.name;
+
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        files.push({ path, file });
+        return;
+    }
+
+    for (const child of await readDirectory(entry)) {
+        await walkEntry(child, path, files);
+    }
+}
+
+/**
+ * Read all children of a directory entry
+ * readEntries returns results in chunks until it yields an empty array.
+ */
+async function readDirectory(directoryEntry) {
+    const reader = directoryEntry.createReader();
+    const children = [];
+    let batch;
+    do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        children.push(...batch);
+    } while (batch.length > 0);
+    return children;
+}
+
+/**
+ * Pick the HTML document to analyze from a set of files
+ * Prefers a top-level index.html, then the shallowest HTML file.
+ * @param {Array<{ path: string, file: File }>} files - Candidate files
+ * @returns {{ path: string, file: File }|null} The entry document
+ */
+export function findEntryDocument(files) {
+    const htmlFiles = files
+        .filter(({ path }) => isHtmlFile(path))
+        .sort((a, b) => a.path.split('/').length - b.path.split('/').length);
+
+    return htmlFiles.find(({ path }) => /^index\.html?$/i.test(path)) || htmlFiles[0] || null;
+}
+
+/**
+ * Read a set of local files into HTML with relative resources resolved
+ * Stylesheets are inlined (with their own url() references rewritten) and
+ * images, media and other src/href resources point at blob URLs.
+ * @param {Array<{ path: string, file: File }>} files - The dropped or selected files
+ * @returns {Promise<{ html: string, path: string }>} Resolved HTML and entry document path
+ * @throws {Error} If no HTML file is present
+ */
+export async function loadLocalDocument(files) {
+    const entry = findEntryDocument(files);
+    if (!entry) {
+        throw new Error('No .html file found in the selection');
+    }
+
+    revokeObjectUrls();
+
+    const filesByPath = new Map(files.map(({ path, file }) => [path, file]));
+    const html = await entry.file.text();
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const baseDir = dirname(entry.path);
+
+    // Inline local stylesheets so url() references can be resolved too
+    for (const link of doc.querySelectorAll('link[rel~="stylesheet"][href]')) {
+        const cssPath = resolvePath(baseDir, link.getAttribute('href'));
+        const cssFile = cssPath && filesByPath.get(cssPath);
+        if (!cssFile) continue;
+
+        const style = doc.createElement('style');
+        style.textContent = rewriteCssUrls(await cssFile.text(), dirname(cssPath), filesByPath);
+        link.replaceWith(style);
+    }
+
+    for (const style of doc.querySelectorAll('style')) {
+        style.textContent = rewriteCssUrls(style.textContent, baseDir, filesByPath);
+    }
+
+    for (const el of doc.querySelectorAll('[src], [href], [poster], [srcset]')) {
+        for (const attr of ['src', 'href', 'poster']) {
+            if (!el.hasAttribute(attr)) continue;
+            const url = getObjectUrl(resolvePath(baseDir, el.getAttribute(attr)), filesByPath);
+            if (url) el.setAttribute(attr, url);
+        }
+
+        if (el.hasAttribute('srcset')) {
+            el.setAttribute('srcset', el.getAttribute('srcset').split(',').map(candidate => {
+                const [src, ...descriptor] = candidate.trim().split(/\s+/);
+                const url = getObjectUrl(resolvePath(baseDir, src), filesByPath);
+                return [url || src, ...descriptor].join(' ');
+            }).join(', '));
+        }
+    }
+
+    for (const el of doc.querySelectorAll('[style]')) {
+        el.setAttribute('style', rewriteCssUrls(el.getAttribute('style'), baseDir, filesByPath));
+    }
+
+    return {
+        html: `<!DOCTYPE html>\n${doc.documentElement.outerHTML}`,
+        path: entry.path
+    };
+}
+
+/**
+ * Rewrite url(...) references in CSS to blob URLs for matching local files
+ */
+function rewriteCssUrls(css, baseDir, filesByPath) {
+    return css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (match, quote, ref) => {
+        const url = getObjectUrl(resolvePath(baseDir, ref), filesByPath);
+        return url ? `url("${url}")` : match;
+    });
+}
+
+/**
+ * Create (and track) a blob URL for a local file path
+ */
+function getObjectUrl(path, filesByPath) {
+    const file = path && filesByPath.get(path);
+    if (!file) return null;
+
+    const url = URL.createObjectURL(file);
+    activeObjectUrls.push(url);
+    return url;
+}
+
+/**
+ * Release blob URLs from the previously loaded document
+ */
+export function revokeObjectUrls() {
+    activeObjectUrls.forEach(url => URL.revokeObjectURL(url));
+    activeObjectUrls = [];
+}
+
+/**
+ * Resolve a relative reference against a folder path
+ * Returns null for absolute URLs, data/blob URLs and fragment-only links.
+ */
+function resolvePath(baseDir, ref) {
+    if (!ref || /^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(ref.trim())) {
+        return null;
+    }
+
+    const cleanRef = ref.trim().split(/[?#]/)[0];
+    const segments = cleanRef.startsWith('/') ? [] : baseDir.split('/').filter(Boolean);
+
+    for (const segment of cleanRef.split('/')) {
+        if (segment === '..') segments.pop();
+        else if (segment && segment !== '.') segments.push(decodeSegment(segment));
+    }
+
+    return segments.join('/');
+}
+
+/**
+ * Percent-decode a path segment, keeping it as written if it is malformed (e.g. "100%.png")
+ */
+function decodeSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch {
+        return segment;
+    }
+}
+
+/**
+ * Folder portion of a relative path
+ */
+function dirname(path) {
+    return path.split('/').slice(0, -1).join('/');
+}
+
+/**
+ * Fetch a page through the local proxy server
+ * A <base> element is added so relative assets still load from the original site.
+ * @param {string} url - Page to fetch
+ * @param {string} [proxyUrl] - Address of the running proxy server
+ * @returns {Promise<string>} The page's HTML
+ * @throws {Error} If the URL is invalid, the proxy is unreachable or the fetch fails
+ */
+export async function fetchViaProxy(url, proxyUrl = DEFAULT_PROXY_URL) {
+    let target;
+    try {
+        target = new URL(url);
+    } catch {
+        throw new Error(`Invalid URL: ${url}`);
+    }
+
+    if (!['http:', 'https:'].includes(target.protocol)) {
+        throw new Error('Only http and https URLs can be fetched');
+    }
+
+    let response;
+    try {
+        response = await fetch(`${proxyUrl.replace(/\/$/, '')}/fetch?url=${encodeURIComponent(target.href)}`);
+    } catch (error) {
+        throw new Error(`Could not reach the proxy at ${proxyUrl}. Start it with "node proxy-server.js".`);
+    }
+
+    if (!response.ok) {
+        const message = await response.text();
+        throw new Error(`Proxy fetch failed (${response.status}): ${message}`);
+    }
+
+    const finalUrl = response.headers.get('X-Final-Url') || target.href;
+    return injectBaseUrl(await response.text(), finalUrl);
+}
+
+/**
+ * Add a <base href> to HTML unless it already declares one
+ */
+export function injectBaseUrl(html, baseUrl) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    if (!doc.querySelector('base[href]')) {
+        const base = doc.createElement('base');
+        base.href = baseUrl;
+        doc.head.prepend(base);
+    }
+    return `<!DOCTYPE html>\n${doc.documentElement.outerHTML}`;
+}
@@ -0,0 +1,157 @@
+/**
+ * Elements List - NVDA Elements List / VoiceOver Rotor style page skimming
+ * Collects headings, landmarks, links, buttons and form fields with their accessible names
+ */
+
+import { getAccessibleName, getFocusRole } from './focus-order.js';
+
+const LANDMARK_SELECTOR = [
+    'header', 'nav', 'main', 'footer', 'aside', 'section', 'form', 'search',
+    '[role="banner"]', '[role="navigation"]', '[role="main"]', '[role="contentinfo"]',
+    '[role="complementary"]', '[role="region"]', '[role="form"]', '[role="search"]'
+].join(', ');
+
+// header/footer are only banner/contentinfo when not scoped to sectioning content
+const SECTIONING_SELECTOR = 'article, aside, main, nav, section';
+
+const BUTTON_SELECTOR = 'button, input[type="button"], input[type="submit"], input[type="reset"], input[type="image"], [role="button"]';
+const FORM_FIELD_SELECTOR = [
+    'input:not([type="hidden"]):not([type="button"]):not([type="submit"]):not([type="reset"]):not([type="image"])',
+    'select', 'textarea',
+    '[role="textbox"]', '[role="searchbox"]', '[role="checkbox"]', '[role="radio"]', '[role="combobox"]',
+    '[role="listbox"]', '[role="spinbutton"]', '[role="slider"]', '[role="switch"]'
+].join(', ');
+
+/**
+ * Element types shown in the list, in display order
+ */
+export const ELEMENT_TYPES = {
+    headings: 'Headings',
+    landmarks: 'Landmarks',
+    links: 'Links',
+    buttons: 'Buttons',
+    formFields: 'Form fields'
+};
+
+/**
+ * Whether an element is hidden from assistive technology
+ */
+function isHidden(element) {
+    const win = element.ownerDocument.defaultView;
+    for (let el = element; el && el.nodeType === 1; el = el.parentElement) {
+        if (el.hidden || el.getAttribute('aria-hidden') === 'true') return true;
+        if (win.getComputedStyle(el).display === 'none') return true;
+    }
+    return win.getComputedStyle(element).visibility === 'hidden';
+}
+
+/**
+ * Landmark role of an element, or null if it is not a landmark
+ */
+function getLandmarkRole(element) {
+    const explicit = element.getAttribute('role');
+    if (explicit) {
+        return ['banner', 'navigation', 'main', 'contentinfo', 'complementary', 'region', 'form', 'search']
+            .includes(explicit) ? explicit : null;
+    }
+
+    const named = element.hasAttribute('aria-label') || element.hasAttribute('aria-labelledby');
+    switch (element.localName) {
+        case 'header':
+            return element.parentElement?.closest(SECTIONING_SELECTOR) ? null : 'banner';
+        case 'footer':
+            return element.parentElement?.closest(SECTIONING_SELECTOR) ? null : 'contentinfo';
+        case 'nav':
+            return 'navigation';
+        case 'main':
+            return 'main';
+        case 'aside':
+            return 'complementary';
+        case 'search':
+            return 'search';
+        // Sections and forms are only landmarks when they have an accessible name
+        case 'section':
+            return named ? 'region' : null;
+        case 'form':
+            return named ? 'form' : null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Heading level from h1-h6 or role="heading" aria-level (default 2)
+ */
+function getHeadingLevel(element) {
+    const match = element.localName.match(/^h([1-6])$/);
+    if (match) return parseInt(match[1], 10);
+    return parseInt(element.getAttribute('aria-level'), 10) || 2;
+}
+
+/**
+ * Landmark name: only aria-label/aria-labelledby count (not text content)
+ */
+function getLandmarkName(element) {
+    if (!element.hasAttribute('aria-label') && !element.hasAttribute('aria-labelledby')) return '';
+    return getAccessibleName(element);
+}
+
+/**
+ * Nest headings by level into an outline
+ */
+function buildHeadingOutline(headings) {
+    const root = { level: 0, children: [] };
+    const stack = [root];
+
+    headings.forEach(heading => {
+        while (stack.length > 1 && stack[stack.length - 1].level >= heading.level) {
+            stack.pop();
+        }
+        stack[stack.length - 1].children.push(heading);
+        stack.push(heading);
+    });
+
+    return root.children;
+}
+
+/**
+ * Nest landmarks by DOM containment into a tree
+ */
+function buildLandmarkTree(landmarks) {
+    const roots = [];
+    landmarks.forEach(landmark => {
+        const parent = [...landmarks].reverse().find(other =>
+            other !== landmark && other.element.contains(landmark.element));
+        (parent ? parent.children : roots).push(landmark);
+    });
+    return roots;
+}
+
+/**
+ * Collect elements list entries for a container
+ * @param {HTMLElement} container - The container to inspect
+ * @returns {Object} { headings, landmarks, links, buttons, formFields }
+ *   headings and landmarks are trees ({ element, name, children }), the rest flat lists
+ */
+export function collectElementsList(container) {
+    const visible = selector => Array.from(container.querySelectorAll(selector)).filter(el => !isHidden(el));
+    const describe = element => ({ element, name: getAccessibleName(element), role: getFocusRole(element), children: [] });
+
+    const headings = visible('h1, h2, h3, h4, h5, h6, [role="heading"]').map(element => ({
+        ...describe(element),
+        role: 'heading',
+        level: getHeadingLevel(element)
+    }));
+
+    const landmarks = visible(LANDMARK_SELECTOR)
+        .map(element => ({ element, role: getLandmarkRole(element), name: getLandmarkName(element), children: [] }))
+        .filter(landmark => landmark.role);
+
+    return {
+        headings: buildHeadingOutline(headings),
+        landmarks: buildLandmarkTree(landmarks),
+        links: visible('a[href], area[href], [role="link"]').map(describe),
+        buttons: visible(BUTTON_SELECTOR).map(describe),
+        formFields: visible(FORM_FIELD_SELECTOR).map(describe)
+    };
+}
@@ -0,0 +1,292 @@
+/**
+ * Exporter - Transcript and issue reports as JSON, Markdown, CSV and text
+ * Shared by the browser Export menu and the CLI
+ */
+
+import { mapViolationsToAnnouncements, getImpactIcon, IMPACT_LEVELS } from './axe-analyzer.js';
+import { REVIEW_DECISIONS, applyReviews, isConfirmedFinding, summarizeReviews } from './manual-review.js';
+
+/**
+ * Supported export formats
+ */
+export const EXPORT_FORMATS = {
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+    markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+    text: { label: 'Plain text', extension: 'txt', mimeType: 'text/plain' }
+};
+
+/**
+ * Build a serializable report from analysis state
+ * DOM references are dropped; each announcement keeps its structured record
+ * (role, name, states, ...) and lists the axe findings for its element.
+ * @param {Object} params
+ * @param {string} [params.source] - What was analyzed (file name, URL, sample)
+ * @param {Object[]} params.analysisResults - Results from analyzeContainer()
+ * @param {Object|null} params.axeResults - Validated results from runAxeAnalysis()
+ * @param {Object[]} [params.issues] - Findings from detectPotentialIssues()
+ * @param {Object} [params.reviews] - Manual review decisions from loadReviews()
+ * @param {boolean} [params.usedFallback] - Whether the simplified analysis was used
+ * @returns {Object} Plain report object
+ */
+export function buildReport({ source = '', analysisResults, axeResults, issues = [], reviews = {}, usedFallback = false }) {
+    const incomplete = axeResults?.incomplete ?? [];
+    const reviewedIncomplete = applyReviews(incomplete, reviews);
+    const findingsByIndex = mapViolationsToAnnouncements(analysisResults, axeResults && { ...axeResults, incomplete: reviewedIncomplete });
+
+    return {
+        source,
+        generatedAt: new Date().toISOString(),
+        usedFallback,
+        announcements: analysisResults.map((result, i) => ({
+            index: result.index,
+            announcement: result.announcement,
+            category: result.category,
+            role: result.role,
+            name: result.name,
+            value: result.value,
+            description: result.description,
+            states: result.states,
+            level: result.level,
+            position: result.position,
+            table: result.table,
+            selector: result.selector || '',
+            xpath: result.xpath || '',
+            interaction: result.interaction || null,
+            violations: findingsByIndex[i]
+        })),
+        violations: axeResults?.violations ?? [],
+        incomplete: reviewedIncomplete,
+        reviewSummary: summarizeReviews(incomplete, reviews),
+        passes: axeResults?.passes ?? 0,
+        issues: issues.map(({ element, ...issue }) => issue)
+    };
+}
+
+/**
+ * Format a single report
+ * @param {('json'|'markdown'|'csv'|'text')} format - Export format
+ * @param {Object} report - Report from buildReport()
+ * @returns {string} Formatted report
+ */
+export function formatReport(format, report) {
+    return formatReports(format, [report], false);
+}
+
+/**
+ * Format one or more reports into a single document
+ * @param {('json'|'markdown'|'csv'|'text')} format - Export format
+ * @param {Object[]} reports - Reports from buildReport()
+ * @param {boolean} [asArray=true] - Emit a JSON array even for one report
+ * @returns {string} Formatted reports
+ * @throws {Error} If the format is unknown
+ */
+export function formatReports(format, reports, asArray = true) {
+    switch (format) {
+        case 'json':
+            return JSON.stringify(asArray ? reports : reports[0], null, 2);
+        case 'markdown':
+            return reports.map(toMarkdown).join('\n\n---\n\n');
+        case 'csv':
+            return toCsv(reports);
+        case 'text':
+            return reports.map(toPlainText).join('\n\n');
+        default:
+            throw new Error(`Unknown export format: ${format}`);
+    }
+}
+
+/**
+ * Highest impact among a list of findings
+ */
+function highestImpact(findings) {
+    return findings.reduce((highest, { impact }) =>
+        IMPACT_LEVELS.indexOf(impact) > IMPACT_LEVELS.indexOf(highest) ? impact : highest, null);
+}
+
+/**
+ * Short "impact rule-id" list for an announcement's findings
+ */
+function describeFindings(findings) {
+    return findings.map(f => `${isConfirmedFinding(f) ? f.impact : 'review'} ${f.id}`).join('; ');
+}
+
+/**
+ * "Fail: note" label for a node's manual review decision
+ */
+function describeReview(review) {
+    if (!review) return 'Not reviewed';
+    const label = review.decision ? REVIEW_DECISIONS[review.decision].label : 'Note';
+    return review.note ? `${label}: ${review.note}` : label;
+}
+
+/**
+ * Escape text for a Markdown table cell
+ */
+function escapeMarkdownCell(value) {
+    return String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Render a report as Markdown
+ */
+function toMarkdown(report) {
+    const lines = [
+        `# Screen Reader Report${report.source ? `: ${report.source}` : ''}`,
+        '',
+        `Generated ${report.generatedAt}${report.usedFallback ? ' (simplified analysis)' : ''}`,
+        '',
+        `**${report.announcements.length}** announcements · **${report.violations.length}** violations · ` +
+        `**${report.incomplete.length}** needs review (**${report.reviewSummary.pending}** pending) · ` +
+        `**${report.passes}** passed`,
+        '',
+        '## Transcript',
+        '',
+        '| # | Category | Announcement | Selector | Issues |',
+        '|---|----------|--------------|----------|--------|'
+    ];
+
+    report.announcements.forEach(item => {
+        lines.push(`| ${item.index + 1} | ${item.category} | ${escapeMarkdownCell(item.announcement)} | ` +
+            `${item.selector ? `\`${escapeMarkdownCell(item.selector)}\`` : ''} | ` +
+            `${escapeMarkdownCell(describeFindings(item.violations))} |`);
+    });
+
+    const renderAxeList = (title, list) => {
+        lines.push('', `## ${title} (${list.length})`);
+        list.forEach(issue => {
+            lines.push('', `### ${getImpactIcon(issue.impact)} ${issue.help} (\`${issue.id}\`, ${issue.impact || 'unknown'})`,
+                '', issue.description, '');
+            issue.nodes.forEach(node => {
+                const review = 'review' in node ? ` — **${escapeMarkdownCell(describeReview(node.review))}**` : '';
+                lines.push(`- \`${escapeMarkdownCell(node.target.join(' '))}\` — ${escapeMarkdownCell(node.failureSummary)}${review}`);
+            });
+            lines.push('', `[Learn more](${issue.helpUrl})`);
+        });
+    };
+
+    renderAxeList('Violations', report.violations);
+    renderAxeList('Needs Review', report.incomplete);
+
+    if (report.issues.length > 0) {
+        lines.push('', `## Transcript Checks (${report.issues.length})`, '');
+        report.issues.forEach(issue => {
+            lines.push(`- **${issue.severity}** ${issue.description}`);
+        });
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Quote a CSV field when needed
+ * Text starting with =, +, -, @ (or a tab/carriage return) is prefixed with ' so
+ * spreadsheets don't run page-controlled text as a formula.
+ */
+function escapeCsvField(value) {
+    let text = String(value ?? '');
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render reports as CSV: one row per announcement, then one per axe node
+ */
+function toCsv(reports) {
+    const rows = [['source', 'type', 'index', 'category', 'role', 'announcement', 'selector', 'impact', 'rules', 'help', 'review', 'note']];
+
+    reports.forEach(report => {
+        report.announcements.forEach(item => {
+            const confirmed = item.violations.filter(isConfirmedFinding);
+            const toReview = item.violations.filter(finding => !isConfirmedFinding(finding));
+            rows.push([
+                report.source, 'announcement', item.index + 1, item.category, item.role, item.announcement, item.selector,
+                highestImpact(confirmed) || '', confirmed.map(v => v.id).join(' '), '',
+                toReview.map(f => `${f.id} ${f.review?.decision || 'pending'}`).join('; '),
+                toReview.filter(f => f.review?.note).map(f => `${f.id}: ${f.review.note}`).join('; ')
+            ]);
+        });
+
+        [['violation', report.violations], ['incomplete', report.incomplete]].forEach(([type, list]) => {
+            list.forEach(issue => {
+                issue.nodes.forEach(node => {
+                    rows.push([
+                        report.source, type, '', '', '', '', node.target.join(' '),
+                        issue.impact || '', issue.id, issue.help, node.review?.decision || '', node.review?.note || ''
+                    ]);
+                });
+            });
+        });
+
+        report.issues.forEach(issue => {
+            rows.push([report.source, 'transcript-check', '', '', '', issue.announcement || '', '', issue.severity, issue.type, issue.description, '', '']);
+        });
+    });
+
+    return rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n');
+}
+
+/**
+ * Render a report as plain text
+ */
+function toPlainText(report) {
+    const lines = [];
+    if (report.source) lines.push(report.source, '');
+
+    lines.push(`Announcements (${report.announcements.length})${report.usedFallback ? ' [simplified analysis]' : ''}:`);
+    report.announcements.forEach(item => {
+        lines.push(`  ${String(item.index + 1).padStart(3)}. [${item.category}] ${item.announcement}`);
+        if (item.violations.length > 0) {
+            lines.push(`       ! ${describeFindings(item.violations)}`);
+        }
+    });
+
+    lines.push('', `Violations (${report.violations.length}):`);
+    report.violations.forEach(violation => {
+        lines.push(`  [${(violation.impact || 'unknown').toUpperCase()}] ${violation.id}: ${violation.help}`);
+        violation.nodes.forEach(node => lines.push(`      ${node.target.join(' ')}`));
+    });
+
+    if (report.incomplete.length > 0) {
+        lines.push('', `Needs review (${report.incomplete.length}, ${report.reviewSummary.pending} pending):`);
+        report.incomplete.forEach(issue => {
+            lines.push(`  ${issue.id}: ${issue.help}`);
+            issue.nodes.forEach(node => lines.push(`      ${node.target.join(' ')} — ${describeReview(node.review)}`));
+        });
+    }
+
+    if (report.issues.length > 0) {
+        lines.push('', `Transcript checks (${report.issues.length}):`);
+        report.issues.forEach(issue => {
+            lines.push(`  [${issue.severity.toUpperCase()}] ${issue.description}`);
+        });
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Trigger a browser download of a formatted report
+ * @param {('json'|'markdown'|'csv'|'text')} format - Export format
+ * @param {Object} report - Report from buildReport()
+ * @returns {string} The downloaded file name
+ */
+export function downloadReport(format, report) {
+    const { extension, mimeType } = EXPORT_FORMATS[format];
+    const date = report.generatedAt.slice(0, 10);
+    const filename = `sr-visualizer-report-${date}.${extension}`;
+
+    const blob = new Blob([formatReport(format, report)], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+
+    return filename;
+}
@@ -0,0 +1,251 @@
+/**
+ * Fix Applier - Patch suggested code fixes into the analyzed HTML
+ * The source is parsed the way the preview renders it, the violation's axe
+ * target is resolved in that copy, and the element there is replaced with the
+ * suggestion's afterCode. Quoting, self-closing and whitespace differences in
+ * the suggestion don't matter, and identical elements are told apart by target.
+ * The patched HTML is re-serialized, so markup elsewhere is normalized too.
+ */
+
+import { diffTranscripts } from './analysis-diff.js';
+import { resolveAxeTarget } from './axe-analyzer.js';
+import { buildPreviewDocument, isFullDocument } from './preview-frame.js';
+import { getXPath } from './utils.js';
+
+/**
+ * Elements the parser always creates; fixes only change their attributes
+ */
+const DOCUMENT_ELEMENTS = ['html', 'head', 'body'];
+
+/**
+ * Parse source HTML into the same document the preview renders
+ * @param {string} html - Fragment or full document
+ * @returns {Document}
+ */
+function parseSource(html) {
+    return new DOMParser().parseFromString(buildPreviewDocument(html), 'text/html');
+}
+
+/**
+ * Serialize a patched document back to source of the same kind
+ * Fragments come back as fragments, without the preview wrapper.
+ */
+function serializeSource(doc, html) {
+    if (isFullDocument(html)) {
+        const doctype = doc.doctype ? `<!DOCTYPE ${doc.doctype.name}>\n` : '';
+        return doctype + doc.documentElement.outerHTML;
+    }
+    // The wrapper puts a newline before the fragment and after </body>
+    return doc.body.innerHTML.replace(/^\n/, '').replace(/\n\n?$/, '');
+}
+
+/**
+ * The root element of a code snippet, parsed in the context of a document
+ * @param {Document} doc - Document to parse in
+ * @param {string} code - Snippet such as a suggestion's beforeCode
+ * @param {string} [localName] - Document element (html, head, body) the snippet describes
+ * @returns {Element|null}
+ */
+function parseSnippet(doc, code, localName = null) {
+    if (localName) {
+        if (!new RegExp(`<${localName}[\\s>/]`, 'i').test(code)) return null;
+        return new DOMParser().parseFromString(code, 'text/html').querySelector(localName);
+    }
+
+    const template = doc.createElement('template');
+    template.innerHTML = code.trim();
+    return template.content.firstElementChild;
+}
+
+/**
+ * Whether an element is the one a snippet shows: equal nodes, or the same
+ * tag with every attribute the snippet lists (axe truncates long markup)
+ */
+function matchesSnippet(element, snippet) {
+    if (!snippet || element.localName !== snippet.localName) return false;
+    return element.isEqualNode(snippet) ||
+        Array.from(snippet.attributes).every(attr => element.getAttribute(attr.name) === attr.value);
+}
+
+/**
+ * Find the element a fix applies to
+ * Candidates are the nodes of the current violations for the fix's rule;
+ * the one whose markup matches the fix's beforeCode is chosen.
+ * @param {Document} doc - Parsed source (see parseSource())
+ * @param {Object} fix - AI suggestion ({ type, beforeCode, afterCode })
+ * @param {Object[]} violations - Current axe violations
+ * @param {Set<Element>} [taken] - Elements already claimed by other fixes
+ * @returns {Element}
+ * @throws {Error} If the rule is no longer reported or no node matches the beforeCode
+ */
+export function findFixElement(doc, fix, violations, taken = new Set()) {
+    const elements = violations
+        .filter(violation => violation.id === fix.type)
+        .flatMap(violation => violation.nodes)
+        .map(node => resolveAxeTarget(doc, node.target))
+        .filter(Boolean);
+
+    if (elements.length === 0) {
+        throw new Error(`${fix.type || 'The violation'} is no longer reported`);
+    }
+    const free = elements.filter(element => !taken.has(element));
+    if (free.length === 0) {
+        throw new Error('Another fix already changes this element');
+    }
+
+    const snippet = element => parseSnippet(doc, fix.beforeCode,
+        DOCUMENT_ELEMENTS.includes(element.localName) ? element.localName : null);
+    const match = free.find(element => element.isEqualNode(snippet(element))) ||
+        free.find(element => matchesSnippet(element, snippet(element)));
+
+    if (!match) {
+        throw new Error('Could not find the element to fix in the HTML');
+    }
+    return match;
+}
+
+/**
+ * Replace an element with a fix's afterCode
+ * Document elements keep their children and take the afterCode's attributes.
+ * @returns {Object} { replaced, element } with the replaced markup and the new element
+ */
+function replaceElement(element, fix) {
+    const doc = element.ownerDocument;
+
+    if (DOCUMENT_ELEMENTS.includes(element.localName)) {
+        const replaced = element.cloneNode(false).outerHTML.replace(/<\/\w+>$/, '');
+        const source = parseSnippet(doc, fix.afterCode, element.localName);
+        if (!source) {
+            throw new Error(`The fixed code has no <${element.localName}> tag`);
+        }
+        Array.from(element.attributes).forEach(attr => element.removeAttribute(attr.name));
+        Array.from(source.attributes).forEach(attr => element.setAttribute(attr.name, attr.value));
+        return { replaced, element };
+    }
+
+    const template = doc.createElement('template');
+    template.innerHTML = fix.afterCode.trim();
+    const replacement = template.content.firstElementChild;
+    const replaced = element.outerHTML;
+    element.replaceWith(template.content);
+    return { replaced, element: replacement };
+}
+
+/**
+ * Whether a suggestion carries a code change that could be applied
+ * @param {Object} fix - AI suggestion ({ beforeCode, afterCode })
+ * @returns {boolean}
+ */
+export function isApplicableFix(fix) {
+    return Boolean(fix?.beforeCode?.trim() && fix.afterCode?.trim()) &&
+        fix.beforeCode.trim() !== fix.afterCode.trim();
+}
+
+/**
+ * Apply several fixes, skipping those that can't be placed
+ * Every fix's element is found before any is replaced, so targets such as
+ * nth-child selectors still point where axe found them.
+ * @param {string} html - Source HTML
+ * @param {Object[]} fixes - AI suggestions
+ * @param {Object[]} violations - Axe violations for this HTML
+ * @returns {Object} { html, applied: [{ fix, replaced, xpath }], failed: [{ fix, error }] }
+ */
+export function applyFixes(html, fixes, violations) {
+    const doc = parseSource(html);
+    const taken = new Set();
+    const placed = [];
+    const failed = [];
+
+    fixes.forEach(fix => {
+        try {
+            if (!isApplicableFix(fix)) {
+                throw new Error('The suggestion has no code change to apply');
+            }
+            const element = findFixElement(doc, fix, violations, taken);
+            taken.add(element);
+            placed.push({ fix, element });
+        } catch (error) {
+            failed.push({ fix, error });
+        }
+    });
+
+    const replacements = [];
+    placed.forEach(({ fix, element }) => {
+        if (!element.isConnected) {
+            failed.push({ fix, error: new Error('The element was replaced by another fix') });
+            return;
+        }
+        try {
+            replacements.push({ fix, ...replaceElement(element, fix) });
+        } catch (error) {
+            failed.push({ fix, error });
+        }
+    });
+
+    if (replacements.length === 0) {
+        return { html, applied: [], failed };
+    }
+
+    return {
+        html: serializeSource(doc, html),
+        // Paths are taken once every fix is in, so later fixes can't shift them
+        applied: replacements.map(({ fix, replaced, element }) => ({
+            fix,
+            replaced,
+            xpath: element?.isConnected ? getXPath(element) : ''
+        })),
+        failed
+    };
+}
+
+/**
+ * Apply one fix
+ * @param {string} html - Source HTML
+ * @param {Object} fix - AI suggestion ({ type, beforeCode, afterCode })
+ * @param {Object[]} violations - Axe violations for this HTML
+ * @returns {Object} { html, replaced, xpath } with the patched HTML, the replaced markup and the new element's path
+ * @throws {Error} If the fix has no code change or its element can't be found
+ */
+export function applyFix(html, fix, violations) {
+    const result = applyFixes(html, [fix], violations);
+    if (result.failed.length > 0) {
+        throw result.failed[0].error;
+    }
+    return { html: result.html, ...result.applied[0] };
+}
+
+/**
+ * Violation nodes still reported on fixed elements, once the patched HTML is analyzed
+ * @param {Document} doc - Document the new analysis ran against
+ * @param {Object[]} applied - Entries from applyFixes()
+ * @param {Object[]} violations - Axe violations from the new analysis
+ * @returns {Array<Object|null>} Per applied fix, the node still violating its rule, or null
+ */
+export function findRemainingViolations(doc, applied, violations) {
+    return applied.map(({ fix, xpath }) => {
+        if (!xpath) return null;
+        return violations
+            .filter(violation => violation.id === fix.type)
+            .flatMap(violation => violation.nodes)
+            .find(node => getXPath(resolveAxeTarget(doc, node.target)) === xpath) || null;
+    });
+}
+
+/**
+ * Line diff of a code change, for confirmation before applying
+ * @param {string} before - Replaced source text
+ * @param {string} after - Replacement
+ * @returns {Object[]} { type: 'same'|'removed'|'added', text }
+ */
+export function diffCode(before, after) {
+    // Indentation is ignored so re-indented lines don't show as changes
+    const toLines = code => code.trim().split(/\r?\n/).map(line => ({ announcement: line.trim(), role: '' }));
+
+    return diffTranscripts(toLines(before), toLines(after)).flatMap(row => {
+        if (row.type === 'same') return [{ type: 'same', text: row.before.announcement }];
+        return [
+            ...(row.before ? [{ type: 'removed', text: row.before.announcement }] : []),
+            ...(row.after ? [{ type: 'added', text: row.after.announcement }] : [])
+        ];
+    });
+}
@@ -0,0 +1,231 @@
+/**
+ * Focus Order - Sequential keyboard (Tab) order simulation
+ * Computes the Tab sequence of the preview and flags common focus problems
+ */
+
+const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'area[href]',
+    'button',
+    'input:not([type="hidden"])',
+    'select',
+    'textarea',
+    'iframe',
+    'summary',
+    'audio[controls]',
+    'video[controls]',
+    '[contenteditable]:not([contenteditable="false"])',
+    '[tabindex]'
+].join(', ');
+
+const IMPLICIT_ROLES = {
+    a: 'link',
+    area: 'link',
+    button: 'button',
+    select: 'combobox',
+    textarea: 'textbox',
+    summary: 'button',
+    iframe: 'iframe',
+    audio: 'audio',
+    video: 'video'
+};
+
+const INPUT_ROLES = {
+    button: 'button',
+    submit: 'button',
+    reset: 'button',
+    image: 'button',
+    checkbox: 'checkbox',
+    radio: 'radio',
+    range: 'slider',
+    number: 'spinbutton',
+    search: 'searchbox'
+};
+
+/**
+ * Whether an element can receive focus at all (ignoring tabindex order)
+ */
+function isFocusable(element) {
+    const win = element.ownerDocument.defaultView;
+
+    if (element.closest('[inert]')) return false;
+    if (element.matches(':disabled')) return false;
+    if (element.localName === 'summary' && element.parentElement?.localName !== 'details') {
+        return element.hasAttribute('tabindex');
+    }
+
+    // Content of closed <details> (other than its summary) is not rendered
+    const details = element.closest('details:not([open])');
+    if (details && !(element.localName === 'summary' && element.parentElement === details)) {
+        return false;
+    }
+
+    for (let el = element; el && el.nodeType === 1; el = el.parentElement) {
+        if (el.hidden) return false;
+        if (win.getComputedStyle(el).display === 'none') return false;
+    }
+
+    return win.getComputedStyle(element).visibility !== 'hidden';
+}
+
+/**
+ * Effective tabindex (elements without the attribute default to 0)
+ */
+function getTabIndex(element) {
+    const attr = element.getAttribute('tabindex');
+    if (attr === null) return 0;
+    const value = parseInt(attr, 10);
+    return Number.isNaN(value) ? 0 : value;
+}
+
+/**
+ * Best-effort role for a focusable element
+ */
+export function getFocusRole(element) {
+    if (element.hasAttribute('role')) {
+        return element.getAttribute('role').split(/\s+/)[0];
+    }
+    if (element.localName === 'input') {
+        return INPUT_ROLES[element.type] || 'textbox';
+    }
+    return IMPLICIT_ROLES[element.localName] || 'generic';
+}
+
+/**
+ * Whether an element is left out of the accessible name of its ancestors
+ */
+function isHiddenFromName(element) {
+    if (element.hidden || element.getAttribute('aria-hidden') === 'true') return true;
+    if (['script', 'style', 'template'].includes(element.localName)) return true;
+    const style = element.ownerDocument.defaultView.getComputedStyle(element);
+    return style.display === 'none' || style.visibility === 'hidden';
+}
+
+/**
+ * Text a screen reader would read from an element's content: hidden
+ * subtrees are skipped and images contribute their alt text
+ */
+function getNameFromContent(node) {
+    if (node.nodeType === 3) return node.data;
+    if (node.nodeType !== 1 || isHiddenFromName(node)) return '';
+    if (node.localName === 'img') return ` ${node.getAttribute('alt') || ''} `;
+    return Array.from(node.childNodes).map(getNameFromContent).join('');
+}
+
+/**
+ * Best-effort accessible name, in accessible-name order: aria-labelledby,
+ * aria-label, labels or content, then title or placeholder
+ */
+export function getAccessibleName(element) {
+    const doc = element.ownerDocument;
+    const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+
+    // Referenced elements count even when hidden
+    const labelledBy = element.getAttribute('aria-labelledby');
+    if (labelledBy) {
+        const text = clean(labelledBy.split(/\s+/).map(id => doc.getElementById(id)?.textContent).join(' '));
+        if (text) return text;
+    }
+
+    const ariaLabel = clean(element.getAttribute('aria-label'));
+    if (ariaLabel) return ariaLabel;
+
+    if (element.labels && element.labels.length > 0) {
+        const text = clean(Array.from(element.labels).map(getNameFromContent).join(' '));
+        if (text) return text;
+    }
+
+    if (element.localName === 'input' && ['button', 'submit', 'reset'].includes(element.type)) {
+        return clean(element.value) || (element.type === 'submit' ? 'Submit' : element.type === 'reset' ? 'Reset' : '');
+    }
+
+    if (element.localName === 'input' && element.type === 'image') {
+        const alt = clean(element.alt);
+        if (alt) return alt;
+    }
+
+    if (!['input', 'select', 'textarea', 'iframe'].includes(element.localName)) {
+        const text = clean(getNameFromContent(element));
+        if (text) return text;
+    }
+
+    const title = clean(element.getAttribute('title'));
+    if (title) return title;
+
+    return ['input', 'textarea'].includes(element.localName) ? clean(element.getAttribute('placeholder')) : '';
+}
+
+/**
+ * Keep only the tab stop of each radio group (checked radio, else the first)
+ */
+function collapseRadioGroups(elements) {
+    // Radio groups are scoped by form owner and name
+    const groups = new Map();
+    elements.forEach(el => {
+        if (el.localName === 'input' && el.type === 'radio' && el.name) {
+            const owner = el.form || el.ownerDocument;
+            if (!groups.has(owner)) groups.set(owner, new Map());
+            const byName = groups.get(owner);
+            if (!byName.has(el.name)) byName.set(el.name, []);
+            byName.get(el.name).push(el);
+        }
+    });
+
+    const skipped = new Set();
+    Array.from(groups.values()).flatMap(byName => Array.from(byName.values())).forEach(radios => {
+        const stop = radios.find(radio => radio.checked) || radios[0];
+        radios.forEach(radio => {
+            if (radio !== stop) skipped.add(radio);
+        });
+    });
+
+    return elements.filter(el => !skipped.has(el));
+}
+
+/**
+ * Compute the sequential focus (Tab) order of a container
+ * Positive tabindex values come first in ascending order, then tabindex=0
+ * elements in DOM order. Negative tabindex, disabled, inert and hidden
+ * elements are excluded.
+ * @param {HTMLElement} container - The container to inspect
+ * @param {Object[]} [analysisResults] - VSR results, used for what is announced on focus
+ * @returns {Object[]} Tab stops: { order, element, tabIndex, role, name, announcement, warnings }
+ */
+export function getFocusOrder(container, analysisResults = []) {
+    const candidates = Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR))
+        .filter(el => getTabIndex(el) >= 0 && isFocusable(el));
+
+    const sequence = collapseRadioGroups(candidates)
+        .map((element, domIndex) => ({ element, domIndex, tabIndex: getTabIndex(element) }))
+        .sort((a, b) => {
+            const aPositive = a.tabIndex > 0;
+            const bPositive = b.tabIndex > 0;
+            if (aPositive && bPositive && a.tabIndex !== b.tabIndex) return a.tabIndex - b.tabIndex;
+            if (aPositive !== bPositive) return aPositive ? -1 : 1;
+            return a.domIndex - b.domIndex;
+        });
+
+    return sequence.map(({ element, tabIndex }, i) => {
+        const role = getFocusRole(element);
+        const name = getAccessibleName(element);
+        const result = analysisResults.find(r => r.element === element);
+        const warnings = [];
+
+        if (tabIndex > 0) {
+            warnings.push({ type: 'positive_tabindex', description: `Positive tabindex (${tabIndex}) overrides the natural tab order` });
+        }
+        if (!name) {
+            warnings.push({ type: 'no_accessible_name', description: 'Focusable element has no accessible name' });
+        }
+
+        return {
+            order: i + 1,
+            element,
+            tabIndex,
+            role,
+            name,
+            announcement: result ? result.announcement : [role, name].filter(Boolean).join(', '),
+            warnings
+        };
+    });
+}
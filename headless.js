@@ -0,0 +1,105 @@
+/**
+ * Headless Analyzer - Run the SR Visualizer analysis in Node with jsdom
+ * Reuses the browser modules, supplying npm builds of the Virtual Screen
+ * Reader and axe-core in place of their CDN imports.
+ */
+
+import { JSDOM, VirtualConsole } from 'jsdom';
+import axeCore from 'axe-core';
+import { Virtual } from '@guidepup/virtual-screen-reader';
+
+import {
+    analyzeContainer,
+    analyzeContainerSimple,
+    setVirtualScreenReader
+} from './sr-visualizer.js';
+
+import { DEFAULT_AXE_PROFILE, runAxeAnalysis, setAxe } from './axe-analyzer.js';
+import { detectPotentialIssues, mergeWithAxeResults } from './issue-detector.js';
+import { validateAxeResults } from './utils.js';
+import { buildPreviewDocument } from './preview-frame.js';
+
+/**
+ * Create a jsdom window for HTML, with axe-core evaluated inside it
+ * @param {string} html - Fragment or full document
+ * @returns {JSDOM} The jsdom instance
+ */
+export function createDom(html) {
+    // jsdom reports unimplemented APIs (e.g. canvas) that axe probes; those are expected
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => {
+        if (!error.message.startsWith('Not implemented')) {
+            console.warn('⚠️ jsdom:', error.message);
+        }
+    });
+
+    const dom = new JSDOM(buildPreviewDocument(html), {
+        pretendToBeVisual: true,
+        runScripts: 'outside-only',
+        virtualConsole
+    });
+    dom.window.eval(axeCore.source);
+    return dom;
+}
+
+/**
+ * Make axe-core available to a window and use it for runAxeAnalysis()
+ * Windows without script evaluation (e.g. some test environments) use the
+ * npm build directly, which binds to the global window.
+ * @param {Window} window - Window of the document under test
+ */
+export function installAxe(window) {
+    if (!window.axe && typeof window.eval === 'function') {
+        window.eval(axeCore.source);
+    }
+    setAxe(window.axe || axeCore);
+}
+
+/**
+ * Analyze a container that already lives in a jsdom (or browser) document
+ * @param {HTMLElement} container - Element to analyze
+ * @param {Object} [options]
+ * @param {boolean} [options.axe=true] - Run axe-core checks
+ * @param {Object} [options.axeProfile] - Rules to run (see DEFAULT_AXE_PROFILE)
+ * @returns {Promise<Object>} { announcements, axeResults, issues, usedFallback }
+ */
+export async function analyzeElement(container, { axe = true, axeProfile = DEFAULT_AXE_PROFILE } = {}) {
+    const window = container.ownerDocument.defaultView;
+
+    setVirtualScreenReader(new Virtual());
+    let announcements = await analyzeContainer(container);
+    let usedFallback = false;
+
+    if (announcements.length === 0) {
+        console.log('⚠️ VSR returned no results, using fallback analysis');
+        announcements = analyzeContainerSimple(container);
+        usedFallback = true;
+    }
+
+    let axeResults = null;
+    if (axe) {
+        installAxe(window);
+        axeResults = validateAxeResults(await runAxeAnalysis(container, axeProfile));
+    }
+
+    const issues = mergeWithAxeResults(detectPotentialIssues(announcements, container), axeResults);
+
+    return { announcements, axeResults, issues, usedFallback };
+}
+
+/**
+ * Load HTML into jsdom and run the full analysis
+ * The jsdom window is closed afterwards; use createDom() and analyzeElement()
+ * directly when the results' element references are still needed.
+ * @param {string} html - Fragment or full document
+ * @param {Object} [options] - See analyzeElement()
+ * @returns {Promise<Object>} { announcements, axeResults, issues, usedFallback }
+ */
+export async function analyzeHtml(html, options = {}) {
+    const dom = createDom(html);
+    try {
+        return await analyzeElement(dom.window.document.body, options);
+    } finally {
+        dom.window.close();
+    }
+}
@@ -3,6 +3,22 @@
  * Detects and formats accessibility issues from screen reader analysis
  */
 
+import { resolveAxeTarget } from './axe-analyzer.js';
+
+/**
+ * Axe rules covering the same problem as a check
+ */
+const AXE_EQUIVALENTS = {
+    'missing_main': ['landmark-one-main'],
+    'heading_skip': ['heading-order'],
+    'missing_alt': ['image-alt'],
+    'empty_link': ['link-name'],
+    'unlabeled_button': ['button-name'],
+    'unlabeled_icon_button': ['button-name'],
+    'unlabeled_input': ['label', 'select-name'],
+    'unlabeled_checkbox': ['label']
+};
+
 /**
  * Detect potential accessibility issues from analysis results
  */
@@ -10,7 +26,7 @@ export function detectPotentialIssues(analysisResults, container) {
     const issues = [];
 
     // Check for issues in announcements
-    analysisResults.forEach(({ announcement }) => {
+    analysisResults.forEach(({ announcement, element }) => {
         const lower = announcement.toLowerCase().trim();
 
         const announcementIssues = {
@@ -24,7 +40,7 @@ export function detectPotentialIssues(analysisResults, container) {
         };
 
         if (announcementIssues[lower]) {
-            issues.push({ ...announcementIssues[lower], announcement, severity: 'error' });
+            issues.push({ ...announcementIssues[lower], announcement, element, severity: 'error' });
         }
     });
 
@@ -33,16 +49,57 @@ export function detectPotentialIssues(analysisResults, container) {
         scanContainerForIssues(container, issues);
     }
 
-    // Deduplicate
-    const seen = new Set();
+    // Deduplicate: once per element and type, or per description for page-level
+    // issues; the icon button finding replaces the generic one on its node
+    const iconButtons = new Set(issues.filter(issue => issue.type === 'unlabeled_icon_button').map(issue => issue.element));
+    const seenByElement = new Map();
+    const seenPageLevel = new Set();
     return issues.filter(issue => {
-        const key = `${issue.type}-${issue.description}`;
-        if (seen.has(key)) return false;
-        seen.add(key);
+        if (!issue.element) {
+            const key = `${issue.type}-${issue.description}`;
+            if (seenPageLevel.has(key)) return false;
+            seenPageLevel.add(key);
+            return true;
+        }
+
+        if (issue.type === 'unlabeled_button' && iconButtons.has(issue.element)) return false;
+        const types = seenByElement.get(issue.element) || new Set();
+        if (types.has(issue.type)) return false;
+        seenByElement.set(issue.element, types.add(issue.type));
         return true;
     });
 }
 
+/**
+ * Drop detected issues that axe-core already reports
+ * Issues on an element are dropped when an equivalent axe rule (see
+ * AXE_EQUIVALENTS) fails on the same node; page-level issues when one failed anywhere.
+ * @param {Object[]} issues - Findings from detectPotentialIssues()
+ * @param {Object|null} axeResults - Validated results from runAxeAnalysis()
+ * @returns {Object[]} Issues not covered by axe
+ */
+export function mergeWithAxeResults(issues, axeResults) {
+    if (!axeResults) return issues;
+
+    // Failed rule ids per element
+    const doc = issues.find(issue => issue.element)?.element.ownerDocument;
+    const elementRules = new Map();
+    if (doc) {
+        axeResults.violations.forEach(violation => {
+            violation.nodes.forEach(node => {
+                const element = resolveAxeTarget(doc, node.target);
+                if (element) elementRules.set(element, (elementRules.get(element) || new Set()).add(violation.id));
+            });
+        });
+    }
+    const failedRules = new Set(axeResults.violations.map(violation => violation.id));
+
+    return issues.filter(issue => {
+        const rules = issue.element ? elementRules.get(issue.element) || new Set() : failedRules;
+        return !(AXE_EQUIVALENTS[issue.type] || []).some(rule => rules.has(rule));
+    });
+}
+
 /**
  * Scan container for common accessibility issues
  */
@@ -0,0 +1,226 @@
+/**
+ * Live Regions - Monitor aria-live announcements in the preview
+ * Records what screen readers would announce when live regions change after
+ * load (toasts, validation messages, loading states) and flags regions
+ * that many readers handle badly.
+ */
+
+import { getCssSelector } from './utils.js';
+
+export const LIVE_REGION_SELECTOR = [
+    '[aria-live]', '[role="status"]', '[role="alert"]', '[role="log"]',
+    '[role="marquee"]', '[role="timer"]', 'output'
+].join(', ');
+
+// A region announcing more than this many times within the window is flagged as too frequent
+const BURST_LIMIT = 3;
+const BURST_WINDOW_MS = 2000;
+
+/**
+ * Politeness implied by each live region role
+ */
+const ROLE_POLITENESS = {
+    alert: 'assertive',
+    status: 'polite',
+    log: 'polite',
+    marquee: 'off',
+    timer: 'off'
+};
+
+/**
+ * Effective politeness of a live region: aria-live wins over the role default
+ * @param {Element} region - Live region element
+ * @returns {('assertive'|'polite'|'off')} Politeness level
+ */
+export function getPoliteness(region) {
+    const live = region.getAttribute('aria-live');
+    if (['assertive', 'polite', 'off'].includes(live)) return live;
+
+    const role = region.getAttribute('role');
+    if (ROLE_POLITENESS[role]) return ROLE_POLITENESS[role];
+    return region.localName === 'output' ? 'polite' : 'off';
+}
+
+/**
+ * Nearest live region containing a node, or null
+ */
+function findLiveRegion(node) {
+    const element = node.nodeType === 1 ? node : node.parentElement;
+    return element?.closest(LIVE_REGION_SELECTOR) || null;
+}
+
+/**
+ * Normalized text of a node
+ */
+function getText(node) {
+    return (node.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Whether an element is rendered: not hidden by an attribute or CSS on it or an ancestor
+ */
+function isRendered(element) {
+    const view = element.ownerDocument.defaultView;
+    if (view.getComputedStyle(element).visibility === 'hidden') return false;
+
+    for (let node = element; node; node = node.parentElement) {
+        if (node.hidden || node.getAttribute('aria-hidden') === 'true' || view.getComputedStyle(node).display === 'none') {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Text a region announces for a batch of mutations
+ * Atomic regions are read in full; otherwise only additions are read.
+ */
+function getAnnouncedText(region, mutations) {
+    if (region.getAttribute('aria-atomic') === 'true') {
+        return getText(region);
+    }
+
+    const parts = mutations.flatMap(mutation => mutation.type === 'characterData'
+        ? [getText(mutation.target)]
+        : Array.from(mutation.addedNodes).map(getText));
+    return parts.filter(Boolean).join(' ');
+}
+
+/**
+ * All live regions in a container
+ * @param {Element} container - The container to inspect
+ * @returns {Object[]} { element, selector, politeness }
+ */
+export function findLiveRegions(container) {
+    return Array.from(container.querySelectorAll(LIVE_REGION_SELECTOR)).map(element => ({
+        element,
+        selector: getCssSelector(element, container),
+        politeness: getPoliteness(element)
+    }));
+}
+
+/**
+ * Watch a container for live region announcements
+ * Regions present at the start are silent until they change; regions
+ * inserted with content already in them are flagged, since most screen
+ * readers only announce changes to regions they already know about.
+ * Content shown through hidden, aria-hidden, style or class counts as added;
+ * a region shown that way is treated like an inserted one.
+ * @param {Element} container - The container to observe (e.g. the preview body)
+ * @param {Object} callbacks
+ * @param {Function} [callbacks.onAnnouncement] - Called with { time, politeness, text, element, selector }
+ * @param {Function} [callbacks.onWarning] - Called with { time, type, message, element, selector }
+ *   where type is 'prepopulated' or 'too-frequent'
+ * @returns {Function} Stops watching
+ */
+export function watchLiveRegions(container, { onAnnouncement = null, onWarning = null } = {}) {
+    const { MutationObserver } = container.ownerDocument.defaultView;
+    const startedAt = Date.now();
+    const recentByRegion = new Map();
+    const flagged = new Set();
+    const rendered = new WeakMap();
+
+    // Remember which elements are rendered, to tell when a change shows them
+    const recordRendered = root => {
+        [root, ...root.querySelectorAll('*')].forEach(element => rendered.set(element, isRendered(element)));
+    };
+    findLiveRegions(container).forEach(({ element }) => recordRendered(element));
+
+    // Each region is flagged at most once per problem
+    const warn = (type, element, message) => {
+        const selector = getCssSelector(element, container);
+        if (flagged.has(`${type}:${selector}`)) return;
+        flagged.add(`${type}:${selector}`);
+        onWarning?.({ time: Date.now() - startedAt, type, message, element, selector });
+    };
+
+    const observer = new MutationObserver(mutations => {
+        const time = Date.now() - startedAt;
+        const inserted = new Set();
+        const changesByRegion = new Map();
+
+        // Regions that appear with their content already in place
+        const appeared = (region, how) => {
+            inserted.add(region);
+            const text = getText(region);
+            if (!text || getPoliteness(region) === 'off') return;
+
+            // Alerts are announced on insertion by design
+            if (region.getAttribute('role') === 'alert') {
+                onAnnouncement?.({ time, politeness: getPoliteness(region), text, element: region, selector: getCssSelector(region, container) });
+            } else {
+                warn('prepopulated', region, `Live region was ${how} already populated; many screen readers will not announce it`);
+            }
+        };
+
+        mutations.forEach(mutation => {
+            Array.from(mutation.addedNodes).forEach(node => {
+                if (node.nodeType !== 1) return;
+                [node, ...node.querySelectorAll(LIVE_REGION_SELECTOR)]
+                    .filter(element => element.matches(LIVE_REGION_SELECTOR))
+                    .forEach(region => {
+                        appeared(region, 'inserted');
+                        recordRendered(region);
+                    });
+                if (findLiveRegion(node)) recordRendered(node);
+            });
+
+            if (mutation.type === 'attributes') {
+                const { target } = mutation;
+                const regions = [target, ...target.querySelectorAll(LIVE_REGION_SELECTOR)]
+                    .filter(element => element.matches(LIVE_REGION_SELECTOR));
+
+                // Regions shown by this change, directly or through an ancestor
+                if (regions.length > 0) {
+                    regions.forEach(region => {
+                        if (rendered.get(region) === false && isRendered(region)) appeared(region, 'shown');
+                        recordRendered(region);
+                    });
+                    return;
+                }
+
+                // Content shown inside a region reads like an addition
+                const region = findLiveRegion(target);
+                if (!region) return;
+                if (!inserted.has(region) && rendered.get(target) === false && isRendered(target)) {
+                    changesByRegion.set(region, [...(changesByRegion.get(region) || []), { type: 'childList', addedNodes: [target] }]);
+                }
+                recordRendered(target);
+                return;
+            }
+
+            const region = findLiveRegion(mutation.target);
+            if (!region || inserted.has(region) || (mutation.type === 'childList' && mutation.addedNodes.length === 0)) return;
+            changesByRegion.set(region, [...(changesByRegion.get(region) || []), mutation]);
+        });
+
+        changesByRegion.forEach((regionMutations, region) => {
+            const politeness = getPoliteness(region);
+            if (politeness === 'off' || region.getAttribute('aria-busy') === 'true') return;
+
+            const text = getAnnouncedText(region, regionMutations);
+            if (!text) return;
+
+            const selector = getCssSelector(region, container);
+            onAnnouncement?.({ time, politeness, text, element: region, selector });
+
+            const recent = (recentByRegion.get(region) || []).filter(at => time - at < BURST_WINDOW_MS);
+            recent.push(time);
+            recentByRegion.set(region, recent);
+            if (recent.length > BURST_LIMIT) {
+                warn('too-frequent', region, `Live region announced ${recent.length} times in ${BURST_WINDOW_MS / 1000} seconds; frequent updates interrupt and get dropped`);
+            }
+        });
+    });
+
+    observer.observe(container, {
+        childList: true,
+        subtree: true,
+        characterData: true,
+        attributes: true,
+        attributeFilter: ['hidden', 'aria-hidden', 'style', 'class']
+    });
+    console.log('📢 Watching live regions');
+
+    return () => observer.disconnect();
+}
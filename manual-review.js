@@ -0,0 +1,143 @@
+/**
+ * Manual Review - Decisions on axe "needs review" (incomplete) results
+ * Each incomplete node can be marked pass, fail or not applicable with a note.
+ * Decisions are saved in localStorage per document, keyed by a hash of its
+ * HTML, so they come back when the same content is analyzed again.
+ */
+
+import { getViolationFingerprint } from './analysis-diff.js';
+import { hashContent } from './utils.js';
+
+const STORAGE_KEY = 'manual_reviews';
+
+/**
+ * Review outcomes a node can be marked with
+ */
+export const REVIEW_DECISIONS = {
+    pass: { label: 'Pass', icon: '✅' },
+    fail: { label: 'Fail', icon: '❌' },
+    'not-applicable': { label: 'Not applicable', icon: '➖' }
+};
+
+/**
+ * Keys for every incomplete node (see getViolationFingerprint())
+ * Identical nodes are numbered so each keeps its own decision.
+ * @param {Object[]} incomplete - Incomplete results from runAxeAnalysis()
+ * @returns {Map<Object, string>} Review key by node
+ */
+export function getReviewKeys(incomplete) {
+    const keys = new Map();
+    const used = new Set();
+    incomplete.forEach(issue => {
+        issue.nodes.forEach(node => {
+            const base = getViolationFingerprint(issue.id, node);
+            let key = base;
+            for (let n = 2; used.has(key); n++) {
+                key = `${base}#${n}`;
+            }
+            used.add(key);
+            keys.set(node, key);
+        });
+    });
+    return keys;
+}
+
+/**
+ * Whether a finding is a confirmed problem: an axe violation, or a
+ * needs-review node manually marked "fail"
+ * @param {Object} finding - Finding from mapViolationsToAnnouncements()
+ * @returns {boolean}
+ */
+export function isConfirmedFinding(finding) {
+    return finding.type === 'violation' || finding.review?.decision === 'fail';
+}
+
+/**
+ * All stored decisions, by document hash
+ */
+function readStore() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+        console.warn('⚠️ Ignoring unreadable manual reviews:', error);
+        return {};
+    }
+}
+
+/**
+ * Saved decisions for a document
+ * Decisions that are not in REVIEW_DECISIONS (hand-edited or from an older
+ * version) are cleared, keeping the note.
+ * @param {string} html - Analyzed HTML
+ * @returns {Object<string, Object>} { decision, note, reviewedAt } by review key
+ */
+export function loadReviews(html) {
+    const reviews = readStore()[hashContent(html)] || {};
+    return Object.fromEntries(Object.entries(reviews).map(([key, review]) => [
+        key,
+        { ...review, decision: REVIEW_DECISIONS[review?.decision] ? review.decision : null }
+    ]));
+}
+
+/**
+ * Save (or with a null decision, clear) the decision for an incomplete node
+ * @param {string} html - Analyzed HTML
+ * @param {string} key - See getReviewKeys()
+ * @param {Object} review
+ * @param {string|null} review.decision - Key of REVIEW_DECISIONS, or null to clear
+ * @param {string} [review.note] - Reviewer's note
+ * @returns {Object<string, Object>} The document's updated decisions
+ * @throws {Error} If the decision is unknown
+ */
+export function saveReview(html, key, { decision, note = '' }) {
+    if (decision && !REVIEW_DECISIONS[decision]) {
+        throw new Error(`Unknown review decision "${decision}". Use one of: ${Object.keys(REVIEW_DECISIONS).join(', ')}`);
+    }
+
+    const store = readStore();
+    const hash = hashContent(html);
+    const reviews = { ...store[hash] };
+
+    if (decision || note.trim()) {
+        reviews[key] = { decision: decision || null, note: note.trim(), reviewedAt: new Date().toISOString() };
+    } else {
+        delete reviews[key];
+    }
+
+    if (Object.keys(reviews).length > 0) {
+        store[hash] = reviews;
+    } else {
+        delete store[hash];
+    }
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+    return reviews;
+}
+
+/**
+ * Count decisions over the incomplete results
+ * @param {Object[]} incomplete - Incomplete results from runAxeAnalysis()
+ * @param {Object<string, Object>} reviews - From loadReviews()
+ * @returns {Object} { pass, fail, 'not-applicable', pending }
+ */
+export function summarizeReviews(incomplete, reviews) {
+    const counts = { pass: 0, fail: 0, 'not-applicable': 0, pending: 0 };
+    getReviewKeys(incomplete).forEach(key => {
+        const decision = reviews[key]?.decision;
+        counts[REVIEW_DECISIONS[decision] ? decision : 'pending']++;
+    });
+    return counts;
+}
+
+/**
+ * Copy incomplete results with each node's decision attached as `review`
+ * @param {Object[]} incomplete - Incomplete results from runAxeAnalysis()
+ * @param {Object<string, Object>} reviews - From loadReviews()
+ * @returns {Object[]} Results whose nodes have review: { decision, note, reviewedAt } or null
+ */
+export function applyReviews(incomplete, reviews) {
+    const keys = getReviewKeys(incomplete);
+    return incomplete.map(issue => ({
+        ...issue,
+        nodes: issue.nodes.map(node => ({ ...node, review: reviews[keys.get(node)] || null }))
+    }));
+}
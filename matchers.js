@@ -0,0 +1,181 @@
+/**
+ * Test Matchers - Assert screen reader output in Jest or Vitest
+ * Wraps the headless analysis for component tests running under jsdom:
+ *
+ *   import { matchers } from 'sr-visualizer/matchers.js';
+ *   expect.extend(matchers);
+ *
+ *   await expect(container).toAnnounce(['button, Save']);
+ *   await expect(container).toHaveNoAxeViolations({ minImpact: 'serious' });
+ *   await expect(container).toMatchTranscriptSnapshot();
+ *
+ * The matchers are async, so always await them.
+ */
+
+import { basename, dirname, join } from 'node:path';
+
+import { analyzeElement, installAxe } from './headless.js';
+import { DEFAULT_AXE_PROFILE, IMPACT_LEVELS, runAxeAnalysis, meetsImpact } from './axe-analyzer.js';
+import { validateAxeResults } from './utils.js';
+import { SNAPSHOT_EXTENSION, formatTranscript, matchSnapshotFile } from './snapshot.js';
+
+/**
+ * Spoken phrases for a container, in reading order
+ * @param {HTMLElement} container - Element rendered by the test
+ * @returns {Promise<string[]>} Announcements
+ */
+export async function getAnnouncements(container) {
+    const { announcements } = await analyzeElement(container, { axe: false });
+    return announcements.map(result => result.announcement);
+}
+
+/**
+ * Validated axe-core results for a container
+ * @param {HTMLElement} container - Element rendered by the test
+ * @param {Object} [profile] - Rules to run (see DEFAULT_AXE_PROFILE)
+ * @returns {Promise<Object>} See runAxeAnalysis()
+ */
+export async function getAxeResults(container, profile = DEFAULT_AXE_PROFILE) {
+    installAxe(container.ownerDocument.defaultView);
+    return validateAxeResults(await runAxeAnalysis(container, profile));
+}
+
+/**
+ * Announcements from a container or an already computed list
+ */
+async function resolveAnnouncements(received) {
+    if (Array.isArray(received)) {
+        return received.map(item => (typeof item === 'string' ? item : item.announcement));
+    }
+    return getAnnouncements(received);
+}
+
+/**
+ * Whether a phrase matches an expected string (exactly) or RegExp
+ */
+function matchesPhrase(phrase, expected) {
+    return expected instanceof RegExp ? expected.test(phrase) : phrase === expected;
+}
+
+/**
+ * Numbered list of phrases for failure messages
+ */
+function formatList(phrases) {
+    return phrases.map((phrase, i) => `  ${String(i + 1).padStart(3)}. ${phrase}`).join('\n') || '  (nothing)';
+}
+
+/**
+ * File-system safe version of a test name
+ */
+function sanitize(name) {
+    return name.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '').toLowerCase();
+}
+
+/**
+ * Snapshot update mode from the environment: SR_UPDATE_SNAPSHOTS=1 rewrites
+ * snapshots ('all'), CI only compares ('none'), otherwise missing ones are written ('new')
+ */
+function defaultUpdateMode() {
+    if (process.env.SR_UPDATE_SNAPSHOTS && process.env.SR_UPDATE_SNAPSHOTS !== '0') return 'all';
+    return process.env.CI ? 'none' : 'new';
+}
+
+const UPDATE_MODES = ['all', 'new', 'none'];
+
+export const matchers = {
+    /**
+     * Pass if the expected phrases are announced in this order (other phrases may come between)
+     * @param {HTMLElement|Array} received - Container, or announcements from getAnnouncements()
+     * @param {Array<string|RegExp>|string} expected - Exact phrases or patterns, or a single phrase
+     * @throws {TypeError} If expected is neither an array nor a string
+     */
+    async toAnnounce(received, expected) {
+        if (typeof expected === 'string') {
+            expected = [expected];
+        } else if (!Array.isArray(expected)) {
+            throw new TypeError(`toAnnounce() expects an array of phrases or a string, got ${expected === null ? 'null' : typeof expected}`);
+        }
+        const phrases = await resolveAnnouncements(received);
+
+        let next = 0;
+        phrases.forEach(phrase => {
+            if (next < expected.length && matchesPhrase(phrase, expected[next])) next++;
+        });
+        const pass = next === expected.length;
+
+        return {
+            pass,
+            message: () => pass
+                ? `Expected not to announce, in order:\n${formatList(expected.map(String))}`
+                : `Expected to announce, in order:\n${formatList(expected.map(String))}\n` +
+                  `First missing: ${String(expected[next])}\n\nAnnounced:\n${formatList(phrases)}`
+        };
+    },
+
+    /**
+     * Pass if axe-core finds no violations at or above an impact
+     * @param {HTMLElement|Object} received - Container, or results from getAxeResults()
+     * @param {Object} [options]
+     * @param {string} [options.minImpact='minor'] - Lowest impact that fails (see IMPACT_LEVELS)
+     * @param {Object} [options.profile] - Rules to run (see DEFAULT_AXE_PROFILE)
+     * @throws {Error} If minImpact is not one of IMPACT_LEVELS
+     */
+    async toHaveNoAxeViolations(received, { minImpact = 'minor', profile = DEFAULT_AXE_PROFILE } = {}) {
+        if (!IMPACT_LEVELS.includes(minImpact)) {
+            throw new Error(`Unknown impact "${minImpact}". Use one of: ${IMPACT_LEVELS.join(', ')}`);
+        }
+        const results = Array.isArray(received?.violations) ? received : await getAxeResults(received, profile);
+        const violations = results.violations.filter(violation => meetsImpact(violation.impact, minImpact));
+        const pass = violations.length === 0;
+
+        return {
+            pass,
+            message: () => pass
+                ? `Expected axe violations at or above "${minImpact}" impact, found none`
+                : `Expected no axe violations at or above "${minImpact}" impact, found ${violations.length}:\n` +
+                  violations.map(violation =>
+                      `  [${violation.impact}] ${violation.id}: ${violation.help}\n` +
+                      violation.nodes.map(node => `      ${node.html}`).join('\n')
+                  ).join('\n')
+        };
+    },
+
+    /**
+     * Compare the transcript with a golden file next to the test
+     * (__snapshots__/<test file>.<test name>.transcript.txt). Missing snapshots are
+     * written unless CI is set; run the tests with SR_UPDATE_SNAPSHOTS=1 to accept changes.
+     * @param {HTMLElement|Array} received - Container, or announcements from getAnnouncements()
+     * @param {Object|string} [options] - Options, or just the snapshot name
+     * @param {string} [options.name] - Snapshot name (defaults to the current test name)
+     * @param {('all'|'new'|'none')} [options.update] - Rewrite all snapshots, write missing
+     *     ones only, or write none (defaults from the environment, see above)
+     */
+    async toMatchTranscriptSnapshot(received, options = {}) {
+        const { name = this.currentTestName, update = defaultUpdateMode() } =
+            typeof options === 'string' ? { name: options } : options;
+
+        if (!this.testPath || !name) {
+            throw new Error('toMatchTranscriptSnapshot() needs a test file and a snapshot name');
+        }
+        if (!UPDATE_MODES.includes(update)) {
+            throw new Error(`Unknown snapshot update mode "${update}". Use one of: ${UPDATE_MODES.join(', ')}`);
+        }
+
+        const actual = formatTranscript(await resolveAnnouncements(received));
+        const snapshotPath = join(dirname(this.testPath), '__snapshots__',
+            `${basename(this.testPath)}.${sanitize(name)}${SNAPSHOT_EXTENSION}`);
+
+        let result = await matchSnapshotFile(actual, snapshotPath, { update: update === 'all' });
+        if (result.status === 'missing' && update === 'new') {
+            result = await matchSnapshotFile(actual, snapshotPath, { update: true });
+        }
+
+        const pass = result.status !== 'mismatch' && result.status !== 'missing';
+        return {
+            pass,
+            message: () => result.status === 'missing'
+                ? `Transcript snapshot ${snapshotPath} does not exist (run with SR_UPDATE_SNAPSHOTS=1 to write it)`
+                : `Transcript differs from ${snapshotPath}:\n${result.diff}`
+        };
+    }
+};
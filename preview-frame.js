@@ -0,0 +1,89 @@
+/**
+ * Preview Frame - Isolated rendering of the page under test
+ * Renders user HTML into a sandboxed same-origin iframe so its styles, ids
+ * and inline handlers never mix with the app's own document.
+ */
+
+/**
+ * Baseline styles for the preview document (previously inherited from .preview-frame)
+ */
+const PREVIEW_BASE_STYLES = `
+    body {
+        margin: 0;
+        padding: 24px;
+        color: #333;
+        background: #fff;
+        font-family: system-ui, -apple-system, sans-serif;
+    }
+`;
+
+/**
+ * Whether HTML is a full document (has <html> or <body>) rather than a fragment
+ * @param {string} html - Source HTML
+ * @returns {boolean}
+ */
+export function isFullDocument(html) {
+    return /<html[\s>]|<body[\s>]/i.test(html);
+}
+
+/**
+ * Wrap an HTML fragment in a full document
+ * Full documents (with <html> or <body>) are passed through untouched.
+ * @param {string} html - Fragment or full document
+ * @returns {string} Complete HTML document
+ */
+export function buildPreviewDocument(html) {
+    if (isFullDocument(html)) {
+        return html;
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Preview</title>
+<style>${PREVIEW_BASE_STYLES}</style>
+</head>
+<body>
+${html}
+</body>
+</html>`;
+}
+
+/**
+ * Load HTML into the preview iframe and wait for its document to be ready
+ * Page scripts stay disabled unless allowScripts is set; combined with
+ * allow-same-origin they can reach the app and its saved settings, so only
+ * enable it for trusted content, never for fetched pages.
+ * @param {HTMLIFrameElement} iframe - The sandboxed preview iframe
+ * @param {string} html - HTML content to render
+ * @param {Object} [options]
+ * @param {boolean} [options.allowScripts=false] - Run the page's own scripts
+ * @returns {Promise<Document>} The iframe's loaded document
+ */
+export function loadPreviewDocument(iframe, html, { allowScripts = false } = {}) {
+    return new Promise((resolve, reject) => {
+        const onLoad = () => {
+            const doc = iframe.contentDocument;
+            if (!doc || !doc.body) {
+                reject(new Error('Preview document is not accessible'));
+                return;
+            }
+            resolve(doc);
+        };
+
+        iframe.addEventListener('load', onLoad, { once: true });
+        iframe.hidden = false;
+        iframe.sandbox = allowScripts ? 'allow-same-origin allow-scripts' : 'allow-same-origin';
+        iframe.srcdoc = buildPreviewDocument(html);
+    });
+}
+
+/**
+ * Empty the preview iframe
+ * @param {HTMLIFrameElement} iframe - The preview iframe
+ */
+export function clearPreviewDocument(iframe) {
+    iframe.removeAttribute('srcdoc');
+    iframe.hidden = true;
+}
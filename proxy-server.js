@@ -0,0 +1,181 @@
+/**
+ * Proxy Server - Local CORS proxy for analyzing pages from dev servers
+ * Fetches a page server-side and returns its HTML with CORS headers so the
+ * browser app can load it into the preview.
+ *
+ * Usage: node proxy-server.js [port]
+ * Then request http://localhost:8787/fetch?url=http://localhost:5173/
+ *
+ * Only pages served from localhost may read responses, since the proxy can
+ * reach localhost and intranet hosts. Allow other origins for the app with
+ * SR_PROXY_ORIGINS (comma-separated, e.g. https://sr.example.com).
+ * Requests without an Origin (curl, opening the URL directly) must pass the
+ * token printed at startup as ?token=.
+ */
+
+import http from 'node:http';
+import { randomBytes } from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+
+const DEFAULT_PORT = 8787;
+const HOST = '127.0.0.1';
+const FETCH_TIMEOUT_MS = 15000;
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Whether a page origin may use the proxy: loopback origins and the allow-list
+ * @param {string} origin - Origin request header
+ * @param {string[]} allowedOrigins - Extra allowed origins
+ */
+function isAllowedOrigin(origin, allowedOrigins) {
+    if (allowedOrigins.includes(origin)) return true;
+
+    try {
+        const { protocol, hostname } = new URL(origin);
+        return ['http:', 'https:'].includes(protocol) && LOOPBACK_HOSTS.includes(hostname);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Whether a Host header names this server: a loopback name with the
+ * listening port, or the host of an allowed origin. Rejecting other hosts
+ * stops DNS-rebound pages from reaching the proxy under their own name.
+ * @param {string} host - Host request header
+ * @param {number} port - Port the server listens on
+ * @param {string[]} allowedOrigins - Extra allowed origins
+ */
+function isAllowedHost(host, port, allowedOrigins) {
+    if (!host) return false;
+    if (LOOPBACK_HOSTS.some(name => host === `${name}:${port}` || (port === 80 && host === name))) return true;
+
+    return allowedOrigins.some(origin => {
+        try {
+            return new URL(origin).host === host;
+        } catch {
+            return false;
+        }
+    });
+}
+
+/**
+ * Send a response, with CORS headers for the requesting origin if it is allowed
+ */
+function send(res, status, body, headers = {}) {
+    res.writeHead(status, {
+        'Access-Control-Expose-Headers': 'X-Final-Url',
+        'Content-Type': 'text/plain; charset=utf-8',
+        'Vary': 'Origin',
+        ...headers
+    });
+    res.end(body);
+}
+
+/**
+ * Handle a single proxy request
+ * Browsers send an Origin on every cross-origin fetch but not on same-origin
+ * GETs, so a missing Origin is only trusted together with the launch token.
+ */
+async function handleRequest(req, res, { allowedOrigins, token }) {
+    const { origin, host } = req.headers;
+    if (!isAllowedHost(host, req.socket.localPort, allowedOrigins)) {
+        console.warn(`⚠️ Rejected request for host ${host}`);
+        send(res, 403, `Host ${host} is not allowed`);
+        return;
+    }
+
+    if (origin && !isAllowedOrigin(origin, allowedOrigins)) {
+        console.warn(`⚠️ Rejected request from origin ${origin}`);
+        send(res, 403, `Origin ${origin} is not allowed (set SR_PROXY_ORIGINS to allow it)`);
+        return;
+    }
+
+    const cors = origin ? { 'Access-Control-Allow-Origin': origin } : {};
+
+    if (req.method === 'OPTIONS') {
+        send(res, 204, '', cors);
+        return;
+    }
+
+    const requestUrl = new URL(req.url, `http://${req.headers.host}`);
+
+    if (req.method !== 'GET' || requestUrl.pathname !== '/fetch') {
+        send(res, 404, 'Use GET /fetch?url=<page url>', cors);
+        return;
+    }
+
+    if (!origin && requestUrl.searchParams.get('token') !== token) {
+        send(res, 403, 'Requests without an Origin need the token printed when the proxy started');
+        return;
+    }
+
+    let target;
+    try {
+        target = new URL(requestUrl.searchParams.get('url'));
+    } catch {
+        send(res, 400, 'Missing or invalid "url" parameter', cors);
+        return;
+    }
+
+    if (!['http:', 'https:'].includes(target.protocol)) {
+        send(res, 400, 'Only http and https URLs are supported', cors);
+        return;
+    }
+
+    try {
+        const response = await fetch(target, {
+            headers: { 'Accept': 'text/html,application/xhtml+xml' },
+            redirect: 'follow',
+            signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+        });
+
+        const contentType = response.headers.get('content-type') || '';
+        if (!contentType.includes('html')) {
+            send(res, 415, `Expected an HTML page but got "${contentType || 'unknown content type'}"`, cors);
+            return;
+        }
+
+        console.log(`📄 ${response.status} ${target.href}`);
+        send(res, response.status, await response.text(), {
+            ...cors,
+            'Content-Type': 'text/html; charset=utf-8',
+            'X-Final-Url': response.url
+        });
+    } catch (error) {
+        console.error(`❌ Failed to fetch ${target.href}:`, error.message);
+        const timedOut = error.name === 'TimeoutError';
+        send(res, timedOut ? 504 : 502, timedOut ? 'Upstream request timeout' : `Upstream fetch failed: ${error.message}`, cors);
+    }
+}
+
+/**
+ * Start the proxy server
+ * @param {number} [port] - Port to listen on (localhost only)
+ * @param {Object} [options]
+ * @param {string[]} [options.allowedOrigins] - Origins besides localhost that may use the proxy
+ * @param {string} [options.token] - Token for requests without an Origin (random by default)
+ * @returns {http.Server} The listening server
+ */
+export function startProxyServer(port = DEFAULT_PORT, { allowedOrigins = [], token = randomBytes(16).toString('hex') } = {}) {
+    const server = http.createServer((req, res) => {
+        handleRequest(req, res, { allowedOrigins, token }).catch(error => {
+            console.error('❌ Proxy error:', error);
+            send(res, 500, 'Internal proxy error');
+        });
+    });
+
+    server.listen(port, HOST, () => {
+        console.log(`✅ SR Visualizer proxy listening on http://localhost:${port}`);
+        console.log(`🔑 Outside the app, add token=${token} to /fetch requests`);
+    });
+
+    return server;
+}
+
+// Run directly: node proxy-server.js [port]
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    startProxyServer(Number(process.argv[2]) || DEFAULT_PORT, {
+        allowedOrigins: (process.env.SR_PROXY_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean)
+    });
+}
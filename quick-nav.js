@@ -0,0 +1,67 @@
+/**
+ * Quick Navigation - Single-letter browse mode keys
+ * Mirrors screen reader quick keys (H, D, K, F, B, T, L, 1-6) over the announcement list
+ */
+
+const LANDMARK_ROLES = ['banner', 'navigation', 'main', 'contentinfo', 'complementary', 'region', 'search', 'form'];
+const FORM_FIELD_ROLES = ['textbox', 'searchbox', 'checkbox', 'radio', 'combobox', 'listbox', 'spinbutton', 'slider', 'switch'];
+
+/**
+ * Match headings, optionally at a specific level
+ */
+function isHeading(result, level = null) {
+    if (result.role !== 'heading') return false;
+    return level === null || result.level === level;
+}
+
+/**
+ * Quick keys by the lower-case letter typed (so they follow the keyboard
+ * layout), and heading levels by KeyboardEvent.code, since Shift changes the
+ * digit's key. Each entry names the element type (for "no next heading"
+ * feedback) and how to match it.
+ */
+export const QUICK_NAV_KEYS = {
+    h: { label: 'H', name: 'heading', match: result => isHeading(result) },
+    d: { label: 'D', name: 'landmark', match: result => LANDMARK_ROLES.includes(result.role) },
+    k: { label: 'K', name: 'link', match: result => result.role === 'link' },
+    f: { label: 'F', name: 'form field', match: result => FORM_FIELD_ROLES.includes(result.role) },
+    b: { label: 'B', name: 'button', match: result => result.role === 'button' },
+    t: { label: 'T', name: 'table', match: result => ['table', 'grid'].includes(result.role) },
+    l: { label: 'L', name: 'list', match: result => result.role === 'list' },
+    ...Object.fromEntries([1, 2, 3, 4, 5, 6].map(level => [
+        `Digit${level}`,
+        { label: String(level), name: `heading level ${level}`, match: result => isHeading(result, level) }
+    ]))
+};
+
+/**
+ * Key of QUICK_NAV_KEYS for a keyboard event
+ * @param {{ key: string, code: string }} event - KeyboardEvent (or its key and code)
+ * @returns {string} Digit code for the heading-level keys, otherwise the lower-case key
+ */
+export function getQuickNavKey({ key, code }) {
+    return /^Digit[1-6]$/.test(code) ? code : String(key).toLowerCase();
+}
+
+/**
+ * Find the next (or previous) announcement matching a quick key
+ * @param {Object[]} results - Results from analyzeContainer(), in reading order
+ * @param {number} fromIndex - Current index
+ * @param {string} quickKeyName - Key of QUICK_NAV_KEYS (see getQuickNavKey())
+ * @param {boolean} [backwards=false] - Search backwards (Shift+key)
+ * @returns {{ index: number, name: string }|null} Target index (-1 if none) and element type,
+ *   or null if the key is not a quick key
+ */
+export function findQuickNavTarget(results, fromIndex, quickKeyName, backwards = false) {
+    const quickKey = QUICK_NAV_KEYS[quickKeyName];
+    if (!quickKey) return null;
+
+    const step = backwards ? -1 : 1;
+    for (let i = fromIndex + step; i >= 0 && i < results.length; i += step) {
+        if (quickKey.match(results[i])) {
+            return { index: i, name: quickKey.name };
+        }
+    }
+
+    return { index: -1, name: quickKey.name };
+}
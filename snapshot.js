@@ -0,0 +1,136 @@
+/**
+ * Transcript Snapshots - Golden-file testing of screen reader output
+ * Normalizes the analyzeContainer() transcript of an HTML fixture into a
+ * plain text file that can be committed and compared in CI.
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { basename, dirname, join } from 'node:path';
+
+import { analyzeHtml } from './headless.js';
+import { diffTranscripts } from './analysis-diff.js';
+import { parseAnnouncement } from './announcement-model.js';
+
+const SNAPSHOT_HEADER = '# sr-visualizer transcript v1';
+
+export const SNAPSHOT_EXTENSION = '.transcript.txt';
+
+/**
+ * Normalize announcements into snapshot text: one phrase per line
+ * @param {Array<Object|string>} announcements - Results from analyzeContainer() or plain phrases
+ * @returns {string} Snapshot file contents
+ */
+export function formatTranscript(announcements) {
+    const lines = announcements
+        .filter(result => typeof result === 'string' || !result.interaction)
+        .map(result => (typeof result === 'string' ? result : result.announcement).replace(/\s+/g, ' ').trim());
+
+    return `${[SNAPSHOT_HEADER, ...lines].join('\n')}\n`;
+}
+
+/**
+ * Phrases in snapshot text, without comments or blank lines
+ */
+function parseTranscript(text) {
+    return text.split(/\r?\n/).filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Readable line diff between two snapshots ("-" expected, "+" actual)
+ * @param {string} expected - Committed snapshot text
+ * @param {string} actual - Newly generated snapshot text
+ * @param {number} [context=2] - Unchanged lines to show around each change
+ * @returns {string} Diff, empty when the transcripts match
+ */
+export function diffSnapshots(expected, actual, context = 2) {
+    const toResults = text => parseTranscript(text).map(announcement => ({
+        announcement,
+        role: parseAnnouncement(announcement).role
+    }));
+    const rows = diffTranscripts(toResults(expected), toResults(actual));
+    if (rows.every(row => row.type === 'same')) return '';
+
+    const near = index => rows.slice(Math.max(0, index - context), index + context + 1)
+        .some(row => row.type !== 'same');
+    const lines = [];
+    let skipped = false;
+
+    rows.forEach((row, index) => {
+        if (row.type === 'same' && !near(index)) {
+            if (!skipped) lines.push('  ...');
+            skipped = true;
+            return;
+        }
+        skipped = false;
+
+        if (row.type === 'same') lines.push(`  ${row.before.announcement}`);
+        if (row.before && row.type !== 'same') lines.push(`- ${row.before.announcement}`);
+        if (row.after && row.type !== 'same') lines.push(`+ ${row.after.announcement}`);
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Default snapshot location: __snapshots__/<fixture>.transcript.txt next to the fixture
+ * @param {string} fixturePath - Path to the HTML fixture
+ * @param {string} [snapshotDir] - Directory to use instead of the default
+ * @returns {string} Snapshot path
+ */
+export function getSnapshotPath(fixturePath, snapshotDir = null) {
+    const name = `${basename(fixturePath).replace(/\.html?$/i, '')}${SNAPSHOT_EXTENSION}`;
+    return join(snapshotDir || join(dirname(fixturePath), '__snapshots__'), name);
+}
+
+/**
+ * Generate the snapshot text for HTML
+ * @param {string} html - Fragment or full document
+ * @returns {Promise<string>} Snapshot file contents
+ */
+export async function createTranscriptSnapshot(html) {
+    const { announcements } = await analyzeHtml(html, { axe: false });
+    return formatTranscript(announcements);
+}
+
+/**
+ * Compare snapshot text with a golden file, optionally rewriting it
+ * @param {string} actual - Snapshot text from createTranscriptSnapshot()
+ * @param {string} snapshotPath - Golden file path
+ * @param {Object} [options]
+ * @param {boolean} [options.update=false] - Write the snapshot instead of failing
+ * @returns {Promise<Object>} { status: 'match'|'mismatch'|'missing'|'written', snapshotPath, diff }
+ */
+export async function matchSnapshotFile(actual, snapshotPath, { update = false } = {}) {
+    let expected = null;
+    try {
+        expected = await readFile(snapshotPath, 'utf8');
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    const diff = expected === null ? '' : diffSnapshots(expected, actual);
+    if (expected !== null && !diff) {
+        return { status: 'match', snapshotPath, diff };
+    }
+
+    if (update) {
+        await mkdir(dirname(snapshotPath), { recursive: true });
+        await writeFile(snapshotPath, actual, 'utf8');
+        return { status: 'written', snapshotPath, diff };
+    }
+
+    return { status: expected === null ? 'missing' : 'mismatch', snapshotPath, diff };
+}
+
+/**
+ * Check an HTML fixture against its golden transcript
+ * @param {string} fixturePath - Path to the HTML fixture
+ * @param {Object} [options]
+ * @param {string} [options.snapshotDir] - See getSnapshotPath()
+ * @param {boolean} [options.update=false] - Write the snapshot instead of failing
+ * @returns {Promise<Object>} See matchSnapshotFile()
+ */
+export async function checkTranscriptSnapshot(fixturePath, { snapshotDir = null, update = false } = {}) {
+    const html = await readFile(fixturePath, 'utf8');
+    const actual = await createTranscriptSnapshot(html);
+    return matchSnapshotFile(actual, getSnapshotPath(fixturePath, snapshotDir), { update });
+}
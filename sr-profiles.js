@@ -0,0 +1,301 @@
+/**
+ * Screen Reader Profiles - Approximate NVDA, JAWS, VoiceOver and TalkBack phrasing
+ * Re-phrases announcement records (see announcement-model.js) with each
+ * reader's role names, state words and word order.
+ */
+
+import { parseAnnouncement } from './announcement-model.js';
+
+const LANDMARK_ROLES = ['banner', 'navigation', 'main', 'contentinfo', 'complementary', 'region', 'search', 'form'];
+const CHECKABLE_ROLES = ['checkbox', 'radio', 'switch', 'menuitemcheckbox', 'menuitemradio'];
+
+/**
+ * Shared phrasing helpers for role names that depend on the record
+ */
+const headingWithLevel = record => record.level ? `heading level ${record.level}` : 'heading';
+const itemCount = record => record.position?.size ?? 0;
+const tableSize = record => record.table ? { rows: record.table.rowCount, columns: record.table.columnCount } : null;
+const setPosition = record => record.position?.index && record.position?.size
+    ? `${record.position.index} of ${record.position.size}`
+    : '';
+const cellPosition = record => record.table?.column ? `row ${record.table.row}, column ${record.table.column}` : '';
+
+/**
+ * Verbosity levels: which optional parts of an announcement are spoken
+ * - states: expanded, checked, required, ...
+ * - descriptions: aria-describedby hints and extra properties (popups, sort order, ...)
+ * - positions: list and table position ("1 of 3", "row 2, column 1")
+ * - boundaries: leaving landmarks ("leaving navigation")
+ */
+export const VERBOSITY_LEVELS = {
+    low: { label: 'Low verbosity', states: false, descriptions: false, positions: false, boundaries: false },
+    medium: { label: 'Medium verbosity', states: true, descriptions: false, positions: true, boundaries: false },
+    high: { label: 'High verbosity', states: true, descriptions: true, positions: true, boundaries: true }
+};
+
+/**
+ * Speech profiles, keyed by id
+ * - roles: spoken role per ARIA role (string or function of the record, '' for silent)
+ * - states: words per state value; unlisted states use the Virtual Screen Reader wording
+ * - order: parts to speak, in order, for a record
+ * - position: list/table position text for a record
+ * - leaving: phrase for leaving a landmark (defaults to "leaving <role>")
+ */
+export const SR_PROFILES = {
+    virtual: {
+        label: 'Virtual reader',
+        roles: {},
+        states: {},
+        order: () => ['role', 'name', 'value', 'description', 'states', 'level', 'position', 'properties'],
+        // A list's size is its item count, which the Virtual Screen Reader only speaks on items
+        position: record => record.role === 'list' ? '' : [
+            record.position?.index ? `position ${record.position.index}` : '',
+            record.position?.size ? `set size ${record.position.size}` : ''
+        ].filter(Boolean).join(', ')
+    },
+    nvda: {
+        label: 'NVDA',
+        roles: {
+            link: record => record.states.visited ? 'visited link' : 'link',
+            heading: headingWithLevel,
+            button: record => 'pressed' in record.states ? 'toggle button' : 'button',
+            textbox: 'edit', searchbox: 'edit', checkbox: 'check box', radio: 'radio button',
+            combobox: 'combo box', listbox: 'list', option: '', img: 'graphic', image: 'graphic',
+            navigation: 'navigation landmark', main: 'main landmark', banner: 'banner landmark',
+            contentinfo: 'content info landmark', complementary: 'complementary landmark',
+            search: 'search landmark', form: 'form landmark', group: 'grouping',
+            list: record => `list with ${itemCount(record)} items`,
+            table: record => tableSize(record) ? `table with ${tableSize(record).rows} rows and ${tableSize(record).columns} columns` : 'table',
+            listitem: '', row: '', rowgroup: '', cell: '', gridcell: '', columnheader: '', rowheader: '',
+            caption: '', paragraph: '', generic: '', spinbutton: 'spin button', menuitem: 'menu item',
+            tabpanel: 'property page', progressbar: 'progress bar'
+        },
+        states: {
+            checked: { true: 'checked', false: 'not checked', mixed: 'half checked' },
+            expanded: { true: 'expanded', false: 'collapsed' },
+            selected: { true: 'selected', false: '' },
+            invalid: { true: 'invalid entry', false: '' },
+            disabled: { true: 'unavailable', false: '' },
+            visited: { true: '', false: '' }
+        },
+        // Browse mode reads containers, links and headings role first; controls name first
+        order: record => ['link', 'heading', 'list', 'table', 'group', ...LANDMARK_ROLES].includes(record.role)
+            ? ['role', 'name', 'value', 'states', 'description', 'position']
+            : ['name', 'role', 'value', 'states', 'description', 'position'],
+        position: record => setPosition(record) || cellPosition(record),
+        leaving: role => `out of ${role} landmark`
+    },
+    jaws: {
+        label: 'JAWS',
+        roles: {
+            link: record => record.states.visited ? 'visited link' : 'link',
+            heading: headingWithLevel,
+            button: record => 'pressed' in record.states ? 'toggle button' : 'button',
+            textbox: 'edit', searchbox: 'edit', checkbox: 'check box', radio: 'radio button',
+            combobox: 'combo box', listbox: 'list box', img: 'graphic', image: 'graphic',
+            navigation: 'navigation region', main: 'main region', banner: 'banner region',
+            contentinfo: 'content information region', complementary: 'complementary region',
+            search: 'search region', form: 'form region',
+            list: record => `list of ${itemCount(record)} items`,
+            table: record => tableSize(record) ? `table with ${tableSize(record).columns} columns and ${tableSize(record).rows} rows` : 'table',
+            listitem: '', row: '', rowgroup: '', cell: '', gridcell: '', columnheader: '', rowheader: '',
+            caption: '', paragraph: '', generic: '', menuitem: 'menu item', spinbutton: 'spin box'
+        },
+        states: {
+            checked: { true: 'checked', false: 'not checked', mixed: 'partially checked' },
+            expanded: { true: 'expanded', false: 'collapsed' },
+            selected: { true: 'selected', false: '' },
+            invalid: { true: 'invalid entry', false: '' },
+            disabled: { true: 'unavailable', false: '' },
+            visited: { true: '', false: '' }
+        },
+        clickable: 'clickable',
+        order: record => record.role === 'list' || record.role === 'table'
+            ? ['role', 'name', 'states', 'description']
+            : ['name', 'role', 'value', 'states', 'description', 'position'],
+        position: record => setPosition(record),
+        leaving: role => `${role} region end`
+    },
+    voiceover: {
+        label: 'VoiceOver',
+        roles: {
+            link: record => record.states.visited ? 'visited, link' : 'link',
+            heading: headingWithLevel,
+            button: record => 'pressed' in record.states ? 'toggle button' : 'button',
+            textbox: 'edit text', searchbox: 'search text field', checkbox: 'checkbox', radio: 'radio button',
+            combobox: 'pop-up button', img: 'image', navigation: 'navigation', main: 'main', banner: 'banner',
+            contentinfo: 'content information', complementary: 'complementary', search: 'search', form: 'form',
+            list: record => `list ${itemCount(record)} items`,
+            table: record => tableSize(record) ? `table, ${tableSize(record).rows} rows, ${tableSize(record).columns} columns` : 'table',
+            listitem: '', row: '', rowgroup: '', cell: '', gridcell: '', columnheader: '', rowheader: '',
+            caption: '', paragraph: '', generic: '', menuitem: 'menu item', spinbutton: 'stepper'
+        },
+        states: {
+            checked: { true: 'checked', false: 'unchecked', mixed: 'mixed' },
+            expanded: { true: 'expanded', false: 'collapsed' },
+            pressed: { true: 'selected', false: '', mixed: 'mixed' },
+            selected: { true: 'selected', false: '' },
+            invalid: { true: 'invalid data', false: '' },
+            disabled: { true: 'dimmed', false: '' },
+            visited: { true: '', false: '' }
+        },
+        // Links, headings, lists and tables role first; controls speak states before the role
+        order: record => ['link', 'heading', 'list', 'table'].includes(record.role)
+            ? ['role', 'name', 'value', 'states', 'description', 'position']
+            : ['name', 'value', 'states', 'role', 'description', 'position'],
+        position: record => setPosition(record)
+    },
+    talkback: {
+        label: 'TalkBack',
+        roles: {
+            heading: 'heading', textbox: 'edit box', searchbox: 'edit box', checkbox: 'checkbox',
+            radio: 'radio button', combobox: 'drop-down list', img: 'image', image: 'image',
+            list: record => `list, ${itemCount(record)} items`,
+            table: record => tableSize(record) ? `table, ${tableSize(record).rows} rows, ${tableSize(record).columns} columns` : 'table',
+            listitem: '', row: '', rowgroup: '', cell: '', gridcell: '', columnheader: '', rowheader: '',
+            caption: '', paragraph: '', generic: '', group: '', menuitem: 'menu item',
+            navigation: 'navigation', main: 'main', banner: 'banner', contentinfo: 'content info',
+            complementary: 'complementary', region: 'region'
+        },
+        states: {
+            checked: { true: 'checked', false: 'not checked', mixed: 'partially checked' },
+            expanded: { true: 'expanded', false: 'collapsed' },
+            pressed: { true: 'on', false: 'off' },
+            selected: { true: 'selected', false: '' },
+            invalid: { true: 'error', false: '' },
+            visited: { true: '', false: '' }
+        },
+        // Checkable controls lead with their state; edit boxes lead with the role
+        order: record => {
+            if (CHECKABLE_ROLES.includes(record.role)) return ['states', 'name', 'role', 'description'];
+            if (['textbox', 'searchbox', 'list', 'table'].includes(record.role)) return ['role', 'name', 'value', 'states', 'description'];
+            return ['name', 'value', 'role', 'states', 'description'];
+        },
+        position: () => ''
+    }
+};
+
+/**
+ * Default wording for a state, matching the Virtual Screen Reader
+ */
+function defaultStateWords(state, value) {
+    const label = { readonly: 'read only', multiselectable: 'multi-selectable' }[state] || state;
+
+    if (state === 'current') {
+        return value === true ? 'current item' : value ? `current ${value}` : '';
+    }
+    if (state === 'invalid' && typeof value === 'string') {
+        return value === 'grammar' ? 'grammatical error detected' : 'spelling error detected';
+    }
+    if (value === 'mixed') return `partially ${label}`;
+    return value ? label : `not ${label}`;
+}
+
+/**
+ * Spoken state words for a record under a profile
+ */
+function describeStates(record, profile) {
+    const words = Object.entries(record.states).map(([state, value]) => {
+        const mapping = profile.states[state];
+        return mapping && String(value) in mapping ? mapping[String(value)] : defaultStateWords(state, value);
+    });
+
+    if (profile.clickable && record.clickable) {
+        words.push(profile.clickable);
+    }
+    return words.filter(Boolean).join(', ');
+}
+
+/**
+ * Phrase an announcement record as a given reader would
+ * @param {Object} record - Record from parseAnnouncement()
+ * @param {string} profileId - Key of SR_PROFILES
+ * @param {string} [verbosity='high'] - Key of VERBOSITY_LEVELS
+ * @returns {string} Approximate spoken phrase
+ */
+export function phraseRecord(record, profileId, verbosity = 'high') {
+    const profile = SR_PROFILES[profileId];
+    const level = VERBOSITY_LEVELS[verbosity];
+    const states = level.states ? describeStates(record, profile) : '';
+
+    if (record.role === 'text') {
+        return [record.name, states].filter(Boolean).join(', ');
+    }
+
+    const spokenRole = record.role in profile.roles ? profile.roles[record.role] : record.role;
+    const parts = {
+        role: typeof spokenRole === 'function' ? spokenRole(record) : spokenRole,
+        name: record.name,
+        value: record.value,
+        states,
+        description: level.descriptions ? record.description : '',
+        // Heading levels are always spoken; list nesting levels count as position info
+        level: record.level && (record.role === 'heading' || level.positions) ? `level ${record.level}` : '',
+        position: level.positions ? profile.position(record) : '',
+        properties: level.descriptions ? record.properties.join(', ') : ''
+    };
+
+    return profile.order(record).map(part => parts[part]).filter(Boolean).join(', ');
+}
+
+/**
+ * Landmarks left before each result, innermost first
+ * A landmark is left at the first result outside its element; landmarks still
+ * open after the last result are left at the end of the transcript. Results
+ * without an element (fallback analysis) cannot be placed and leave none.
+ * @param {Object[]} results - Results from analyzeContainer(), in reading order
+ * @returns {string[][]} Landmark roles left before each result, plus one
+ *     trailing entry for those left after the last result
+ */
+export function findLandmarkExits(results) {
+    let open = [];
+
+    const exits = results.map(result => {
+        if (!result.element) return [];
+
+        const inside = landmark => landmark.element.contains(result.element);
+        const left = open.filter(landmark => !inside(landmark));
+        open = open.filter(inside);
+
+        if (LANDMARK_ROLES.includes(result.role)) {
+            open.push(result);
+        }
+        return left.reverse().map(landmark => landmark.role);
+    });
+
+    exits.push(open.reverse().map(landmark => landmark.role));
+    return exits;
+}
+
+/**
+ * Phrase an analysis result for a profile and verbosity
+ * At high verbosity the 'virtual' profile returns the Virtual Screen Reader's
+ * own phrase. Results carry their structured record; bare phrases are parsed
+ * on the fly.
+ * @param {Object} result - Result from analyzeContainer()
+ * @param {string} [profileId='virtual'] - Key of SR_PROFILES
+ * @param {Object} [options]
+ * @param {string} [options.verbosity='high'] - Key of VERBOSITY_LEVELS
+ * @param {string[]} [options.leaving] - Landmark roles left before this result (see findLandmarkExits())
+ * @param {string[]} [options.leavingAfter] - Landmark roles left after this result, for the last one
+ * @returns {string} Phrase to display and speak
+ */
+export function phraseAnnouncement(result, profileId = 'virtual', { verbosity = 'high', leaving = [], leavingAfter = [] } = {}) {
+    if (!SR_PROFILES[profileId]) profileId = 'virtual';
+    if (!VERBOSITY_LEVELS[verbosity]) verbosity = 'high';
+
+    let phrase;
+    if (profileId === 'virtual' && verbosity === 'high') {
+        phrase = result.announcement;
+    } else {
+        const record = result.role ? result : parseAnnouncement(result.announcement, result.element);
+        phrase = phraseRecord(record, profileId, verbosity);
+    }
+
+    if (!VERBOSITY_LEVELS[verbosity].boundaries || (leaving.length === 0 && leavingAfter.length === 0)) {
+        return phrase;
+    }
+
+    const { leaving: leavingPhrase = role => `leaving ${role}` } = SR_PROFILES[profileId];
+    return [...leaving.map(leavingPhrase), phrase, ...leavingAfter.map(leavingPhrase)].filter(Boolean).join(', ');
+}
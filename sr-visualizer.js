@@ -3,9 +3,27 @@
  * Uses @guidepup/virtual-screen-reader to traverse DOM and create overlays
  */
 
+import { getCssSelector, getXPath } from './utils.js';
+import { parseAnnouncement, getCategoryForRole } from './announcement-model.js';
+
 // Import Virtual Screen Reader from CDN
 let virtual = null;
 
+// Running interactive session: { vsr, container } (see startInteractiveSession())
+let session = null;
+
+// Time for page scripts, focus handlers and live regions to react to an interaction
+const INTERACTION_SETTLE_MS = 100;
+
+const LIVE_PHRASE_PATTERN = /^(polite|assertive): /;
+
+// Key names press() accepts besides single characters and function keys;
+// the keyboard simulation silently ignores names it doesn't know
+const NAMED_KEYS = ['Enter', 'Tab', 'Space', 'Escape', 'Backspace', 'Delete', 'Insert', 'Home', 'End',
+    'PageUp', 'PageDown', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'CapsLock', 'ContextMenu'];
+const MODIFIER_KEY_PATTERN = /^(Shift|Control|Alt|Meta|Command|Option)(Left|Right)?$/;
+const FUNCTION_KEY_PATTERN = /^F([1-9]|1[0-9]|2[0-4])$/;
+
 export async function initVirtualScreenReader() {
     if (virtual) return virtual;
 
@@ -23,26 +41,71 @@ export async function initVirtualScreenReader() {
 }
 
 /**
- * Element category detection based on role/tag
+ * Use an already-loaded Virtual Screen Reader instead of the CDN build
+ * Lets Node tooling (e.g. the CLI under jsdom) supply the npm package.
+ * @param {Object} instance - A Virtual Screen Reader instance
+ */
+export function setVirtualScreenReader(instance) {
+    virtual = instance;
+}
+
+/**
+ * Element for a cursor node (text nodes map to their parent)
  */
-const CATEGORY_PATTERNS = {
-    landmark: ['navigation', 'banner', 'main', 'contentinfo', 'region', 'complementary', 'search', 'article', 'document'],
-    heading: ['heading'],
-    interactive: ['button', 'link', 'menu', 'image', 'img', 'graphic'],
-    form: ['textbox', 'checkbox', 'radio', 'combobox', 'listbox', 'spinbutton', 'slider', 'switch', 'group', 'form']
-};
-
-function getElementCategory(announcement) {
-    const lower = announcement.toLowerCase();
-    for (const [category, patterns] of Object.entries(CATEGORY_PATTERNS)) {
-        if (patterns.some(p => lower.includes(p))) return category;
+function getNodeElement(node) {
+    return node.nodeType === 1 ? node : node.parentElement;
+}
+
+/**
+ * Resolve the node under the virtual cursor to a highlightable element
+ * Text nodes map to their parent element; selector and XPath are computed
+ * relative to the analyzed container so they can be re-resolved later.
+ * @param {Node|null} node - Node reported by the virtual screen reader
+ * @param {HTMLElement} container - The analyzed container
+ * @returns {{ element: Element|null, selector: string, xpath: string }}
+ */
+function describeNode(node, container) {
+    if (!node) {
+        return { element: null, selector: '', xpath: '' };
     }
-    return 'content';
+
+    const element = getNodeElement(node);
+
+    return {
+        element,
+        selector: element ? getCssSelector(element, container) : '',
+        xpath: getXPath(node)
+    };
+}
+
+/**
+ * Build an analysis result: the phrase, its structured record and where it came from
+ * @param {number} index - Position in reading order
+ * @param {string} announcement - Spoken phrase
+ * @param {Node|null} node - Node the phrase was spoken for
+ * @param {HTMLElement} container - The analyzed container
+ * @returns {Object} Analysis result
+ */
+function createResult(index, announcement, node, container) {
+    const location = describeNode(node, container);
+    const record = parseAnnouncement(announcement, location.element, {
+        isText: node?.nodeType === 3
+    });
+
+    return {
+        index,
+        announcement,
+        ...record,
+        category: getCategoryForRole(record.role),
+        ...location
+    };
 }
 
 /**
  * Analyze a container and return screen reader announcements
- * Returns array of { announcement, category }
+ * Returns array of { index, announcement, role, name, value, description, states,
+ * level, position, table, properties, clickable, category, element, selector, xpath }
+ * (see parseAnnouncement() for the structured fields)
  * @param {HTMLElement} container - The DOM container to analyze
  * @param {Function} onProgress - Optional callback called with each new announcement
  */
@@ -52,11 +115,14 @@ export async function analyzeContainer(container, onProgress = null) {
     console.log('🎬 Starting Virtual Screen Reader analysis...');
 
     const results = [];
-    const seen = new Set();
+    // Cursor stops already visited, keyed by node then phrase. A container
+    // traversal wraps around instead of reaching "end of document", so
+    // revisiting a stop means the whole container has been read.
+    const visited = new Map();
 
     try {
         // Start virtual screen reader on the container
-        await vsr.start({ container });
+        await vsr.start({ container, window: container.ownerDocument.defaultView });
         console.log('✅ VSR started');
 
         // Navigate through the entire document, streaming results
@@ -71,18 +137,20 @@ export async function analyzeContainer(container, onProgress = null) {
                 break;
             }
 
-            // Add this phrase if not seen and not a marker
+            const node = vsr.activeNode || container;
+            const phrasesAtNode = visited.get(node) || new Set();
+            if (phrasesAtNode.has(phrase)) {
+                break;
+            }
+            phrasesAtNode.add(phrase);
+            visited.set(node, phrasesAtNode);
+
+            // Add every cursor stop except document markers
             if (phrase &&
-                !seen.has(phrase) &&
                 phrase !== 'document' &&
                 !phrase.startsWith('end of ')) {
 
-                seen.add(phrase);
-                const result = {
-                    index: results.length,
-                    announcement: phrase,
-                    category: getElementCategory(phrase)
-                };
+                const result = createResult(results.length, phrase, vsr.activeNode, container);
                 results.push(result);
 
                 // Stream to UI immediately
@@ -95,7 +163,7 @@ export async function analyzeContainer(container, onProgress = null) {
             safetyCounter++;
         }
 
-        console.log(`📊 Found ${results.length} unique announcements`);
+        console.log(`📊 Found ${results.length} announcements`);
 
     } catch (error) {
         console.error('❌ Error during VSR traversal:', error);
@@ -112,6 +180,141 @@ export async function analyzeContainer(container, onProgress = null) {
     return results;
 }
 
+/**
+ * Start an interactive session on a container
+ * The Virtual Screen Reader stays running so actions can be performed on
+ * the page; stop the session before running analyzeContainer() again.
+ * @param {HTMLElement} container - The DOM container to interact with
+ */
+export async function startInteractiveSession(container) {
+    await stopInteractiveSession();
+
+    const vsr = await initVirtualScreenReader();
+    await vsr.start({ container, window: container.ownerDocument.defaultView });
+    session = { vsr, container };
+    console.log('🖱️ Interactive session started');
+}
+
+/**
+ * Stop the interactive session, if one is running
+ */
+export async function stopInteractiveSession() {
+    if (!session) return;
+
+    const { vsr } = session;
+    session = null;
+    try {
+        await vsr.stop();
+        console.log('🛑 Interactive session stopped');
+    } catch (e) {
+        console.warn('Warning stopping VSR:', e);
+    }
+}
+
+/**
+ * Move the virtual cursor forward until it rests on an element
+ * @returns {Promise<boolean>} Whether the element was reached
+ */
+async function moveCursorTo(element) {
+    const { vsr } = session;
+    const visited = new Map();
+
+    for (let i = 0; i < 1000; i++) {
+        const node = vsr.activeNode;
+        if (node && getNodeElement(node) === element) return true;
+
+        // Wrapped around without finding it
+        const phrase = await vsr.lastSpokenPhrase();
+        const phrasesAtNode = visited.get(node) || new Set();
+        if (phrasesAtNode.has(phrase)) return false;
+        phrasesAtNode.add(phrase);
+        visited.set(node, phrasesAtNode);
+
+        await vsr.next();
+    }
+    return false;
+}
+
+/**
+ * Whether a key combination (e.g. "Shift+Tab") names keys press() can simulate
+ */
+function isKnownKey(input) {
+    const parts = input.split('+');
+    const key = parts.pop();
+    return parts.every(part => MODIFIER_KEY_PATTERN.test(part)) &&
+        (key.length === 1 || NAMED_KEYS.includes(key) || FUNCTION_KEY_PATTERN.test(key) || MODIFIER_KEY_PATTERN.test(key));
+}
+
+/**
+ * Act on an element through the virtual screen reader and capture what is announced
+ * Live region phrases ("polite: ...") are included as they are spoken.
+ * @param {Object} target - Result whose element to act on (from analyzeContainer())
+ * @param {Object} interaction
+ * @param {('act'|'press'|'type')} interaction.action - Click/activate, press a key or type text
+ * @param {string} [interaction.input] - Key (e.g. "Enter", "Shift+Tab", "Space") or text to type
+ * @param {number} [interaction.startIndex=0] - Index for the first new result
+ * @returns {Promise<Object[]>} New results, each with an `interaction` label
+ * @throws {Error} If no session is running, the element cannot be reached or the key is unknown
+ */
+export async function performInteraction(target, { action, input = '', startIndex = 0 }) {
+    if (!session) {
+        throw new Error('Interactive session has not been started');
+    }
+
+    const { vsr, container } = session;
+    if (!target.element || !(await moveCursorTo(target.element))) {
+        throw new Error('The virtual screen reader cannot reach this element');
+    }
+
+    const before = await vsr.lastSpokenPhrase();
+    const logLength = (await vsr.spokenPhraseLog()).length;
+    let label;
+
+    switch (action) {
+        case 'act':
+            await vsr.act();
+            label = 'Clicked';
+            break;
+        case 'press':
+            if (!isKnownKey(input)) {
+                throw new Error(`Unrecognized key: ${input}`);
+            }
+            try {
+                await vsr.press(input === 'Space' ? ' ' : input);
+            } catch (error) {
+                throw new Error(`Unrecognized key: ${input}`);
+            }
+            label = `Pressed ${input}`;
+            break;
+        case 'type':
+            await vsr.type(input);
+            label = `Typed "${input}"`;
+            break;
+        default:
+            throw new Error(`Unknown interaction: ${action}`);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, INTERACTION_SETTLE_MS));
+    const phrases = (await vsr.spokenPhraseLog()).slice(logLength);
+
+    // Clicking something that doesn't take focus isn't re-announced; re-read it to catch state changes
+    if (phrases.length === 0 && target.element.isConnected) {
+        await vsr.previous();
+        await vsr.next();
+        const reread = await vsr.lastSpokenPhrase();
+        if (reread !== before) phrases.push(reread);
+    }
+
+    console.log(`🖱️ ${label}: ${phrases.length} new announcements`);
+
+    return phrases
+        .filter(phrase => phrase && phrase !== 'document' && !phrase.startsWith('end of '))
+        .map((phrase, i) => ({
+            ...createResult(startIndex + i, phrase, LIVE_PHRASE_PATTERN.test(phrase) ? null : vsr.activeNode, container),
+            interaction: label
+        }));
+}
+
 /**
  * Simple analysis without VSR - fallback that scans DOM directly
  * This provides results even if VSR fails
@@ -122,75 +325,75 @@ export function analyzeContainerSimple(container) {
 
     // Scan for key elements
     const selectors = [
-        { selector: 'nav, [role="navigation"]', category: 'landmark', label: 'navigation' },
-        { selector: 'header, [role="banner"]', category: 'landmark', label: 'banner' },
-        { selector: 'main, [role="main"]', category: 'landmark', label: 'main' },
-        { selector: 'footer, [role="contentinfo"]', category: 'landmark', label: 'contentinfo' },
-        { selector: 'h1', category: 'heading', labelFn: el => `heading, ${el.textContent.trim()}, level 1` },
-        { selector: 'h2', category: 'heading', labelFn: el => `heading, ${el.textContent.trim()}, level 2` },
-        { selector: 'h3', category: 'heading', labelFn: el => `heading, ${el.textContent.trim()}, level 3` },
+        { selector: 'nav, [role="navigation"]', label: 'navigation' },
+        { selector: 'header, [role="banner"]', label: 'banner' },
+        { selector: 'main, [role="main"]', label: 'main' },
+        { selector: 'footer, [role="contentinfo"]', label: 'contentinfo' },
+        { selector: 'h1', labelFn: el => `heading, ${el.textContent.trim()}, level 1` },
+        { selector: 'h2', labelFn: el => `heading, ${el.textContent.trim()}, level 2` },
+        { selector: 'h3', labelFn: el => `heading, ${el.textContent.trim()}, level 3` },
         {
-            selector: 'button, [role="button"]', category: 'interactive', labelFn: el => {
+            selector: 'button, [role="button"]', labelFn: el => {
                 const name = el.getAttribute('aria-label') || el.textContent.trim();
                 return name ? `button, ${name}` : 'button';
             }
         },
         {
-            selector: 'a[href]', category: 'interactive', labelFn: el => {
+            selector: 'a[href]', labelFn: el => {
                 const name = el.getAttribute('aria-label') || el.textContent.trim();
                 return name ? `link, ${name}` : 'link';
             }
         },
         {
-            selector: 'img', category: 'interactive', labelFn: el => {
+            selector: 'img', labelFn: el => {
                 const alt = el.getAttribute('alt');
                 return alt ? `image, ${alt}` : 'image';
             }
         },
         {
-            selector: 'input[type="text"], input:not([type]), textarea', category: 'form', labelFn: el => {
+            selector: 'input[type="text"], input:not([type]), textarea', labelFn: el => {
                 const label = el.getAttribute('aria-label') ||
-                    document.querySelector(`label[for="${el.id}"]`)?.textContent?.trim() ||
+                    container.querySelector(`label[for="${el.id}"]`)?.textContent?.trim() ||
                     el.placeholder;
                 return label ? `textbox, ${label}` : 'textbox';
             }
         },
         {
-            selector: 'input[type="email"]', category: 'form', labelFn: el => {
+            selector: 'input[type="email"]', labelFn: el => {
                 const label = el.getAttribute('aria-label') ||
-                    document.querySelector(`label[for="${el.id}"]`)?.textContent?.trim();
+                    container.querySelector(`label[for="${el.id}"]`)?.textContent?.trim();
                 return label ? `textbox, ${label}` : 'textbox';
             }
         },
         {
-            selector: 'input[type="checkbox"]', category: 'form', labelFn: el => {
+            selector: 'input[type="checkbox"]', labelFn: el => {
                 const label = el.getAttribute('aria-label') ||
                     el.closest('label')?.textContent?.trim();
                 return label ? `checkbox, ${label}` : 'checkbox';
             }
         },
         {
-            selector: 'input[type="radio"]', category: 'form', labelFn: el => {
+            selector: 'input[type="radio"]', labelFn: el => {
                 const label = el.getAttribute('aria-label') ||
                     el.closest('label')?.textContent?.trim();
-                return label ? `radio button, ${label}` : 'radio button';
+                return label ? `radio, ${label}` : 'radio';
             }
         },
     ];
 
     // Collect all matching elements
-    selectors.forEach(({ selector, category, label, labelFn }) => {
+    selectors.forEach(({ selector, label, labelFn }) => {
         container.querySelectorAll(selector).forEach(el => {
             const announcement = labelFn ? labelFn(el) : label;
             elementsWithData.push({
                 announcement,
-                category,
                 element: el
             });
         });
     });
 
     // Sort elements by their DOM position (reading order)
+    const { Node } = container.ownerDocument.defaultView;
     elementsWithData.sort((a, b) => {
         const position = a.element.compareDocumentPosition(b.element);
 
@@ -206,12 +409,8 @@ export function analyzeContainerSimple(container) {
     });
 
     // Now assign indices in the correct reading order
-    const results = elementsWithData.map((item, index) => ({
-        index,
-        announcement: item.announcement,
-        category: item.category,
-        element: item.element
-    }));
+    const results = elementsWithData.map((item, index) =>
+        createResult(index, item.announcement, item.element, container));
 
     return results;
 }
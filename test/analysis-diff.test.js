@@ -0,0 +1,69 @@
+/**
+ * Tests for analysis-diff.js: transcript alignment and violation matching
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { diffTranscripts, diffViolations, compareAnalyses, getViolationFingerprint } from '../analysis-diff.js';
+
+const results = (...phrases) => phrases.map(([announcement, role]) => ({ announcement, role }));
+
+const axe = (...violations) => ({
+    violations: violations.map(([id, ...html]) => ({ id, impact: 'serious', help: id, nodes: html.map(markup => ({ html: markup, target: ['x'] })) }))
+});
+
+test('diffTranscripts keeps matching phrases aligned', () => {
+    const rows = diffTranscripts(
+        results(['main', 'main'], ['image', 'img'], ['button', 'button'], ['end of main', 'main']),
+        results(['main', 'main'], ['image, Logo', 'img'], ['button', 'button'], ['link, Help', 'link'], ['end of main', 'main'])
+    );
+
+    assert.deepEqual(rows.map(row => row.type), ['same', 'changed', 'same', 'added', 'same']);
+    assert.equal(rows[1].before.announcement, 'image');
+    assert.equal(rows[1].after.announcement, 'image, Logo');
+});
+
+test('diffTranscripts reports a role change as removed and added', () => {
+    const rows = diffTranscripts(results(['Save', 'text']), results(['button, Save', 'button']));
+    assert.deepEqual(rows.map(row => row.type), ['removed', 'added']);
+});
+
+test('getViolationFingerprint ignores whitespace in the node HTML', () => {
+    assert.equal(
+        getViolationFingerprint('image-alt', { html: '<img\n   src="a.png">' }),
+        getViolationFingerprint('image-alt', { html: '<img src="a.png">' })
+    );
+    assert.notEqual(
+        getViolationFingerprint('image-alt', { html: '<img src="a.png">' }),
+        getViolationFingerprint('role-img-alt', { html: '<img src="a.png">' })
+    );
+});
+
+test('diffViolations matches nodes by fingerprint, not position', () => {
+    const before = axe(['image-alt', '<img src="a.png">', '<img src="b.png">'], ['button-name', '<button></button>']);
+    const after = axe(['image-alt', '<img src="b.png">'], ['link-name', '<a href="/"></a>']);
+    const { resolved, added, persisting } = diffViolations(before, after);
+
+    assert.deepEqual(resolved.map(entry => entry.html), ['<img src="a.png">', '<button></button>']);
+    assert.deepEqual(added.map(entry => entry.id), ['link-name']);
+    assert.deepEqual(persisting.map(entry => entry.html), ['<img src="b.png">']);
+});
+
+test('diffViolations counts identical nodes separately', () => {
+    const before = axe(['image-alt', '<img>', '<img>']);
+    const after = axe(['image-alt', '<img>']);
+    const { resolved, persisting } = diffViolations(before, after);
+
+    assert.equal(resolved.length, 1);
+    assert.equal(persisting.length, 1);
+});
+
+test('compareAnalyses summarizes both diffs', () => {
+    const { summary } = compareAnalyses(
+        { analysisResults: results(['image', 'img']), axeResults: axe(['image-alt', '<img>']) },
+        { analysisResults: results(['image, Logo', 'img']), axeResults: null }
+    );
+
+    assert.deepEqual(summary, { added: 0, removed: 0, changed: 1, unchanged: 0, resolved: 1, new: 0, persisting: 0 });
+});
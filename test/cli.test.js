@@ -0,0 +1,101 @@
+/**
+ * Tests for cli.js: output and exit codes of the analyze and snapshot commands
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../cli.js', import.meta.url));
+
+let dir;
+
+/**
+ * Run the CLI in the fixture directory
+ * @returns {Promise<Object>} { code, stdout, stderr }
+ */
+function runCli(...args) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [CLI, ...args], { cwd: dir }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'sr-cli-'));
+    await writeFile(join(dir, 'clean.html'), '<main><h1>Title</h1><button>Save</button></main>');
+    await writeFile(join(dir, 'broken.html'), '<main><img src="logo.png"></main>');
+});
+
+after(async () => {
+    await rm(dir, { recursive: true, force: true });
+});
+
+test('usage errors exit with 2', async () => {
+    assert.equal((await runCli()).code, 2);
+    assert.equal((await runCli('lint', 'clean.html')).code, 2);
+    assert.equal((await runCli('analyze')).code, 2);
+    assert.equal((await runCli('analyze', 'clean.html', '--format', 'xml')).code, 2);
+    assert.equal((await runCli('analyze', 'clean.html', '--fail-on', 'severe')).code, 2);
+    assert.equal((await runCli('analyze', 'clean.html', '--colour')).code, 2);
+});
+
+test('--help prints usage and exits with 0', async () => {
+    const { code, stdout } = await runCli('--help');
+    assert.equal(code, 0);
+    assert.match(stdout, /^Usage: sr-visualizer analyze/);
+});
+
+test('runtime errors exit with 2', async () => {
+    const { code, stderr } = await runCli('analyze', 'missing.html', '--no-axe');
+    assert.equal(code, 2);
+    assert.match(stderr, /ENOENT/);
+});
+
+test('analyze prints the report and exits with 0', async () => {
+    const { code, stdout } = await runCli('analyze', 'clean.html', '--no-axe', '--format', 'json');
+    assert.equal(code, 0);
+
+    const [report] = JSON.parse(stdout);
+    assert.equal(report.source, 'clean.html');
+    assert.deepEqual(report.announcements.map(item => item.announcement),
+        ['main', 'heading, Title, level 1', 'button, Save']);
+});
+
+test('analyze exits with 1 only for violations at or above --fail-on', async () => {
+    const failing = await runCli('analyze', 'broken.html', '--fail-on', 'serious');
+    assert.equal(failing.code, 1);
+    assert.match(failing.stdout, /image-alt/);
+    assert.match(failing.stderr, /1 violation\(s\) at or above "serious" impact/);
+
+    assert.equal((await runCli('analyze', 'broken.html')).code, 0);
+    assert.equal((await runCli('analyze', 'clean.html', '--fail-on', 'minor')).code, 0);
+});
+
+test('snapshot exits with 1 when a snapshot is missing or differs', async () => {
+    const missing = await runCli('snapshot', 'clean.html');
+    assert.equal(missing.code, 1);
+    assert.match(missing.stdout, /has no snapshot/);
+
+    const written = await runCli('snapshot', 'clean.html', '--update');
+    assert.equal(written.code, 0);
+    assert.match(await readFile(join(dir, '__snapshots__', 'clean.transcript.txt'), 'utf8'), /button, Save/);
+
+    assert.equal((await runCli('snapshot', 'clean.html')).code, 0);
+
+    await writeFile(join(dir, 'clean.html'), '<main><h1>Title</h1><button>Save changes</button></main>');
+    const changed = await runCli('snapshot', 'clean.html');
+    assert.equal(changed.code, 1);
+    assert.match(changed.stdout, /- button, Save\n\+ button, Save changes/);
+});
+
+test('snapshot honours --snapshot-dir', async () => {
+    assert.equal((await runCli('snapshot', 'broken.html', '--update', '--snapshot-dir', 'golden')).code, 0);
+    assert.equal((await runCli('snapshot', 'broken.html', '--snapshot-dir', 'golden')).code, 0);
+    await readFile(join(dir, 'golden', 'broken.transcript.txt'), 'utf8');
+});
@@ -0,0 +1,113 @@
+/**
+ * Tests for exporter.js: reports and their JSON, Markdown, CSV and text forms
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+import { buildReport, formatReport, formatReports } from '../exporter.js';
+import { getReviewKeys } from '../manual-review.js';
+
+const { window } = new JSDOM('<body><a id="home" href="/">Home</a><p id="cmd">=SUM(A1)</p><span id="muted">Note</span></body>');
+const element = id => window.document.getElementById(id);
+
+const analysisResults = [
+    { index: 0, announcement: 'link, Home', role: 'link', category: 'interactive', element: element('home'), selector: '#home' },
+    { index: 1, announcement: '=SUM(A1)', role: 'text', category: 'content', element: element('cmd'), selector: '#cmd' },
+    { index: 2, announcement: 'Note', role: 'text', category: 'content', element: element('muted'), selector: '#muted' }
+];
+
+const cmdNode = { target: ['#cmd'], html: '<p id="cmd">=SUM(A1)</p>', failureSummary: 'Low contrast' };
+const mutedNode = { target: ['#muted'], html: '<span id="muted">Note</span>', failureSummary: 'Low contrast' };
+
+const axeResults = {
+    violations: [{
+        id: 'link-in-text-block', impact: 'serious', help: 'Links | must stand out', description: 'Links must be distinguishable',
+        helpUrl: 'https://example.com/rule', tags: [], nodes: [{ target: ['#home'], html: '<a id="home" href="/">Home</a>', failureSummary: 'Same color' }]
+    }],
+    incomplete: [{
+        id: 'color-contrast', impact: 'critical', help: 'Contrast', description: 'Text must have enough contrast',
+        helpUrl: 'https://example.com/contrast', tags: [], nodes: [cmdNode, mutedNode]
+    }],
+    passes: 4
+};
+
+const reviewKeys = getReviewKeys(axeResults.incomplete);
+const reviews = {
+    [reviewKeys.get(cmdNode)]: { decision: 'fail', note: 'Too light' },
+    [reviewKeys.get(mutedNode)]: { decision: 'pass', note: 'Large text' }
+};
+
+const report = buildReport({ source: 'page.html', analysisResults, axeResults, reviews });
+
+test('buildReport maps findings to announcements and drops DOM references', () => {
+    assert.deepEqual(report.announcements.map(item => item.violations.map(finding => finding.id)),
+        [['link-in-text-block'], ['color-contrast'], ['color-contrast']]);
+    assert.equal(report.announcements[1].violations[0].review.decision, 'fail');
+    assert.deepEqual(report.reviewSummary, { pending: 0, pass: 1, fail: 1, 'not-applicable': 0 });
+    assert.doesNotThrow(() => JSON.stringify(report));
+});
+
+test('JSON output round-trips the report', () => {
+    assert.deepEqual(JSON.parse(formatReport('json', report)), JSON.parse(JSON.stringify(report)));
+    assert.ok(Array.isArray(JSON.parse(formatReports('json', [report]))));
+});
+
+test('CSV rows have one field per column', () => {
+    const rows = formatReports('csv', [report]).split('\r\n');
+    assert.equal(rows[0], 'source,type,index,category,role,announcement,selector,impact,rules,help,review,note');
+    assert.equal(rows.length, 1 + 3 + 1 + 2);
+});
+
+test('CSV counts confirmed findings and lists the rest for review', () => {
+    const rows = formatReports('csv', [report]).split('\r\n');
+    assert.equal(rows[1], 'page.html,announcement,1,interactive,link,"link, Home",#home,serious,link-in-text-block,,,');
+    assert.equal(rows[2], "page.html,announcement,2,content,text,'=SUM(A1),#cmd,critical,color-contrast,,,");
+    assert.equal(rows[3], 'page.html,announcement,3,content,text,Note,#muted,,,,color-contrast pass,color-contrast: Large text');
+    assert.equal(rows[6], 'page.html,incomplete,,,,,#muted,critical,color-contrast,Contrast,pass,Large text');
+});
+
+test('CSV neutralizes spreadsheet formulas', () => {
+    const csv = formatReports('csv', [{ ...report, source: '@cmd', announcements: [], violations: [], incomplete: [], issues: [
+        { type: 'missing_alt', severity: 'error', description: '+1 image', announcement: '-2' }
+    ] }]);
+    assert.equal(csv.split('\r\n')[1], "'@cmd,transcript-check,,,,'-2,,error,missing_alt,'+1 image,,");
+});
+
+test('Markdown escapes table cells and lists reviews', () => {
+    const markdown = formatReport('markdown', report);
+    assert.match(markdown, /^# Screen Reader Report: page\.html/);
+    assert.match(markdown, /\| 1 \| interactive \| link, Home \| `#home` \| serious link-in-text-block \|/);
+    assert.match(markdown, /\| 3 \| content \| Note \| `#muted` \| review color-contrast \|/);
+    assert.match(markdown, /- `#cmd` — Low contrast — \*\*Fail: Too light\*\*/);
+});
+
+test('plain text lists announcements and violations', () => {
+    const text = formatReport('text', report);
+    assert.match(text, /1\. \[interactive\] link, Home\n\s+! serious link-in-text-block/);
+    assert.match(text, /Violations \(1\):/);
+    assert.match(text, /Needs review \(1, 0 pending\):/);
+});
+
+test('unknown formats are rejected', () => {
+    assert.throws(() => formatReports('xml', [report]), /Unknown export format: xml/);
+});
+
+test('identical needs-review nodes keep separate decisions', () => {
+    const icon = () => ({ target: ['button'], html: '<button><svg></svg></button>', failureSummary: 'Check name' });
+    const incomplete = [{ id: 'button-name', impact: 'serious', help: 'Name', description: '', helpUrl: '', tags: [], nodes: [icon(), icon()] }];
+    const [first, second] = [...getReviewKeys(incomplete).values()];
+    assert.notEqual(first, second);
+
+    const { reviewSummary } = buildReport({ analysisResults: [], axeResults: { violations: [], incomplete, passes: 0 }, reviews: { [second]: { decision: 'fail', note: '' } } });
+    assert.deepEqual(reviewSummary, { pending: 1, pass: 0, fail: 1, 'not-applicable': 0 });
+});
+
+test('unknown review decisions count as pending', () => {
+    const incomplete = [{ id: 'color-contrast', impact: 'serious', help: 'Contrast', description: '', helpUrl: '', tags: [], nodes: [{ target: ['p'], html: '<p>Hi</p>', failureSummary: '' }] }];
+    const [key] = getReviewKeys(incomplete).values();
+
+    const { reviewSummary } = buildReport({ analysisResults: [], axeResults: { violations: [], incomplete, passes: 0 }, reviews: { [key]: { decision: 'maybe', note: '' } } });
+    assert.deepEqual(reviewSummary, { pending: 1, pass: 0, fail: 0, 'not-applicable': 0 });
+});
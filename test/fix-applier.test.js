@@ -0,0 +1,117 @@
+/**
+ * Tests for fix-applier.js: placing suggested fixes by axe target
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+import { applyFix, applyFixes, findFixElement, findRemainingViolations, isApplicableFix, diffCode } from '../fix-applier.js';
+
+const { window } = new JSDOM('');
+globalThis.DOMParser = window.DOMParser;
+
+const parse = html => new DOMParser().parseFromString(html, 'text/html');
+
+test('isApplicableFix needs a real code change', () => {
+    assert.equal(isApplicableFix({ beforeCode: '<img>', afterCode: '<img alt="x">' }), true);
+    assert.equal(isApplicableFix({ beforeCode: '<img>', afterCode: ' <img> ' }), false);
+    assert.equal(isApplicableFix({ beforeCode: '', afterCode: '<img alt="x">' }), false);
+    assert.equal(isApplicableFix(null), false);
+});
+
+test('applyFix matches despite quoting and self-closing differences', () => {
+    const html = "<main>\n  <img src='logo.png'/>\n</main>";
+    const violations = [{ id: 'image-alt', nodes: [{ target: ['img'] }] }];
+    const result = applyFix(html, { type: 'image-alt', beforeCode: '<img src="logo.png">', afterCode: '<img src="logo.png" alt="Logo">' }, violations);
+
+    assert.equal(result.html, '<main>\n  <img src="logo.png" alt="Logo">\n</main>');
+    assert.equal(result.replaced, '<img src="logo.png">');
+    assert.equal(result.xpath, '/html[1]/body[1]/main[1]/img[1]');
+});
+
+test('applyFix patches the reported element, not the first identical one', () => {
+    const html = '<p><img src="a.png"></p><p><img src="a.png"></p>';
+    const violations = [{ id: 'image-alt', nodes: [{ target: ['p:nth-child(2) > img'] }] }];
+    const result = applyFix(html, { type: 'image-alt', beforeCode: '<img src="a.png">', afterCode: '<img src="a.png" alt="">' }, violations);
+
+    assert.equal(result.html, '<p><img src="a.png"></p><p><img src="a.png" alt=""></p>');
+});
+
+test('applyFixes finds every element before replacing any', () => {
+    const html = '<ul><li><a href="/a"></a></li><li><a href="/b"></a></li></ul>';
+    const violations = [{ id: 'link-name', nodes: [{ target: ['li:nth-child(1) > a'] }, { target: ['li:nth-child(2) > a'] }] }];
+    const fixes = [
+        { type: 'link-name', beforeCode: '<a href="/a"></a>', afterCode: '<a href="/a">A</a>' },
+        { type: 'link-name', beforeCode: '<a href="/b"></a>', afterCode: '<a href="/b">B</a>' }
+    ];
+    const result = applyFixes(html, fixes, violations);
+
+    assert.equal(result.html, '<ul><li><a href="/a">A</a></li><li><a href="/b">B</a></li></ul>');
+    assert.deepEqual(result.applied.map(entry => entry.xpath), [
+        '/html[1]/body[1]/ul[1]/li[1]/a[1]',
+        '/html[1]/body[1]/ul[1]/li[2]/a[1]'
+    ]);
+    assert.equal(result.failed.length, 0);
+});
+
+test('applyFixes sets attributes on document elements of full documents', () => {
+    const html = '<!DOCTYPE html><html><head><title>T</title></head><body><p>Hi</p></body></html>';
+    const result = applyFixes(html, [{ type: 'html-has-lang', beforeCode: '<html>', afterCode: '<html lang="en">' }],
+        [{ id: 'html-has-lang', nodes: [{ target: ['html'] }] }]);
+
+    assert.equal(result.html, '<!DOCTYPE html>\n<html lang="en"><head><title>T</title></head><body><p>Hi</p></body></html>');
+    assert.equal(result.applied[0].replaced, '<html>');
+});
+
+test('applyFixes reports fixes it cannot place and leaves the HTML alone', () => {
+    const html = '<button></button>';
+    const violations = [{ id: 'button-name', nodes: [{ target: ['button'] }] }];
+    const result = applyFixes(html, [
+        { type: 'image-alt', beforeCode: '<img>', afterCode: '<img alt="">' },
+        { type: 'button-name', beforeCode: '<div></div>', afterCode: '<div>x</div>' },
+        { type: 'button-name', beforeCode: '<button></button>', afterCode: '<button></button>' }
+    ], violations);
+
+    assert.equal(result.html, html);
+    assert.deepEqual(result.failed.map(({ error }) => error.message), [
+        'image-alt is no longer reported',
+        'Could not find the element to fix in the HTML',
+        'The suggestion has no code change to apply'
+    ]);
+    assert.throws(() => applyFix(html, { type: 'image-alt', beforeCode: '<img>', afterCode: '<img alt="">' }, violations),
+        /no longer reported/);
+});
+
+test('findFixElement prefers an exact match and skips elements other fixes took', () => {
+    const doc = parse('<body><img src="a.png" alt=""><img src="a.png"></body>');
+    const violations = [{ id: 'image-alt', nodes: [{ target: ['img:nth-child(1)'] }, { target: ['img:nth-child(2)'] }] }];
+    const fix = { type: 'image-alt', beforeCode: '<img src="a.png">' };
+    const [first, second] = doc.querySelectorAll('img');
+
+    assert.equal(findFixElement(doc, fix, violations), second);
+    assert.equal(findFixElement(doc, fix, violations, new Set([second])), first);
+    assert.throws(() => findFixElement(doc, fix, violations, new Set([first, second])), /Another fix/);
+});
+
+test('findRemainingViolations finds the fixed element by path', () => {
+    const { html, applied } = applyFixes('<button></button><button></button>', [
+        { type: 'button-name', beforeCode: '<button></button>', afterCode: '<button aria-label="">Go</button>' }
+    ], [{ id: 'button-name', nodes: [{ target: ['button:nth-child(2)'] }] }]);
+    const doc = parse(html);
+
+    assert.deepEqual(findRemainingViolations(doc, applied, []), [null]);
+    const stillReported = { target: ['button:nth-child(2)'], html: '<button aria-label="">Go</button>' };
+    assert.deepEqual(findRemainingViolations(doc, applied, [
+        { id: 'button-name', nodes: [{ target: ['button:nth-child(1)'] }, stillReported] }
+    ]), [stillReported]);
+});
+
+test('diffCode ignores indentation', () => {
+    assert.deepEqual(diffCode('<div>\n  <img>\n</div>', '<div>\n    <img alt="">\n</div>'), [
+        { type: 'same', text: '<div>' },
+        { type: 'removed', text: '<img>' },
+        { type: 'added', text: '<img alt="">' },
+        { type: 'same', text: '</div>' }
+    ]);
+});
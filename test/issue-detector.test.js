@@ -0,0 +1,22 @@
+/**
+ * Tests for issue-detector.js: transcript checks without axe-core
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { analyzeElement, createDom } from '../headless.js';
+
+test('an empty link and an empty icon button are each reported once', async () => {
+    const dom = createDom('<main><a href="/home"></a><button><svg></svg></button></main>');
+    try {
+        const { issues } = await analyzeElement(dom.window.document.body, { axe: false });
+        const link = dom.window.document.querySelector('a');
+        const button = dom.window.document.querySelector('button');
+
+        assert.deepEqual(issues.filter(issue => issue.element === link).map(issue => issue.type), ['empty_link']);
+        assert.deepEqual(issues.filter(issue => issue.element === button).map(issue => issue.type), ['unlabeled_icon_button']);
+    } finally {
+        dom.window.close();
+    }
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for matchers.js and snapshot.js: transcript assertions and golden files
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { matchers } from '../matchers.js';
+import { createDom } from '../headless.js';
+import { formatTranscript, diffSnapshots, matchSnapshotFile, getSnapshotPath } from '../snapshot.js';
+
+let dir;
+let context;
+
+before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'sr-matchers-'));
+    context = { testPath: join(dir, 'button.test.js'), currentTestName: 'save button' };
+});
+
+after(async () => {
+    await rm(dir, { recursive: true, force: true });
+});
+
+test('toAnnounce passes for phrases in order, with others between', async () => {
+    const phrases = ['main', 'heading, Title, level 1', 'button, Save', 'end of main'];
+
+    assert.equal((await matchers.toAnnounce(phrases, ['main', /^button/])).pass, true);
+
+    const result = await matchers.toAnnounce(phrases, ['button, Save', 'main']);
+    assert.equal(result.pass, false);
+    assert.match(result.message(), /First missing: main/);
+});
+
+test('toAnnounce takes a single phrase and rejects other expectations', async () => {
+    assert.equal((await matchers.toAnnounce(['button, Save'], 'button, Save')).pass, true);
+    await assert.rejects(matchers.toAnnounce(['button, Save'], { phrase: 'button, Save' }), /expects an array of phrases or a string, got object/);
+    await assert.rejects(matchers.toAnnounce(['button, Save']), /got undefined/);
+});
+
+test('toAnnounce analyzes a jsdom container', async () => {
+    const dom = createDom('<button>Save</button>');
+    try {
+        assert.equal((await matchers.toAnnounce(dom.window.document.body, ['button, Save'])).pass, true);
+    } finally {
+        dom.window.close();
+    }
+});
+
+test('toHaveNoAxeViolations filters by impact', async () => {
+    const results = { violations: [{ id: 'region', impact: 'moderate', help: 'Landmarks', nodes: [{ html: '<p>' }] }] };
+
+    assert.equal((await matchers.toHaveNoAxeViolations(results, { minImpact: 'serious' })).pass, true);
+    const failing = await matchers.toHaveNoAxeViolations(results);
+    assert.equal(failing.pass, false);
+    assert.match(failing.message(), /\[moderate\] region: Landmarks/);
+    await assert.rejects(matchers.toHaveNoAxeViolations(results, { minImpact: 'severe' }), /Unknown impact "severe"/);
+});
+
+test('toMatchTranscriptSnapshot writes, compares and updates snapshots', async () => {
+    const snapshotPath = join(dir, '__snapshots__', 'button.test.js.save-button.transcript.txt');
+
+    const missing = await matchers.toMatchTranscriptSnapshot.call(context, ['button, Save'], { update: 'none' });
+    assert.equal(missing.pass, false);
+    assert.match(missing.message(), /does not exist/);
+
+    assert.equal((await matchers.toMatchTranscriptSnapshot.call(context, ['button, Save'], { update: 'new' })).pass, true);
+    assert.equal(await readFile(snapshotPath, 'utf8'), formatTranscript(['button, Save']));
+
+    const changed = await matchers.toMatchTranscriptSnapshot.call(context, ['button, Save changes'], { update: 'new' });
+    assert.equal(changed.pass, false);
+    assert.match(changed.message(), /- button, Save\n\+ button, Save changes/);
+
+    assert.equal((await matchers.toMatchTranscriptSnapshot.call(context, ['button, Save changes'], { update: 'all' })).pass, true);
+    assert.equal((await matchers.toMatchTranscriptSnapshot.call(context, ['button, Save changes'], { update: 'none' })).pass, true);
+});
+
+test('toMatchTranscriptSnapshot takes a name string and checks its options', async () => {
+    await matchers.toMatchTranscriptSnapshot.call(context, ['link, Home'], { name: 'Home Link!', update: 'new' });
+    await readFile(join(dir, '__snapshots__', 'button.test.js.home-link.transcript.txt'), 'utf8');
+
+    // The default update mode depends on CI, but a matching snapshot passes in every mode
+    assert.equal((await matchers.toMatchTranscriptSnapshot.call(context, ['link, Home'], 'Home Link!')).pass, true);
+
+    await assert.rejects(matchers.toMatchTranscriptSnapshot.call(context, [], { update: 'always' }), /Unknown snapshot update mode/);
+    await assert.rejects(matchers.toMatchTranscriptSnapshot.call({}, []), /needs a test file/);
+});
+
+test('formatTranscript normalizes whitespace and skips interactions', () => {
+    const text = formatTranscript(['button,\n  Save', { announcement: 'pressed Enter', interaction: { type: 'press' } }, { announcement: 'link, Home' }]);
+    assert.deepEqual(text.split('\n').slice(1), ['button, Save', 'link, Home', '']);
+});
+
+test('diffSnapshots shows only changes and their context', () => {
+    const lines = phrases => formatTranscript(phrases);
+    const expected = lines(['a', 'b', 'c', 'd', 'e', 'f', 'g']);
+
+    assert.equal(diffSnapshots(expected, expected), '');
+    assert.equal(diffSnapshots(expected, lines(['a', 'b', 'c', 'd', 'e', 'f', 'G']), 1), '  ...\n  f\n- g\n+ G');
+});
+
+test('matchSnapshotFile reports missing, mismatch and written snapshots', async () => {
+    const snapshotPath = getSnapshotPath(join(dir, 'page.html'));
+    assert.equal(snapshotPath, join(dir, '__snapshots__', 'page.transcript.txt'));
+
+    assert.equal((await matchSnapshotFile('x\n', snapshotPath)).status, 'missing');
+    assert.equal((await matchSnapshotFile('x\n', snapshotPath, { update: true })).status, 'written');
+    assert.equal((await matchSnapshotFile('x\n', snapshotPath)).status, 'match');
+
+    await writeFile(snapshotPath, 'y\n');
+    const mismatch = await matchSnapshotFile('x\n', snapshotPath);
+    assert.equal(mismatch.status, 'mismatch');
+    assert.equal(mismatch.diff, '- y\n+ x');
+});
@@ -0,0 +1,36 @@
+/**
+ * Tests for quick-nav.js: quick keys by typed letter and heading-level digits
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { findQuickNavTarget, getQuickNavKey } from '../quick-nav.js';
+
+const results = [
+    { role: 'heading', level: 1 },
+    { role: 'link' },
+    { role: 'heading', level: 2 },
+    { role: 'button' },
+    { role: 'heading', level: 2 }
+];
+
+test('letters follow the typed key, not the physical key', () => {
+    // "h" typed on Dvorak sits on the QWERTY "J" key
+    assert.equal(getQuickNavKey({ key: 'h', code: 'KeyJ' }), 'h');
+    assert.equal(getQuickNavKey({ key: 'H', code: 'KeyJ' }), 'h');
+    assert.deepEqual(findQuickNavTarget(results, 0, getQuickNavKey({ key: 'h', code: 'KeyJ' })), { index: 2, name: 'heading' });
+    assert.deepEqual(findQuickNavTarget(results, 0, getQuickNavKey({ key: 'b', code: 'KeyN' })), { index: 3, name: 'button' });
+    assert.equal(findQuickNavTarget(results, 0, getQuickNavKey({ key: 'j', code: 'KeyH' })), null);
+});
+
+test('heading levels use the digit code, since Shift changes the key', () => {
+    assert.equal(getQuickNavKey({ key: '@', code: 'Digit2' }), 'Digit2');
+    assert.deepEqual(findQuickNavTarget(results, 0, getQuickNavKey({ key: '2', code: 'Digit2' })), { index: 2, name: 'heading level 2' });
+});
+
+test('Shift searches backwards', () => {
+    assert.deepEqual(findQuickNavTarget(results, 4, getQuickNavKey({ key: 'H', code: 'KeyH' }), true), { index: 2, name: 'heading' });
+    assert.deepEqual(findQuickNavTarget(results, 4, getQuickNavKey({ key: '@', code: 'Digit2' }), true), { index: 2, name: 'heading level 2' });
+    assert.deepEqual(findQuickNavTarget(results, 1, getQuickNavKey({ key: 'K', code: 'KeyK' }), true), { index: -1, name: 'link' });
+});
@@ -42,9 +42,9 @@ export function validateAxeResults(results) {
         return valid;
     });
 
-    // Ensure passes count exists
-    if (!Array.isArray(results.passes)) {
-        results.passes = [];
+    // Ensure passes count exists (runAxeAnalysis reports a count, raw axe an array)
+    if (typeof results.passes !== 'number') {
+        results.passes = Array.isArray(results.passes) ? results.passes.length : 0;
     }
 
     console.log(`✅ Validated Axe results: ${results.violations.length} violations, ${results.incomplete.length} incomplete`);
@@ -116,7 +116,7 @@ export function categorizeError(error) {
     if (message.includes('API key')) {
         return {
             type: 'auth',
-            userMessage: 'Invalid API key: Please check your Gemini API key and try again.'
+            userMessage: 'Invalid API key: Please check your AI provider API key and try again.'
         };
     }
 
@@ -132,3 +132,104 @@ export function categorizeError(error) {
         userMessage: message
     };
 }
+
+/**
+ * Short, stable hash of text, e.g. document content (53-bit, hex)
+ * Not cryptographic; used for cache and storage keys.
+ * @param {string} text - Text to hash
+ * @returns {string} Hash
+ */
+export function hashContent(text) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ code, 2654435761);
+        h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+}
+
+/**
+ * Escape a string for use as a CSS identifier
+ * Falls back to a minimal escape where CSS.escape is unavailable (e.g. jsdom)
+ * @param {string} value - Raw identifier
+ * @returns {string} Escaped identifier
+ */
+function escapeCssIdent(value) {
+    if (typeof CSS !== 'undefined' && CSS.escape) {
+        return CSS.escape(value);
+    }
+    return String(value)
+        .replace(/[^a-zA-Z0-9_\u00A0-\uFFFF-]/g, ch => `\\${ch}`)
+        .replace(/^(\d)/, '\\3$1 ');
+}
+
+/**
+ * Build a stable CSS selector for an element
+ * Stops at the nearest ancestor with a document-unique id, or at the root
+ * @param {Element} element - Element to describe
+ * @param {Element} [root] - Outermost element to include in the path
+ * @returns {string} Selector resolvable with ownerDocument.querySelector()
+ */
+export function getCssSelector(element, root = null) {
+    if (!element || element.nodeType !== 1) return '';
+
+    const doc = element.ownerDocument;
+    const segments = [];
+    let el = element;
+
+    while (el && el.nodeType === 1) {
+        if (el.id && doc.querySelectorAll(`#${escapeCssIdent(el.id)}`).length === 1) {
+            segments.unshift(`#${escapeCssIdent(el.id)}`);
+            break;
+        }
+
+        const tag = el.localName;
+        const parent = el.parentElement;
+        if (!parent) {
+            segments.unshift(tag);
+            break;
+        }
+
+        const sameTag = Array.from(parent.children).filter(child => child.localName === tag);
+        segments.unshift(sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(el) + 1})` : tag);
+
+        if (el === root) break;
+        el = parent;
+    }
+
+    return segments.join(' > ');
+}
+
+/**
+ * Build an absolute XPath for a node (elements and text nodes)
+ * @param {Node} node - Node to describe
+ * @returns {string} XPath such as /html/body/main[1]/h1[1]
+ */
+export function getXPath(node) {
+    if (!node) return '';
+
+    const segments = [];
+    let current = node;
+
+    while (current && current.nodeType !== 9) {
+        const parent = current.parentNode;
+        if (current.nodeType === 3) {
+            const texts = parent ? Array.from(parent.childNodes).filter(n => n.nodeType === 3) : [current];
+            segments.unshift(`text()[${texts.indexOf(current) + 1}]`);
+        } else if (current.nodeType === 1) {
+            const sameTag = parent
+                ? Array.from(parent.children).filter(child => child.localName === current.localName)
+                : [current];
+            segments.unshift(`${current.localName}[${sameTag.indexOf(current) + 1}]`);
+        } else {
+            break;
+        }
+        current = parent;
+    }
+
+    return `/${segments.join('/')}`;
+}